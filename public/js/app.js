@@ -8,6 +8,7 @@
  *   - Copiar/colar JSON
  *   - Validação via API
  *   - Download do .docx reconstruído
+ *   - Exportação do JSON em Markdown/HTML
  *   - Gerenciamento de estado e UI
  */
 
@@ -36,6 +37,11 @@ const btnPaste = $('#btn-paste');
 const btnValidate = $('#btn-validate');
 const btnGenerate = $('#btn-generate');
 const btnReset = $('#btn-reset');
+const trackChanges = $('#track-changes');
+const renumberHeadings = $('#renumber-headings');
+const btnExport = $('#btn-export');
+const exportFormat = $('#export-format');
+const headingProfile = $('#heading-profile');
 const btnHelp = $('#btn-help');
 const btnCloseHelp = $('#btn-close-help');
 const btnCopyPrompt = $('#btn-copy-prompt');
@@ -53,6 +59,35 @@ const manualSection = $('#manual-section');
 const aiProvider = $('#ai-provider');
 const apiKeyLink = $('#api-key-link');
 
+// ─── Heading Detection Profiles ──────────────────────────
+
+async function loadProfiles() {
+    try {
+        const res = await fetch('/api/profiles');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        headingProfile.innerHTML = '';
+        for (const profile of data.profiles) {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.description ? `${profile.name} — ${profile.description}` : profile.name;
+            headingProfile.appendChild(option);
+        }
+        const saved = localStorage.getItem('heading_profile');
+        if (saved && data.profiles.some(p => p.name === saved)) headingProfile.value = saved;
+        else if (data.profiles.some(p => p.name === 'padrao')) headingProfile.value = 'padrao';
+    } catch (err) {
+        // Sem a lista, o servidor usa o perfil padrão
+        headingProfile.closest('.profile-picker').hidden = true;
+    }
+}
+
+headingProfile.addEventListener('change', () => {
+    localStorage.setItem('heading_profile', headingProfile.value);
+});
+
+loadProfiles();
+
 // ─── Provider & API Key Management ───────────────────────────
 
 const providerConfig = {
@@ -222,6 +257,7 @@ async function handleFile(file) {
 
     const formData = new FormData();
     formData.append('file', file);
+    if (headingProfile.value) formData.append('profile', headingProfile.value);
 
     try {
         const res = await fetch('/api/extract', {
@@ -406,7 +442,9 @@ btnGenerate.addEventListener('click', async () => {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 documentId: state.documentId,
-                modifiedJson
+                modifiedJson,
+                trackChanges: trackChanges.checked,
+                renumberHeadings: renumberHeadings.checked
             })
         });
 
@@ -421,23 +459,7 @@ btnGenerate.addEventListener('click', async () => {
             return;
         }
 
-        // Download do arquivo
-        const blob = await res.blob();
-        const contentDisposition = res.headers.get('Content-Disposition') || '';
-        let fileName = 'documento_modificado.docx';
-        const match = contentDisposition.match(/filename="?([^"]+)"?/);
-        if (match) {
-            fileName = decodeURIComponent(match[1]);
-        }
-
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = fileName;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        const fileName = await downloadResponse(res, 'documento_modificado.docx');
 
         showMessage('success', 'Documento gerado com sucesso!',
             `O arquivo <strong>${escapeHtml(fileName)}</strong> foi baixado. A estrutura original foi preservada com o texto modificado.`);
@@ -449,6 +471,58 @@ btnGenerate.addEventListener('click', async () => {
     }
 });
 
+// ─── Export (Markdown / HTML) ────────────────────────────
+
+exportFormat.value = localStorage.getItem('export_format') || 'md';
+
+exportFormat.addEventListener('change', () => {
+    localStorage.setItem('export_format', exportFormat.value);
+});
+
+btnExport.addEventListener('click', async () => {
+    if (!state.documentId) return;
+
+    clearMessages();
+
+    // JSON atual: o modificado, se houver; senão, o original
+    let json = state.originalJson;
+    const modifiedText = jsonModified.value.trim();
+    if (modifiedText) {
+        try {
+            json = JSON.parse(modifiedText);
+        } catch (e) {
+            showMessage('error', 'JSON inválido',
+                `O JSON modificado não é válido. Corrija-o ou apague-o para exportar o original.<br><code>${escapeHtml(e.message)}</code>`);
+            return;
+        }
+    }
+
+    showLoading('Exportando documento...');
+
+    try {
+        const res = await fetch(`/api/export?format=${encodeURIComponent(exportFormat.value)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                documentId: state.documentId,
+                json
+            })
+        });
+
+        if (!res.ok) {
+            const errData = await res.json();
+            throw new Error(errData.error || 'Erro ao exportar documento.');
+        }
+
+        const fileName = await downloadResponse(res, `documento.${exportFormat.value}`);
+        showToast(`${fileName} baixado`);
+    } catch (err) {
+        showMessage('error', 'Erro na exportação', err.message);
+    } finally {
+        hideLoading();
+    }
+});
+
 // ─── Reset ───────────────────────────────────────────────
 
 btnReset.addEventListener('click', () => {
@@ -557,6 +631,30 @@ function hideLoading() {
 
 // ─── Utilities ───────────────────────────────────────────
 
+/**
+ * Baixa o corpo da resposta com o nome do Content-Disposition
+ * (ou fallbackName). Retorna o nome do arquivo.
+ */
+async function downloadResponse(res, fallbackName) {
+    const blob = await res.blob();
+    const contentDisposition = res.headers.get('Content-Disposition') || '';
+    let fileName = fallbackName;
+    const match = contentDisposition.match(/filename="?([^"]+)"?/);
+    if (match) {
+        fileName = decodeURIComponent(match[1]);
+    }
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    return fileName;
+}
+
 function escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;
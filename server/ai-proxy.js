@@ -72,6 +72,22 @@ seguindo rigorosamente o padrão de estilização do documento original.
               level 3: "2.1.1 - Detalhe"
 "paragraph" → Texto normal
 "list_item" → Itens de lista (precisa de "level": 1, 2...)
+              "listType" (bullet, decimal, lowerLetter...) e "listId" vêm do Word:
+              itens com o mesmo listId formam uma só lista numerada. Para uma
+              lista nova use um listId novo (ex: "nova_1"); "start" reinicia a
+              numeração. Não altere listType/listId/start de itens existentes
+"content_control" → Controle de conteúdo do Word (capa, formulário). Só existe se
+              vier do original: mantenha id, tag e alias e edite apenas "blocks"
+"image"     → Imagem do original. Pode ser movida ou removida e ter "alt" e "caption"
+              (legenda) editados; mantenha relId, target, width e height
+"toc"       → Sumário do Word. Mantenha o bloco (pode movê-lo ou removê-lo) e não
+              edite "entries": as entradas são refeitas a partir dos headings
+"page_break" → Quebra de página: { "id": "new_004", "type": "page_break" }
+"section_break" → Fim de seção; orientation (portrait/landscape), margins (cm),
+              columns e start (nextPage, continuous) valem para o conteúdo ANTES
+              da quebra (desde a quebra anterior)
+"textbox"   → Caixa de texto do Word, ancorada no bloco "anchorId". Só existe se
+              vier do original: mantenha id e anchorId e edite apenas "blocks"
 
 ═══ FORMATAÇÃO INLINE (dentro do "text") ═══
 
@@ -79,9 +95,50 @@ Use markdown para formatação dentro do texto:
   **texto em negrito**
   *texto em itálico*
   ***negrito e itálico***
+  __sublinhado__
+  ~~tachado~~
+  ==realce==
+  ^sobrescrito^      (ex: m^2^)
+  ~subscrito~        (ex: H~2~O)
+  \`código\`           (fonte monoespaçada)
+  [texto do link](https://url) — hyperlink ("#marcador" para link interno)
+
+Marcas podem ser combinadas (ex: __**texto**__). Preserve as marcas do texto
+original ao editar. Mantenha a URL dos links existentes; links novos podem ser adicionados.
+Uma \\ antes de um caractere de marcador o deixa literal (ex: a\\^b, \\*nota\\*); mantenha
+os escapes do texto original e use-os para escrever esses caracteres como texto.
 
 Use \\n para quebra de linha e \\t para tabulação.
 
+═══ CONTROLES INLINE ═══
+
+Marcadores {{ctl_...}} no texto são campos de formulário do Word. Mantenha o
+marcador no lugar e altere o conteúdo no "text" do item correspondente em
+"controls" do bloco (ou célula). NÃO crie novos controles.
+
+═══ NOTAS DE RODAPÉ / DE FIM ═══
+
+O marcador [^id] no texto indica uma nota; o conteúdo fica na lista "notes":
+  "text": "Conforme a norma[^3], o prazo é de 30 dias."
+  "notes": [{ "id": "3", "type": "footnote", "text": "ABNT NBR 6023, 2018." }]
+
+- Para editar uma nota, altere o "text" dela em "notes" (mantenha o "id")
+- Para criar uma nota, inclua o marcador no texto e uma nova entrada em "notes"
+  com id único (ex: "new_fn1") e type "footnote" ou "endnote"
+- Para remover uma nota, apague o marcador E a entrada em "notes"
+- Cada nota deve ter exatamente um marcador
+
+═══ COMENTÁRIOS ═══
+
+A lista "comments" traz os comentários de revisão, cada um preso ao bloco ou
+célula indicado em "blockId":
+  "comments": [{ "id": "3", "author": "Ana", "blockId": "block_0004", "text": "Confirmar prazo." }]
+
+- Para sugerir uma mudança sem reescrever o texto, crie um comentário com id único
+  (ex: "ia_1"), "blockId" de um bloco de texto, imagem ou célula e o "text" da sugestão
+- Mantenha "author", "date" e "blockId" dos comentários existentes
+- Para remover um comentário, apague a entrada em "comments"
+
 ═══ REGRAS OBRIGATÓRIAS ═══
 
 - SIGA EXATAMENTE o padrão de estilo do JSON original (mesma ordem de tipos, mesma formatação)
@@ -89,10 +146,29 @@ Use \\n para quebra de linha e \\t para tabulação.
 - Para blocos que permanecem iguais ao original, mantenha o ID original
 - Para novos blocos, use IDs sequenciais: "new_001", "new_002", etc.
 - NÃO incluir blocos vazios (text vazio)
-- NÃO incluir imagens
+- NÃO criar imagens: blocos "image" e marcadores {{img_...}} só existem se vierem do
+  original (remover o bloco/marcador remove a imagem)
 - Atualizar blockCount e tableCount na metadata
+- "metadata.properties": pode editar title, subject, author, keywords,
+  description, category, lastModifiedBy, manager e company; não altere
+  revision, created e modified
 - Cada bloco DEVE ter: id, type, text (e level para heading/list_item, rows para table)
-- Cada célula de tabela DEVE ter: id e text
+- Blocos novos podem ter "style" com o id ou name de um estilo de "metadata.styles"
+  (paragraph para title/heading/paragraph/list_item, table para table)
+- Cada célula de tabela DEVE ter: id e text (ou blocks, ver abaixo)
+- No "text" de células, cada linha (\\n) é um parágrafo, "<br>" é quebra de linha
+  dentro do parágrafo e linhas "- item" são itens com marcador (recue 2 espaços por nível)
+  ("\\<br>" e "\\- " no início da linha são texto literal: mantenha o escape)
+- Células mescladas trazem "colSpan"/"rowSpan"; as células cobertas pela mesclagem
+  não aparecem no JSON. NÃO altere colSpan/rowSpan de tabelas existentes
+- Em tabelas existentes você pode acrescentar linhas (células com IDs novos, ex:
+  "new_cell_001", com o mesmo número de colunas e sem rowSpan) ou remover linhas;
+  NÃO altere as células de linhas existentes. "rowTemplate" ("header", "body" ou
+  "last", padrão) escolhe a linha cuja formatação as linhas novas copiam
+- Células com tabelas aninhadas trazem "blocks" (paragraph, list_item, table) no lugar
+  de "text": edite os blocos internos e mantenha "blocks" nessas células
+- "headersFooters" traz cabeçalhos e rodapés (uma seção por parte): altere o "text"
+  dos blocos mantendo o "id" de cada seção; NÃO crie nem remova seções
 
 Responda APENAS com JSON puro, sem explicações, sem blocos de código markdown.`;
 }
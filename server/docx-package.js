@@ -0,0 +1,411 @@
+/**
+ * docx-package.js
+ *
+ * Utilitários do pacote OPC (.docx) compartilhados por extractor e
+ * reconstructor:
+ *   - Relacionamentos (word/_rels/*.rels): leitura e criação de rIds
+ *   - Content types ([Content_Types].xml): registro de novas partes
+ *   - IDs de bloco: numeração posicional ou estável (bookmarks ocultos
+ *     _docia_block_NNNN gravados pelo reconstructor no corpo)
+ *   - Sumário: região de parágrafos ocupada por um campo TOC
+ *   - Propriedades do documento (docProps/core.xml e docProps/app.xml)
+ */
+
+const REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const CT_NS = 'http://schemas.openxmlformats.org/package/2006/content-types';
+const REL_TYPE_BASE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/';
+
+// ─── Relationships ───────────────────────────────────────
+
+function relsPathFor(partPath) {
+    const slash = partPath.lastIndexOf('/');
+    return `${partPath.slice(0, slash + 1)}_rels/${partPath.slice(slash + 1)}.rels`;
+}
+
+/**
+ * Carrega o .rels de uma parte. Retorna { path, baseDir, doc };
+ * cria um documento vazio se a parte ainda não tiver relacionamentos.
+ */
+async function loadRelationships(zip, parser, partPath = 'word/document.xml') {
+    const path = relsPathFor(partPath);
+    const file = zip.file(path);
+    const xml = file
+        ? await file.async('string')
+        : `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="${REL_NS}"/>`;
+    return {
+        path,
+        baseDir: partPath.slice(0, partPath.lastIndexOf('/') + 1),
+        doc: parser.parseFromString(xml, 'text/xml')
+    };
+}
+
+/**
+ * Retorna Map rId → { type, target, targetMode }.
+ * `type` é o sufixo do tipo (ex: "header", "hyperlink"); targets internos
+ * são resolvidos para o caminho completo dentro do ZIP.
+ */
+function getRelationships(rels) {
+    const map = new Map();
+    const nodes = rels.doc.getElementsByTagName('Relationship');
+    for (let i = 0; i < nodes.length; i++) {
+        const rel = nodes[i];
+        const targetMode = rel.getAttribute('TargetMode') || null;
+        let target = rel.getAttribute('Target') || '';
+        if (targetMode !== 'External') {
+            target = target.startsWith('/') ? target.slice(1) : rels.baseDir + target;
+        }
+        map.set(rel.getAttribute('Id'), {
+            type: (rel.getAttribute('Type') || '').split('/').pop(),
+            target,
+            targetMode
+        });
+    }
+    return map;
+}
+
+/**
+ * Adiciona um relacionamento e retorna o novo rId.
+ * `type` é o sufixo do tipo; `target` é relativo à parte de origem.
+ */
+function addRelationship(rels, type, target, external = false) {
+    const root = rels.doc.documentElement;
+    const used = new Set();
+    const nodes = rels.doc.getElementsByTagName('Relationship');
+    for (let i = 0; i < nodes.length; i++) used.add(nodes[i].getAttribute('Id'));
+
+    let n = nodes.length + 1;
+    while (used.has(`rId${n}`)) n++;
+    const id = `rId${n}`;
+
+    const rel = rels.doc.createElementNS(REL_NS, 'Relationship');
+    rel.setAttribute('Id', id);
+    rel.setAttribute('Type', REL_TYPE_BASE + type);
+    rel.setAttribute('Target', target);
+    if (external) rel.setAttribute('TargetMode', 'External');
+    root.appendChild(rel);
+    return id;
+}
+
+function saveRelationships(zip, serializer, rels) {
+    zip.file(rels.path, serializer.serializeToString(rels.doc));
+}
+
+// ─── Content Types ───────────────────────────────────────
+
+/**
+ * Registra um Override em [Content_Types].xml para uma nova parte.
+ * `partPath` sem barra inicial (ex: "word/footnotes.xml").
+ */
+async function addContentTypeOverride(zip, parser, serializer, partPath, contentType) {
+    const file = zip.file('[Content_Types].xml');
+    if (!file) return;
+    const doc = parser.parseFromString(await file.async('string'), 'text/xml');
+    const partName = `/${partPath}`;
+    const overrides = doc.getElementsByTagName('Override');
+    for (let i = 0; i < overrides.length; i++) {
+        if (overrides[i].getAttribute('PartName') === partName) return;
+    }
+    const override = doc.createElementNS(CT_NS, 'Override');
+    override.setAttribute('PartName', partName);
+    override.setAttribute('ContentType', contentType);
+    doc.documentElement.appendChild(override);
+    zip.file('[Content_Types].xml', serializer.serializeToString(doc));
+}
+
+// ─── Block IDs ───────────────────────────────────────────
+
+const BLOCK_TAGS = ['w:p', 'w:tbl', 'w:sdt'];
+// Bookmarks iniciados por "_" ficam ocultos no Word
+const BLOCK_BOOKMARK_PREFIX = '_docia_';
+const STABLE_ID = /^block_\d{4,}$/;
+
+function formatBlockId(idPrefix, index) {
+    return `${idPrefix}block_${String(index).padStart(4, '0')}`;
+}
+
+/**
+ * Número do bloco usado nos IDs derivados (cell_NNNN_..., ctl_NNNN...).
+ */
+function blockNumber(id) {
+    return id.slice(id.lastIndexOf('block_') + 'block_'.length);
+}
+
+/**
+ * Parágrafo que carrega o bookmark de ID: o próprio w:p ou o primeiro
+ * w:p de uma tabela/controle de conteúdo.
+ */
+function getAnchorParagraph(node) {
+    return node.nodeName === 'w:p' ? node : (node.getElementsByTagName('w:p')[0] || null);
+}
+
+function findBlockBookmark(node) {
+    const p = getAnchorParagraph(node);
+    if (!p) return null;
+    for (let i = 0; i < p.childNodes.length; i++) {
+        const child = p.childNodes[i];
+        if (child.nodeName === 'w:bookmarkStart' &&
+            (child.getAttribute('w:name') || '').startsWith(BLOCK_BOOKMARK_PREFIX)) {
+            return child;
+        }
+    }
+    return null;
+}
+
+/**
+ * Atribui IDs aos blocos (w:p, w:tbl, w:sdt) filhos de um container.
+ * Retorna Map nó → ID.
+ *
+ * Sem bookmarks de ID os IDs são posicionais (`${idPrefix}block_NNNN`,
+ * contando também parágrafos vazios que o extractor pula). Com `stable`
+ * (corpo do documento), blocos com bookmark _docia_block_NNNN mantêm esse
+ * ID e os demais recebem números após o maior em uso, na ordem do documento.
+ */
+function assignBlockIds(container, idPrefix = '', stable = false) {
+    const ids = new Map();
+    const nodes = [];
+    for (let i = 0; i < container.childNodes.length; i++) {
+        if (BLOCK_TAGS.includes(container.childNodes[i].nodeName)) nodes.push(container.childNodes[i]);
+    }
+
+    const bookmarked = new Map();
+    const seen = new Set();
+    if (stable) {
+        for (const node of nodes) {
+            const bookmark = findBlockBookmark(node);
+            const id = bookmark && bookmark.getAttribute('w:name').slice(BLOCK_BOOKMARK_PREFIX.length);
+            // Bookmark duplicado (ex: parágrafo copiado) vale só para o primeiro
+            if (!id || !STABLE_ID.test(id) || seen.has(id)) continue;
+            seen.add(id);
+            bookmarked.set(node, id);
+        }
+    }
+
+    if (bookmarked.size === 0) {
+        nodes.forEach((node, index) => ids.set(node, formatBlockId(idPrefix, index)));
+        return ids;
+    }
+
+    let next = 0;
+    for (const id of bookmarked.values()) next = Math.max(next, parseInt(blockNumber(id), 10) + 1);
+    for (const node of nodes) {
+        ids.set(node, bookmarked.has(node) ? `${idPrefix}${bookmarked.get(node)}` : formatBlockId(idPrefix, next++));
+    }
+    return ids;
+}
+
+/**
+ * Grava (ou substitui) o bookmark oculto com o ID estável de um bloco do
+ * corpo. `nextBookmarkId` é chamado para obter um w:id livre. Um bookmark
+ * com o mesmo ID já no parágrafo fica como está.
+ */
+function setBlockBookmark(doc, node, id, nextBookmarkId) {
+    const current = findBlockBookmark(node);
+    if (current && current.getAttribute('w:name') === BLOCK_BOOKMARK_PREFIX + id) return;
+    removeBlockBookmark(node);
+    const p = getAnchorParagraph(node);
+    if (!p || !STABLE_ID.test(id)) return;
+    const ns = p.namespaceURI;
+    const bookmarkId = String(nextBookmarkId());
+    const start = doc.createElementNS(ns, 'w:bookmarkStart');
+    start.setAttribute('w:id', bookmarkId);
+    start.setAttribute('w:name', BLOCK_BOOKMARK_PREFIX + id);
+    const end = doc.createElementNS(ns, 'w:bookmarkEnd');
+    end.setAttribute('w:id', bookmarkId);
+
+    let ref = p.firstChild;
+    while (ref && ref.nodeName === 'w:pPr') ref = ref.nextSibling;
+    p.insertBefore(start, ref);
+    p.insertBefore(end, ref);
+}
+
+function removeBlockBookmark(node) {
+    const start = findBlockBookmark(node);
+    if (!start) return;
+    const p = start.parentNode;
+    const ends = p.getElementsByTagName('w:bookmarkEnd');
+    for (let i = ends.length - 1; i >= 0; i--) {
+        if (ends[i].getAttribute('w:id') === start.getAttribute('w:id')) ends[i].parentNode.removeChild(ends[i]);
+    }
+    p.removeChild(start);
+}
+
+// ─── Sumário (campo TOC) ─────────────────────────────────
+
+const TOC_INSTRUCTION = /^\s*TOC\b/;
+
+function collectFieldNodes(node, out) {
+    for (let i = 0; i < node.childNodes.length; i++) {
+        const child = node.childNodes[i];
+        if (child.nodeName === 'w:fldChar' || child.nodeName === 'w:instrText') {
+            out.push(child);
+        } else if (child.nodeType === 1) {
+            collectFieldNodes(child, out);
+        }
+    }
+    return out;
+}
+
+function getNextElement(node) {
+    let next = node.nextSibling;
+    while (next && next.nodeType !== 1) next = next.nextSibling;
+    return next;
+}
+
+/**
+ * Se o parágrafo inicia um campo TOC (w:fldChar begin + w:instrText "TOC ..."),
+ * retorna { instruction, nodes }: a instrução do campo e os blocos irmãos
+ * ocupados pelo resultado em cache, do parágrafo inicial até o que contém o
+ * w:fldChar end correspondente. Retorna null para outros parágrafos.
+ */
+function getTocRegion(pNode) {
+    if (pNode.nodeName !== 'w:p') return null;
+    const fields = collectFieldNodes(pNode, []);
+    let start = -1;
+    let instruction = '';
+    for (let i = 0; i < fields.length && start < 0; i++) {
+        if (fields[i].nodeName !== 'w:fldChar' || fields[i].getAttribute('w:fldCharType') !== 'begin') continue;
+        instruction = '';
+        for (let j = i + 1; j < fields.length && fields[j].nodeName === 'w:instrText'; j++) {
+            instruction += fields[j].textContent || '';
+        }
+        if (TOC_INSTRUCTION.test(instruction)) start = i;
+    }
+    if (start < 0) return null;
+
+    const nodes = [];
+    let depth = 0;
+    for (let node = pNode; node && BLOCK_TAGS.includes(node.nodeName); node = getNextElement(node)) {
+        nodes.push(node);
+        for (const field of node === pNode ? fields.slice(start) : collectFieldNodes(node, [])) {
+            const type = field.nodeName === 'w:fldChar' ? field.getAttribute('w:fldCharType') : null;
+            if (type === 'begin') depth++;
+            if (type === 'end' && --depth === 0) return { instruction: instruction.trim(), nodes };
+        }
+    }
+    // Campo sem fim: só o parágrafo inicial pertence ao sumário
+    return { instruction: instruction.trim(), nodes: [pNode] };
+}
+
+// ─── Propriedades do documento (docProps) ────────────────
+
+const CORE_PART = 'docProps/core.xml';
+const APP_PART = 'docProps/app.xml';
+const DCTERMS_NS = 'http://purl.org/dc/terms/';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+const APP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/extended-properties';
+// Campo do JSON → elemento da parte
+const CORE_PROPERTIES = {
+    title: { tag: 'dc:title', ns: 'http://purl.org/dc/elements/1.1/' },
+    subject: { tag: 'dc:subject', ns: 'http://purl.org/dc/elements/1.1/' },
+    author: { tag: 'dc:creator', ns: 'http://purl.org/dc/elements/1.1/' },
+    keywords: { tag: 'cp:keywords', ns: 'http://schemas.openxmlformats.org/package/2006/metadata/core-properties' },
+    description: { tag: 'dc:description', ns: 'http://purl.org/dc/elements/1.1/' },
+    category: { tag: 'cp:category', ns: 'http://schemas.openxmlformats.org/package/2006/metadata/core-properties' },
+    lastModifiedBy: { tag: 'cp:lastModifiedBy', ns: 'http://schemas.openxmlformats.org/package/2006/metadata/core-properties' }
+};
+const APP_PROPERTIES = { manager: 'Manager', company: 'Company' };
+// Ordem do schema de app.xml: Manager/Company vêm logo após Template
+const APP_LEADING = ['Template', 'Manager', 'Company'];
+
+async function loadPart(zip, parser, path) {
+    const file = zip.file(path);
+    return file ? parser.parseFromString(await file.async('string'), 'text/xml') : null;
+}
+
+function getElementText(doc, tag) {
+    const el = doc && doc.getElementsByTagName(tag)[0];
+    return el ? (el.textContent || '') : null;
+}
+
+function setElementText(el, text) {
+    while (el.firstChild) el.removeChild(el.firstChild);
+    if (text) el.appendChild(el.ownerDocument.createTextNode(text));
+}
+
+/**
+ * Lê as propriedades do documento. Campos editáveis (CORE_PROPERTIES e
+ * APP_PROPERTIES) sempre aparecem, vazios quando ausentes; revision,
+ * created e modified só quando presentes (são mantidos automaticamente).
+ */
+async function readDocProperties(zip, parser) {
+    const core = await loadPart(zip, parser, CORE_PART);
+    const app = await loadPart(zip, parser, APP_PART);
+    const properties = {};
+    for (const [key, { tag }] of Object.entries(CORE_PROPERTIES)) properties[key] = getElementText(core, tag) || '';
+    for (const [key, tag] of Object.entries(APP_PROPERTIES)) properties[key] = getElementText(app, tag) || '';
+
+    const revision = parseInt(getElementText(core, 'cp:revision'), 10);
+    if (!isNaN(revision)) properties.revision = revision;
+    for (const key of ['created', 'modified']) {
+        const value = getElementText(core, `dcterms:${key}`);
+        if (value) properties[key] = value;
+    }
+    return properties;
+}
+
+/**
+ * Grava as propriedades editadas em docProps/core.xml e docProps/app.xml
+ * e atualiza automaticamente dcterms:modified e cp:revision. Campos
+ * ausentes em `properties` (ou `properties` omitido) mantêm o valor
+ * original. Sem docProps/core.xml nada é gravado.
+ */
+async function writeDocProperties(zip, parser, serializer, properties = {}) {
+    const core = await loadPart(zip, parser, CORE_PART);
+    if (!core) return;
+    const root = core.documentElement;
+    const setCore = (tag, ns, text) => {
+        let el = core.getElementsByTagName(tag)[0];
+        if (!el) {
+            if (!text) return null;
+            el = core.createElementNS(ns, tag);
+            root.appendChild(el);
+        }
+        setElementText(el, text);
+        return el;
+    };
+
+    for (const [key, { tag, ns }] of Object.entries(CORE_PROPERTIES)) {
+        if (typeof properties[key] === 'string') setCore(tag, ns, properties[key]);
+    }
+    const revision = parseInt(getElementText(core, 'cp:revision'), 10);
+    setCore('cp:revision', CORE_PROPERTIES.keywords.ns, String((isNaN(revision) ? 0 : revision) + 1));
+    const modified = setCore('dcterms:modified', DCTERMS_NS, new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'));
+    modified.setAttributeNS(XSI_NS, 'xsi:type', 'dcterms:W3CDTF');
+    zip.file(CORE_PART, serializer.serializeToString(core));
+
+    const app = await loadPart(zip, parser, APP_PART);
+    const appKeys = Object.keys(APP_PROPERTIES).filter(key => typeof properties[key] === 'string');
+    if (!app || appKeys.length === 0) return;
+    for (const key of appKeys) {
+        const tag = APP_PROPERTIES[key];
+        let el = app.getElementsByTagName(tag)[0];
+        if (!el) {
+            if (!properties[key]) continue;
+            el = app.createElementNS(APP_NS, tag);
+            // Depois de Template/Manager já presentes, antes do restante
+            let ref = app.documentElement.firstChild;
+            const before = APP_LEADING.slice(0, APP_LEADING.indexOf(tag));
+            while (ref && (ref.nodeType !== 1 || before.includes(ref.nodeName))) ref = ref.nextSibling;
+            app.documentElement.insertBefore(el, ref);
+        }
+        setElementText(el, properties[key]);
+    }
+    zip.file(APP_PART, serializer.serializeToString(app));
+}
+
+module.exports = {
+    loadRelationships,
+    getRelationships,
+    addRelationship,
+    saveRelationships,
+    addContentTypeOverride,
+    STABLE_ID,
+    formatBlockId,
+    blockNumber,
+    assignBlockIds,
+    setBlockBookmark,
+    removeBlockBookmark,
+    getTocRegion,
+    readDocProperties,
+    writeDocProperties
+};
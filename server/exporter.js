@@ -0,0 +1,741 @@
+/**
+ * exporter.js
+ *
+ * Exporta o JSON de blocos para leitura fora do Word (wiki, pull requests):
+ *   - Markdown (GFM): headings, listas aninhadas pelo level, tabelas e
+ *     notas como [^n]. Marcas sem sintaxe Markdown (sublinhado, realce,
+ *     sobrescrito, subscrito) saem como HTML inline; células mescladas
+ *     ocupam a primeira posição e as demais ficam vazias
+ *   - HTML: página única com folha de estilo derivada de word/styles.xml
+ *     (fontes, tamanhos dos títulos, bordas de tabela) e imagens embutidas
+ *     (data URI)
+ *
+ * Sumários são gerados a partir dos headings do JSON, como na
+ * reconstrução. Quebras de seção, cabeçalhos/rodapés e comentários não são
+ * exportados.
+ */
+
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { loadRelationships, getRelationships } = require('./docx-package');
+const { parseMarkdown, parseCellLine, collectTocHeadings, getTocLevels, DEFAULT_TOC_INSTRUCTION } = require('./reconstructor');
+
+const EXPORT_FORMATS = {
+    md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+// ─── Helpers ──────────────────────────────────────────────
+
+function getFirstChild(parent, tagName) {
+    if (!parent) return null;
+    for (let i = 0; i < parent.childNodes.length; i++) {
+        if (parent.childNodes[i].nodeName === tagName) return parent.childNodes[i];
+    }
+    return null;
+}
+
+function getDirectChildren(parent, tagName) {
+    const result = [];
+    if (!parent) return result;
+    for (let i = 0; i < parent.childNodes.length; i++) {
+        if (parent.childNodes[i].nodeName === tagName) result.push(parent.childNodes[i]);
+    }
+    return result;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function findById(list, id) {
+    return (list || []).find(item => item.id === id) || null;
+}
+
+// ─── Texto inline ────────────────────────────────────────
+
+const CELL_BULLET = /^( *)[-*•] +(.*)$/;
+const SAFE_URL = /^(https?:|mailto:|#)/i;
+
+/** Marcas sem sintaxe Markdown, escritas como HTML inline. */
+const MARKDOWN_HTML_MARKS = [['underline', 'ins'], ['highlight', 'mark'], ['sup', 'sup'], ['sub', 'sub']];
+
+/** Marcas → tags HTML, da mais externa para a mais interna. */
+const HTML_MARKS = [['underline', 'u'], ['strike', 's'], ['highlight', 'mark'], ['sup', 'sup'], ['sub', 'sub'],
+    ['bold', 'strong'], ['italic', 'em'], ['code', 'code']];
+
+/**
+ * Escrita inline de cada formato: escape do texto, marcas, links,
+ * referências a notas e imagens.
+ */
+const INLINE = {
+    md: {
+        escape: (text, code) => code ? text : text.replace(/<(?=[A-Za-z/!?])/g, '&lt;'),
+        wrap(text, marks) {
+            if (marks.code) text = `\`${text}\``;
+            if (marks.bold && marks.italic) text = `***${text}***`;
+            else if (marks.bold) text = `**${text}**`;
+            else if (marks.italic) text = `*${text}*`;
+            if (marks.strike) text = `~~${text}~~`;
+            for (const [key, tag] of MARKDOWN_HTML_MARKS) {
+                if (marks[key]) text = `<${tag}>${text}</${tag}>`;
+            }
+            return text;
+        },
+        link: (text, url) => `[${text}](${url})`,
+        noteRef: (n) => `[^${n}]`,
+        image: (image) => `*[Imagem${image.alt ? `: ${image.alt}` : ''}]*`
+    },
+    html: {
+        escape: (text) => escapeHtml(text).replace(/\n/g, '<br>\n'),
+        wrap(text, marks) {
+            for (let i = HTML_MARKS.length - 1; i >= 0; i--) {
+                const [key, tag] = HTML_MARKS[i];
+                if (marks[key]) text = `<${tag}>${text}</${tag}>`;
+            }
+            return text;
+        },
+        link: (text, url) => SAFE_URL.test(url) ? `<a href="${escapeHtml(url)}">${text}</a>` : text,
+        noteRef: (n) => `<sup class="note-ref"><a href="#nota-${n}" id="ref-${n}">${n}</a></sup>`,
+        image: (image, ctx) => renderHtmlImage(image, ctx)
+    }
+};
+
+/** Número da nota pela ordem da primeira referência no texto exportado. */
+function noteNumber(id, ctx) {
+    if (!ctx.noteOrder.includes(id)) ctx.noteOrder.push(id);
+    return ctx.noteOrder.indexOf(id) + 1;
+}
+
+/**
+ * Converte os marcadores do texto (ver parseMarkdown) para o formato da
+ * exportação. `owner` é o bloco/célula com "controls" e "images".
+ * Espaços nas pontas ficam fora das marcas.
+ */
+function renderInline(text, owner, ctx) {
+    const out = INLINE[ctx.format];
+    let result = '';
+    for (const seg of parseMarkdown(text || '')) {
+        if (seg.noteRef !== undefined) {
+            result += out.noteRef(noteNumber(seg.noteRef, ctx));
+        } else if (seg.control !== undefined) {
+            const control = findById(owner && owner.controls, seg.control);
+            if (control) result += renderInline(control.text, null, ctx);
+        } else if (seg.image !== undefined) {
+            const image = findById(owner && owner.images, seg.image);
+            if (image) result += out.image(image, ctx);
+        } else if (seg.link !== undefined) {
+            const { link, text: linkText, ...marks } = seg;
+            result += out.wrap(out.link(renderInline(linkText, owner, ctx), link), marks);
+        } else if (seg.text) {
+            const [, lead, core, trail] = seg.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            result += core ? out.escape(lead) + out.wrap(out.escape(core, seg.code), seg) + out.escape(trail) : out.escape(seg.text);
+        }
+    }
+    return result;
+}
+
+// ─── Listas ──────────────────────────────────────────────
+
+/**
+ * Posição do item na sua lista: listId (itens sem listId continuam a lista
+ * anterior), level, tipo e número, contado por lista e nível como no Word
+ * ("start" reinicia a contagem; um nível acima zera os mais profundos).
+ */
+function getListItem(block, ctx) {
+    const listId = block.listId || ctx.lastListId || '';
+    const listType = block.listType || ctx.listTypes.get(listId) || 'bullet';
+    ctx.lastListId = listId;
+    ctx.listTypes.set(listId, listType);
+
+    const level = Math.max(1, block.level || 1);
+    const counts = ctx.listCounters.get(listId) || [];
+    counts.length = level;
+    counts[level - 1] = Number.isInteger(block.start) ? block.start : (counts[level - 1] || 0) + 1;
+    ctx.listCounters.set(listId, counts);
+
+    return { listId, level, ordered: listType !== 'bullet' && listType !== 'none', number: counts[level - 1] };
+}
+
+/**
+ * Lista HTML aninhada a partir de itens { level, listId, ordered, number,
+ * html }. Níveis pulados ganham um item sem marcador.
+ */
+function renderHtmlList(items) {
+    let html = '';
+    const stack = [];   // chaves das listas abertas ("ol:3", "ul:")
+    for (const item of items) {
+        const level = Math.max(1, item.level || 1);
+        const key = `${item.ordered ? 'ol' : 'ul'}:${item.listId || ''}`;
+        while (stack.length > level || (stack.length === level && stack[level - 1] !== key)) {
+            html += `</li></${stack.pop().slice(0, 2)}>\n`;
+        }
+        if (stack.length === level) html += '</li>\n';
+        while (stack.length < level) {
+            const own = stack.length === level - 1;
+            if (own && item.ordered) {
+                html += item.number !== 1 ? `<ol start="${item.number}">\n` : '<ol>\n';
+            } else {
+                html += '<ul>\n';
+            }
+            stack.push(own ? key : 'ul:');
+            if (!own) html += '<li class="list-gap">';
+        }
+        html += `<li>${item.html}`;
+    }
+    while (stack.length > 0) html += `</li></${stack.pop().slice(0, 2)}>\n`;
+    return html;
+}
+
+// ─── Markdown ────────────────────────────────────────────
+
+const MARKDOWN_BLOCK_START = /^(\s*)(#{1,6}|[>+*-]|\d+[.)])(?=\s|$)/;
+
+/** Evita que a linha seja lida como heading, lista ou citação. */
+function escapeLineStart(line) {
+    return line.replace(MARKDOWN_BLOCK_START, (m, space, marker) => space + marker.replace(/.$/, '\\$&'));
+}
+
+/** Texto de bloco: "\n" vira quebra de linha (barra no fim da linha). */
+function renderMarkdownText(text, owner, ctx, indent = '') {
+    return renderInline(text, owner, ctx).split('\n').map(escapeLineStart).join(`\\\n${indent}`);
+}
+
+function renderMarkdownCell(cell, ctx) {
+    const lines = cell.blocks
+        ? renderMarkdownCellBlocks(cell.blocks, ctx)
+        : (cell.text || '').split('\n').map(line =>
+            parseCellLine(line).split('\n').map(part => renderInline(part, cell, ctx)).join('<br>'));
+    return lines.join('<br>').replace(/\n/g, '<br>').replace(/\|/g, '\\|');
+}
+
+/** Blocos de uma célula em linhas (tabelas aninhadas: células separadas por " / "). */
+function renderMarkdownCellBlocks(blocks, ctx) {
+    const lines = [];
+    for (const block of blocks || []) {
+        if (block.type === 'table') {
+            for (const row of block.rows || []) lines.push(row.map(cell => renderMarkdownCell(cell, ctx)).join(' / '));
+        } else if (block.type === 'content_control' || block.type === 'textbox') {
+            lines.push(...renderMarkdownCellBlocks(block.blocks, ctx));
+        } else if (block.type === 'image') {
+            lines.push(INLINE.md.image(block));
+        } else if (typeof block.text === 'string') {
+            const text = renderInline(block.text, block, ctx);
+            lines.push(block.type === 'list_item' ? `${'  '.repeat(Math.max(0, (block.level || 1) - 1))}- ${text}` : text);
+        }
+    }
+    return lines;
+}
+
+/** Tabela GFM; a primeira linha é o cabeçalho. */
+function renderMarkdownTable(block, ctx) {
+    const rows = block.rows || [];
+    const grid = rows.map(() => []);
+    rows.forEach((row, r) => {
+        let c = 0;
+        for (const cell of row) {
+            while (grid[r][c] !== undefined) c++;
+            const colSpan = cell.colSpan || 1;
+            for (let dr = 0; dr < (cell.rowSpan || 1) && r + dr < rows.length; dr++) {
+                for (let dc = 0; dc < colSpan; dc++) {
+                    grid[r + dr][c + dc] = dr === 0 && dc === 0 ? renderMarkdownCell(cell, ctx) : '';
+                }
+            }
+            c += colSpan;
+        }
+    });
+    if (grid.length === 0) return '';
+
+    const width = Math.max(...grid.map(row => row.length), 1);
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+    return [line(grid[0]), line(new Array(width).fill('---')), ...grid.slice(1).map(line)].join('\n');
+}
+
+function renderMarkdownToc(block, ctx) {
+    const [min, max] = getTocLevels(block.instruction || DEFAULT_TOC_INSTRUCTION);
+    return ctx.headings
+        .filter(heading => heading.level >= min && heading.level <= max)
+        .map(heading => `${'    '.repeat(heading.level - min)}- ${INLINE.md.escape(heading.text)}`)
+        .join('\n');
+}
+
+function renderMarkdownBlock(block, ctx) {
+    switch (block.type) {
+        case 'title':
+            return `# ${renderInline(block.text, block, ctx).replace(/\n/g, ' ')}`;
+        case 'heading':
+            return `${'#'.repeat(Math.min(Math.max(block.level || 1, 1), 6))} ${renderInline(block.text, block, ctx).replace(/\n/g, ' ')}`;
+        case 'paragraph':
+            return renderMarkdownText(block.text, block, ctx);
+        case 'table':
+            return renderMarkdownTable(block, ctx);
+        case 'image':
+            return block.caption
+                ? `${INLINE.md.image(block)}\\\n${renderMarkdownText(block.caption, block, ctx)}`
+                : INLINE.md.image(block);
+        case 'toc':
+            return renderMarkdownToc(block, ctx);
+        case 'page_break':
+            return '---';
+        case 'textbox':
+            return renderMarkdownBlocks(block.blocks, ctx)
+                .split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+        default:
+            return '';
+    }
+}
+
+/**
+ * Blocos em Markdown, separados por linha em branco. Itens de lista
+ * seguidos formam uma única lista (4 espaços por nível); um nível pulado
+ * sobe para o nível seguinte ao do item anterior (recuo maior viraria
+ * bloco de código).
+ */
+function renderMarkdownBlocks(blocks, ctx) {
+    const chunks = [];
+    let list = [];
+    let listLevel = 0;
+    const flush = () => {
+        if (list.length > 0) chunks.push(list.join('\n'));
+        list = [];
+        listLevel = 0;
+    };
+    for (const block of blocks || []) {
+        if (block.type === 'list_item') {
+            const item = getListItem(block, ctx);
+            listLevel = Math.min(item.level, listLevel + 1);
+            const indent = '    '.repeat(listLevel - 1);
+            const marker = item.ordered ? `${item.number}. ` : '- ';
+            list.push(indent + marker + renderMarkdownText(block.text, block, ctx, indent + ' '.repeat(marker.length)));
+            continue;
+        }
+        flush();
+        const chunk = block.type === 'content_control'
+            ? renderMarkdownBlocks(block.blocks, ctx)
+            : renderMarkdownBlock(block, ctx);
+        if (chunk) chunks.push(chunk);
+    }
+    flush();
+    return chunks.join('\n\n');
+}
+
+function renderMarkdownNotes(ctx) {
+    const lines = [];
+    ctx.noteOrder.forEach((id, i) => {
+        const note = findById(ctx.notes, id);
+        if (note) lines.push(`[^${i + 1}]: ${renderMarkdownText(note.text, note, ctx, '    ')}`);
+    });
+    return lines.join('\n');
+}
+
+function renderMarkdown(json, ctx) {
+    const body = renderMarkdownBlocks(json.blocks, ctx);
+    const notes = renderMarkdownNotes(ctx);
+    return `${[body, notes].filter(Boolean).join('\n\n')}\n`;
+}
+
+// ─── HTML ────────────────────────────────────────────────
+
+const IMAGE_MIME = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml',
+    webp: 'image/webp'
+};
+
+/** Targets das imagens do JSON (blocos image e "images" de blocos/células). */
+function collectImageTargets(value, out = new Set()) {
+    if (Array.isArray(value)) {
+        for (const item of value) collectImageTargets(item, out);
+    } else if (value && typeof value === 'object') {
+        if (typeof value.target === 'string' && 'relId' in value) out.add(value.target);
+        for (const item of Object.values(value)) collectImageTargets(item, out);
+    }
+    return out;
+}
+
+/**
+ * Map target → data URI das imagens usadas pelo JSON. Formatos que o
+ * navegador não exibe (EMF, WMF, TIFF) ficam de fora e saem como texto.
+ */
+async function loadMedia(zip, json) {
+    const media = new Map();
+    for (const target of collectImageTargets(json.blocks)) {
+        const mime = IMAGE_MIME[target.split('.').pop().toLowerCase()];
+        const file = mime && zip.file(target);
+        if (file) media.set(target, `data:${mime};base64,${await file.async('base64')}`);
+    }
+    return media;
+}
+
+function renderHtmlImage(image, ctx) {
+    const src = image.target && ctx.media.get(image.target);
+    if (!src) return `<span class="image-missing">[Imagem${image.alt ? `: ${escapeHtml(image.alt)}` : ''}]</span>`;
+    const size = (image.width ? ` width="${image.width}"` : '') + (image.height ? ` height="${image.height}"` : '');
+    return `<img src="${src}" alt="${escapeHtml(image.alt || '')}"${size}>`;
+}
+
+/** Linhas do texto de uma célula: "- " vira lista, <br> quebra de linha. */
+function renderHtmlCell(cell, ctx) {
+    if (cell.blocks) return renderHtmlBlocks(cell.blocks, ctx);
+
+    const renderLine = (line) => parseCellLine(line).split('\n').map(part => renderInline(part, cell, ctx)).join('<br>');
+    let html = '';
+    let items = [];
+    for (const line of (cell.text || '').split('\n')) {
+        const bullet = line.match(CELL_BULLET);
+        if (bullet) {
+            items.push({ level: Math.floor(bullet[1].length / 2) + 1, ordered: false, html: renderLine(bullet[2]) });
+            continue;
+        }
+        if (items.length > 0) html += renderHtmlList(items);
+        items = [];
+        html += `<p>${renderLine(line)}</p>`;
+    }
+    if (items.length > 0) html += renderHtmlList(items);
+    return html;
+}
+
+function renderHtmlTable(block, ctx) {
+    let html = '<table>\n';
+    for (const row of block.rows || []) {
+        html += '<tr>';
+        for (const cell of row) {
+            const span = (cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : '') + (cell.rowSpan > 1 ? ` rowspan="${cell.rowSpan}"` : '');
+            html += `<td${span}>${renderHtmlCell(cell, ctx)}</td>`;
+        }
+        html += '</tr>\n';
+    }
+    return `${html}</table>\n`;
+}
+
+/** Sumário com links para os headings (âncora = ID do bloco). */
+function renderHtmlToc(block, ctx) {
+    const [min, max] = getTocLevels(block.instruction || DEFAULT_TOC_INSTRUCTION);
+    const items = ctx.headings
+        .filter(heading => heading.level >= min && heading.level <= max)
+        .map(heading => ({
+            level: heading.level - min + 1,
+            ordered: false,
+            html: `<a href="#${escapeHtml(heading.id)}">${escapeHtml(heading.text)}</a>`
+        }));
+    return `<nav class="toc">\n${renderHtmlList(items)}</nav>\n`;
+}
+
+function renderHtmlBlock(block, ctx) {
+    const id = block.id ? ` id="${escapeHtml(block.id)}"` : '';
+    switch (block.type) {
+        case 'title':
+            return `<h1 class="title"${id}>${renderInline(block.text, block, ctx)}</h1>\n`;
+        case 'heading': {
+            const tag = `h${Math.min(Math.max(block.level || 1, 1), 6)}`;
+            return `<${tag}${id}>${renderInline(block.text, block, ctx)}</${tag}>\n`;
+        }
+        case 'paragraph':
+            return `<p${id}>${renderInline(block.text, block, ctx)}</p>\n`;
+        case 'table':
+            return renderHtmlTable(block, ctx);
+        case 'image': {
+            const caption = block.caption ? `<figcaption>${renderInline(block.caption, block, ctx)}</figcaption>` : '';
+            return `<figure${id}>${renderHtmlImage(block, ctx)}${caption}</figure>\n`;
+        }
+        case 'toc':
+            return renderHtmlToc(block, ctx);
+        case 'page_break':
+            return '<hr class="page-break">\n';
+        case 'content_control':
+            return renderHtmlBlocks(block.blocks, ctx);
+        case 'textbox':
+            return `<aside class="textbox">\n${renderHtmlBlocks(block.blocks, ctx)}</aside>\n`;
+        default:
+            return '';
+    }
+}
+
+function renderHtmlBlocks(blocks, ctx) {
+    let html = '';
+    let items = [];
+    for (const block of blocks || []) {
+        if (block.type === 'list_item') {
+            items.push({ ...getListItem(block, ctx), html: renderInline(block.text, block, ctx) });
+            continue;
+        }
+        if (items.length > 0) html += renderHtmlList(items);
+        items = [];
+        html += renderHtmlBlock(block, ctx);
+    }
+    if (items.length > 0) html += renderHtmlList(items);
+    return html;
+}
+
+function renderHtmlNotes(ctx) {
+    const items = [];
+    ctx.noteOrder.forEach((id, i) => {
+        const note = findById(ctx.notes, id);
+        if (note) items.push(`<li id="nota-${i + 1}">${renderInline(note.text, note, ctx)} <a href="#ref-${i + 1}">↩</a></li>`);
+    });
+    return items.length > 0 ? `<section class="notes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>\n` : '';
+}
+
+function renderHtml(json, ctx, styleSheet) {
+    const props = (json.metadata && json.metadata.properties) || {};
+    const title = props.title || (json.metadata && json.metadata.fileName) || 'Documento';
+    const body = renderHtmlBlocks(json.blocks, ctx);
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="pt-BR">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        `<style>\n${styleSheet}</style>`,
+        '</head>',
+        '<body>',
+        `<article>\n${body}${renderHtmlNotes(ctx)}</article>`,
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+// ─── Folha de estilo (word/styles.xml) ───────────────────
+
+const HEADING_NAME = /^heading\s*(\d)$/i;
+const SERIF_FONT = /times|georgia|cambria|garamond|palatino|book antiqua|century|serif/i;
+const MONOSPACE_FONT = /^(courier|consolas|lucida console|lucida sans typewriter|menlo|monaco|source code pro|cascadia (code|mono)|fira (code|mono)|jetbrains mono|roboto mono|dejavu sans mono|liberation mono)/i;
+const BORDER_STYLES = { single: 'solid', thick: 'solid', double: 'double', dotted: 'dotted', dashed: 'dashed', dashSmallGap: 'dashed', dotDash: 'dashed' };
+const ALIGNMENTS = { left: 'left', start: 'left', center: 'center', right: 'right', end: 'right', both: 'justify', distribute: 'justify' };
+const STATIC_CSS = `body { max-width: 52em; margin: 2em auto; padding: 0 1.5em; line-height: 1.4; }
+table { border-collapse: collapse; margin: 0 0 1em; }
+td { padding: 0.2em 0.5em; vertical-align: top; }
+td p { margin: 0; }
+img { max-width: 100%; height: auto; }
+figure { margin: 1em 0; text-align: center; }
+figcaption { font-size: 0.9em; font-style: italic; }
+.textbox { border: 1px solid #bbb; padding: 0.5em 1em; margin: 1em 0; }
+.page-break { border: 0; border-top: 1px dashed #bbb; margin: 2em 0; }
+.list-gap { list-style: none; }
+.image-missing { color: #888; font-style: italic; }
+.notes { border-top: 1px solid #bbb; margin-top: 2em; font-size: 0.9em; }
+`;
+
+function isOn(el) {
+    if (!el) return false;
+    const val = el.getAttribute('w:val');
+    return val !== '0' && val !== 'false' && val !== 'off';
+}
+
+/** Fontes do tema (a:majorFont / a:minorFont), usadas por w:asciiTheme. */
+async function loadThemeFonts(zip, parser) {
+    const rels = getRelationships(await loadRelationships(zip, parser));
+    const rel = [...rels.values()].find(r => r.type === 'theme');
+    const file = rel && zip.file(rel.target);
+    if (!file) return {};
+    const doc = parser.parseFromString(await file.async('string'), 'text/xml');
+    const latin = (tag) => {
+        const font = getFirstChild(doc.getElementsByTagName(tag)[0], 'a:latin');
+        return (font && font.getAttribute('typeface')) || undefined;
+    };
+    return { major: latin('a:majorFont'), minor: latin('a:minorFont') };
+}
+
+/** Fonte, tamanho (pt), negrito, itálico, cor, caixa alta, alinhamento e espaçamento (pt). */
+function readFormatting(rPr, pPr, themeFonts) {
+    const fmt = {};
+    const fonts = getFirstChild(rPr, 'w:rFonts');
+    if (fonts) {
+        const theme = fonts.getAttribute('w:asciiTheme');
+        const font = theme ? themeFonts[theme.startsWith('major') ? 'major' : 'minor'] : fonts.getAttribute('w:ascii');
+        if (font) fmt.font = font;
+    }
+    const sz = getFirstChild(rPr, 'w:sz');
+    if (sz && parseInt(sz.getAttribute('w:val'), 10)) fmt.size = parseInt(sz.getAttribute('w:val'), 10) / 2;
+    for (const [tag, key] of [['w:b', 'bold'], ['w:i', 'italic'], ['w:caps', 'caps']]) {
+        const el = getFirstChild(rPr, tag);
+        if (el) fmt[key] = isOn(el);
+    }
+    const color = getFirstChild(rPr, 'w:color');
+    if (color && /^[0-9A-Fa-f]{6}$/.test(color.getAttribute('w:val') || '')) fmt.color = `#${color.getAttribute('w:val')}`;
+
+    const jc = getFirstChild(pPr, 'w:jc');
+    if (jc && ALIGNMENTS[jc.getAttribute('w:val')]) fmt.align = ALIGNMENTS[jc.getAttribute('w:val')];
+    const spacing = getFirstChild(pPr, 'w:spacing');
+    if (spacing) {
+        for (const key of ['before', 'after']) {
+            const value = parseInt(spacing.getAttribute(`w:${key}`), 10);
+            if (!isNaN(value)) fmt[key] = value / 20;
+        }
+    }
+    return fmt;
+}
+
+/** Formatação do estilo somada à dos estilos em que se baseia (w:basedOn). */
+function resolveStyle(styles, styleId, seen = new Set()) {
+    const style = styles.get(styleId);
+    if (!style || seen.has(styleId)) return {};
+    seen.add(styleId);
+    return { ...resolveStyle(styles, style.basedOn, seen), ...style.fmt };
+}
+
+/** w:tblBorders do estilo de tabela ou do estilo em que se baseia. */
+function getTableBorders(styles, styleId, seen = new Set()) {
+    const style = styles.get(styleId);
+    if (!style || seen.has(styleId)) return null;
+    seen.add(styleId);
+    return getFirstChild(getFirstChild(style.node, 'w:tblPr'), 'w:tblBorders') || getTableBorders(styles, style.basedOn, seen);
+}
+
+/** Estilo de tabela mais usado no corpo. */
+function getMainTableStyle(documentXml) {
+    const counts = new Map();
+    for (const match of (documentXml || '').matchAll(/<w:tblStyle w:val="([^"]+)"/g)) {
+        counts.set(match[1], (counts.get(match[1]) || 0) + 1);
+    }
+    let best = null;
+    for (const [styleId, count] of counts) {
+        if (!best || count > counts.get(best)) best = styleId;
+    }
+    return best;
+}
+
+/**
+ * font-family com o nome da fonte do documento. Só letras, dígitos, espaço
+ * e hífen passam: o nome vem do .docx e vai para dentro do <style>.
+ */
+function cssFont(font) {
+    const generic = MONOSPACE_FONT.test(font) ? 'monospace' : SERIF_FONT.test(font) ? 'serif' : 'sans-serif';
+    const name = font.replace(/[^\p{L}\p{N} -]/gu, '').trim();
+    return name ? `"${name}", ${generic}` : generic;
+}
+
+function cssBorder(el) {
+    if (!el) return 'none';
+    const val = el.getAttribute('w:val') || 'single';
+    if (val === 'nil' || val === 'none') return 'none';
+    const width = Math.max(parseInt(el.getAttribute('w:sz'), 10) || 4, 2) / 8;
+    const color = el.getAttribute('w:color');
+    return `${width}pt ${BORDER_STYLES[val] || 'solid'} ${/^[0-9A-Fa-f]{6}$/.test(color || '') ? `#${color}` : 'currentColor'}`;
+}
+
+function cssRule(selector, fmt, heading = false) {
+    const decls = [];
+    if (fmt.font) decls.push(`font-family: ${cssFont(fmt.font)}`);
+    if (fmt.size) decls.push(`font-size: ${fmt.size}pt`);
+    if (heading || fmt.bold !== undefined) decls.push(`font-weight: ${fmt.bold ? 'bold' : 'normal'}`);
+    if (fmt.italic !== undefined) decls.push(`font-style: ${fmt.italic ? 'italic' : 'normal'}`);
+    if (fmt.color) decls.push(`color: ${fmt.color}`);
+    if (fmt.caps) decls.push('text-transform: uppercase');
+    if (fmt.align) decls.push(`text-align: ${fmt.align}`);
+    if (fmt.before !== undefined || fmt.after !== undefined) decls.push(`margin: ${fmt.before || 0}pt 0 ${fmt.after || 0}pt`);
+    return decls.length > 0 ? `${selector} { ${decls.join('; ')}; }\n` : '';
+}
+
+/**
+ * CSS do documento: fonte e parágrafos do estilo padrão (w:docDefaults +
+ * Normal), títulos (Title, heading 1–6 ou w:outlineLvl) e bordas do estilo
+ * de tabela mais usado no corpo (ou o padrão; sem bordas definidas, borda
+ * simples).
+ */
+async function buildStyleSheet(zip, parser) {
+    const stylesFile = zip.file('word/styles.xml');
+    if (!stylesFile) return STATIC_CSS;
+    const doc = parser.parseFromString(await stylesFile.async('string'), 'text/xml');
+    const themeFonts = await loadThemeFonts(zip, parser);
+
+    const defaults = getFirstChild(doc.documentElement, 'w:docDefaults');
+    const base = readFormatting(
+        getFirstChild(getFirstChild(defaults, 'w:rPrDefault'), 'w:rPr'),
+        getFirstChild(getFirstChild(defaults, 'w:pPrDefault'), 'w:pPr'),
+        themeFonts);
+
+    const styles = new Map();
+    const headings = {};
+    let normalId = null;
+    let titleId = null;
+    let tableId = null;
+    for (const style of getDirectChildren(doc.documentElement, 'w:style')) {
+        const styleId = style.getAttribute('w:styleId');
+        if (!styleId) continue;
+        const type = style.getAttribute('w:type');
+        const basedOn = getFirstChild(style, 'w:basedOn');
+        const pPr = getFirstChild(style, 'w:pPr');
+        styles.set(styleId, {
+            basedOn: basedOn && basedOn.getAttribute('w:val'),
+            fmt: readFormatting(getFirstChild(style, 'w:rPr'), pPr, themeFonts),
+            node: style
+        });
+
+        const isDefault = ['1', 'true', 'on'].includes(style.getAttribute('w:default'));
+        if (type === 'table' && isDefault) tableId = styleId;
+        if (type !== 'paragraph') continue;
+        const nameEl = getFirstChild(style, 'w:name');
+        const name = (nameEl && nameEl.getAttribute('w:val')) || '';
+        const outlineLvl = getFirstChild(pPr, 'w:outlineLvl');
+        const headingMatch = name.match(HEADING_NAME);
+        const level = headingMatch ? parseInt(headingMatch[1], 10)
+            : outlineLvl ? parseInt(outlineLvl.getAttribute('w:val'), 10) + 1 : null;
+        if (isDefault) normalId = styleId;
+        if (/^title$/i.test(name)) titleId = styleId;
+        if (level >= 1 && level <= 6 && !headings[level]) headings[level] = styleId;
+    }
+
+    const documentFile = zip.file('word/document.xml');
+    const mainTable = getMainTableStyle(documentFile && await documentFile.async('string'));
+    if (mainTable && styles.has(mainTable)) tableId = mainTable;
+
+    const normal = { ...base, ...resolveStyle(styles, normalId) };
+    const { font, size, color } = normal;
+    let css = STATIC_CSS;
+    css += cssRule('body', { font, size, color });
+    css += cssRule('p', { align: normal.align, before: normal.before, after: normal.after });
+    for (let level = 1; level <= 6; level++) {
+        if (headings[level]) css += cssRule(`h${level}`, { ...base, ...resolveStyle(styles, headings[level]) }, true);
+    }
+    if (titleId) css += cssRule('h1.title', { ...base, ...resolveStyle(styles, titleId) }, true);
+
+    const borders = getTableBorders(styles, tableId);
+    const border = (...tags) => {
+        if (!borders) return '0.5pt solid currentColor';
+        const el = tags.map(tag => getFirstChild(borders, tag)).find(Boolean);
+        return cssBorder(el);
+    };
+    css += `td { border-top: ${border('w:insideH')}; border-bottom: ${border('w:insideH')}; border-left: ${border('w:insideV')}; border-right: ${border('w:insideV')}; }\n`;
+    css += `tr:first-child > td { border-top: ${border('w:top')}; }\n`;
+    css += `tr:last-child > td { border-bottom: ${border('w:bottom')}; }\n`;
+    css += `td:first-child { border-left: ${border('w:left', 'w:start')}; }\n`;
+    css += `td:last-child { border-right: ${border('w:right', 'w:end')}; }\n`;
+    return css;
+}
+
+// ─── Main Export ─────────────────────────────────────────
+
+/**
+ * Exporta o JSON de blocos em Markdown ("md") ou HTML ("html"). `buffer` é
+ * o .docx original, de onde o HTML tira os estilos e as imagens.
+ */
+async function exportDocument(buffer, json, format) {
+    const ctx = {
+        format,
+        notes: json.notes || [],
+        noteOrder: [],
+        headings: collectTocHeadings(json.blocks),
+        listCounters: new Map(),
+        listTypes: new Map(),
+        lastListId: null,
+        media: new Map()
+    };
+    if (format === 'md') return renderMarkdown(json, ctx);
+
+    const zip = await JSZip.loadAsync(buffer);
+    const parser = new DOMParser();
+    ctx.media = await loadMedia(zip, json);
+    return renderHtml(json, ctx, await buildStyleSheet(zip, parser));
+}
+
+module.exports = { EXPORT_FORMATS, exportDocument };
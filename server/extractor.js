@@ -5,26 +5,92 @@
  *
  * Tipos detectados:
  *   title      — título principal do documento
- *   heading    — seções numeradas (1., 2.1, 2.1.1) ou estilos Word
+ *   heading    — estilos Word ou padrões do perfil de detecção
+ *                (server/profiles): seções numeradas (1., 2.1, 2.1.1),
+ *                "Art. 5º", formatação...
  *   paragraph  — texto normal
- *   list_item  — itens de lista (w:numPr ou bullet manual)
- *   table      — tabelas
+ *   list_item  — itens de lista (w:numPr ou bullet manual), com listType
+ *                (w:numFmt do nível em word/numbering.xml), listId (w:numId)
+ *                e start no ponto de reinício da numeração
+ *   table      — tabelas (células mescladas: colSpan/rowSpan na célula dona;
+ *                continuações de w:vMerge não aparecem no JSON). Células com
+ *                tabela aninhada trazem "blocks" (paragraph, list_item, table)
+ *                no lugar de "text"
+ *   content_control — controle de conteúdo (w:sdt) de bloco, com tag,
+ *                alias, placeholder e os blocos internos em "blocks"
+ *   image      — parágrafo só com imagem: relId, target, width/height (px),
+ *                alt (wp:docPr/@descr) e caption (parágrafo de legenda seguinte)
+ *   toc        — sumário (campo TOC): instruction e as entradas em cache
+ *                ({ level, text, page }), somente leitura. Todos os parágrafos
+ *                do campo formam um único bloco
+ *   page_break — quebra de página (w:br w:type="page") em parágrafo próprio
+ *                ou no início/fim de um parágrafo com texto
+ *   section_break — fim de seção (w:sectPr do parágrafo): start (w:type),
+ *                orientation, margins (cm) e columns da seção que termina
+ *                nela
+ *   textbox    — caixa de texto (w:txbxContent) ancorada em um parágrafo:
+ *                anchorId e os parágrafos internos em "blocks"
+ *
+ * Controles de conteúdo inline (w:sdt dentro de w:p) aparecem no texto
+ * como {{ctl_0003_0}} e são descritos em "controls" do bloco/célula.
+ * Imagens dentro de parágrafos com texto aparecem como {{img_0003_0}} e
+ * são descritas em "images" do bloco/célula.
+ *
+ * Cabeçalhos e rodapés (word/headerN.xml, word/footerN.xml) são extraídos
+ * em "headersFooters", uma seção por parte, com IDs prefixados pelo nome
+ * da parte (ex: "header1_block_0000", "footer2_cell_0001_0_0").
+ *
+ * Notas de rodapé e de fim (word/footnotes.xml, word/endnotes.xml) são
+ * extraídas em "notes"; o texto dos blocos carrega o marcador [^id].
+ *
+ * Comentários (word/comments.xml) são extraídos em "comments", com autor,
+ * data e o "blockId" do bloco/célula onde o comentário começa.
+ *
+ * Propriedades do documento (docProps/core.xml, docProps/app.xml: título,
+ * assunto, autor, palavras-chave...) ficam em "metadata.properties"; os
+ * estilos de parágrafo e de tabela de styles.xml, em "metadata.styles".
  *
  * Formatação inline:
  *   **texto**  — negrito
  *   *texto*    — itálico
  *   ***texto***— negrito + itálico
+ *   __texto__  — sublinhado
+ *   ~~texto~~  — tachado
+ *   ==texto==  — realce
+ *   ^texto^    — sobrescrito (ex: m^2^)
+ *   ~texto~    — subscrito (ex: H~2~O)
+ *   `texto`    — código (fonte monoespaçada ou estilo de código)
+ *   [^3]       — referência à nota de rodapé 3 ([^e3] para nota de fim)
+ *   [texto](url) — hyperlink (r:id resolvido pelo .rels da parte;
+ *                âncoras internas viram "#marcador")
  *
  * Regras:
  *   - Parágrafos vazios são removidos do JSON (mas contam no índice)
- *   - Parágrafos só com imagem são removidos
- *   - Imagens dentro de parágrafos com texto são ignoradas
+ *   - Quebras no início/fim de um parágrafo com texto viram blocos com ID
+ *     derivado do parágrafo: "block_0003_pb" (antes), "block_0003_pb_end"
+ *     (depois) e "block_0003_sect" (fim de seção); caixas de texto usam
+ *     "block_0003_txbx_0", "block_0003_txbx_1"...
+ *   - Parágrafos só com imagem viram blocos image; uma legenda (estilo
+ *     Caption/Legenda) logo em seguida vira o "caption" do bloco e conta
+ *     no índice como o parágrafo que é
  *   - Texto é trimado
- *   - IDs sequenciais mantidos para compatibilidade com reconstructor
+ *   - IDs sequenciais mantidos para compatibilidade com reconstructor. No
+ *     corpo, blocos com bookmark oculto _docia_block_NNNN (gravado pelo
+ *     reconstructor) mantêm esse ID, então um .docx gerado pode ser
+ *     re-extraído sem deslocar os IDs
  */
 
 const JSZip = require('jszip');
 const { DOMParser } = require('@xmldom/xmldom');
+const {
+    loadRelationships,
+    getRelationships,
+    assignBlockIds,
+    blockNumber,
+    getTocRegion,
+    readDocProperties
+} = require('./docx-package');
+const { loadProfile } = require('./profiles');
 
 // ─── Helpers ──────────────────────────────────────────────
 
@@ -58,14 +124,30 @@ function getPlainText(node) {
             text += '\t';
         } else if (child.nodeName === 'w:br') {
             text += '\n';
-        } else if (child.nodeType === 1 && child.nodeName !== 'w:pPr' && child.nodeName !== 'w:rPr') {
+        } else if (child.nodeType === 1 && child.nodeName !== 'w:pPr' && child.nodeName !== 'w:rPr' &&
+            child.nodeName !== 'w:txbxContent') {
+            // Texto de caixas de texto pertence aos blocos textbox
             text += getPlainText(child);
         }
     }
     return text;
 }
 
-// ─── Formatted Text (with **bold** / *italic*) ───────────
+// ─── Formatted Text (with **bold** / *italic* / ...) ─────
+
+/**
+ * Marcas inline além de negrito/itálico, na ordem em que envolvem o texto
+ * (da mais externa para a mais interna). `código` fica sempre por dentro.
+ */
+const WRAPPER_MARKS = [
+    { key: 'underline', token: '__' },
+    { key: 'strike', token: '~~' },
+    { key: 'highlight', token: '==' },
+    { key: 'sup', token: '^' },
+    { key: 'sub', token: '~' }
+];
+const MARK_KEYS = ['bold', 'italic', 'code', ...WRAPPER_MARKS.map(m => m.key)];
+const MONOSPACE_FONT = /^(courier|consolas|lucida console|lucida sans typewriter|menlo|monaco|source code pro|cascadia (code|mono)|fira (code|mono)|jetbrains mono|roboto mono|dejavu sans mono|liberation mono)/i;
 
 function hasBoolProp(rPr, propName) {
     if (!rPr) return false;
@@ -75,36 +157,285 @@ function hasBoolProp(rPr, propName) {
     return val !== '0' && val !== 'false';
 }
 
-function collectFormattedSegments(node, segments) {
+function getPropVal(rPr, propName) {
+    const prop = getFirstChild(rPr, propName);
+    return prop ? prop.getAttribute('w:val') : null;
+}
+
+function isCodeRun(rPr) {
+    if (/code|verbatim/i.test(getPropVal(rPr, 'w:rStyle') || '')) return true;
+    const rFonts = getFirstChild(rPr, 'w:rFonts');
+    return !!rFonts && MONOSPACE_FONT.test(rFonts.getAttribute('w:ascii') || rFonts.getAttribute('w:hAnsi') || '');
+}
+
+/**
+ * Marcas inline de um run a partir do w:rPr direto.
+ * Dentro de hyperlinks o sublinhado é a aparência do link e é ignorado.
+ */
+function getRunMarks(rPr, inHyperlink) {
+    const underline = getPropVal(rPr, 'w:u');
+    const highlight = getPropVal(rPr, 'w:highlight');
+    const vertAlign = getPropVal(rPr, 'w:vertAlign');
+    return {
+        bold: hasBoolProp(rPr, 'w:b'),
+        italic: hasBoolProp(rPr, 'w:i'),
+        underline: !inHyperlink && getFirstChild(rPr, 'w:u') !== null && underline !== 'none',
+        strike: hasBoolProp(rPr, 'w:strike') || hasBoolProp(rPr, 'w:dstrike'),
+        highlight: getFirstChild(rPr, 'w:highlight') !== null && highlight !== 'none',
+        sup: vertAlign === 'superscript',
+        sub: vertAlign === 'subscript',
+        code: isCodeRun(rPr)
+    };
+}
+
+/**
+ * Lê as propriedades de um w:sdt: tag, alias, placeholder (docPart) e
+ * se o conteúdo atual é o texto de placeholder.
+ */
+function getControlProps(sdtNode) {
+    const sdtPr = getFirstChild(sdtNode, 'w:sdtPr');
+    const val = (name) => {
+        const el = getFirstChild(sdtPr, name);
+        return el ? el.getAttribute('w:val') : null;
+    };
+    const docPart = getFirstChild(getFirstChild(sdtPr, 'w:placeholder'), 'w:docPart');
+    return {
+        tag: val('w:tag'),
+        alias: val('w:alias'),
+        placeholder: docPart ? docPart.getAttribute('w:val') : null,
+        showingPlaceholder: getFirstChild(sdtPr, 'w:showingPlcHdr') !== null
+    };
+}
+
+/**
+ * Destino de um w:hyperlink: URL do relacionamento r:id (mais o w:anchor,
+ * se houver) ou "#marcador" para links internos. Retorna null se não
+ * for possível resolver.
+ */
+function getHyperlinkTarget(hyperlink, rels) {
+    const anchor = hyperlink.getAttribute('w:anchor');
+    const relId = hyperlink.getAttribute('r:id');
+    if (relId) {
+        const rel = rels && rels.get(relId);
+        if (!rel || rel.type !== 'hyperlink') return null;
+        return anchor ? `${rel.target}#${anchor}` : rel.target;
+    }
+    return anchor ? `#${anchor}` : null;
+}
+
+/**
+ * URL dentro de "(url)": parênteses equilibrados passam como estão
+ * (".../Foo_(bar)"); espaços e parênteses soltos saem em %XX, senão o
+ * reconstructor cortaria a URL.
+ */
+function encodeLinkUrl(url) {
+    if (/^(?:[^()\s]|\([^()\s]*\))+$/.test(url)) return url;
+    return url.replace(/[()\s]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+// ─── Images ──────────────────────────────────────────────
+
+const IMAGE_TAGS = ['w:drawing', 'w:pict', 'mc:AlternateContent'];
+const EMU_PER_PX = 9525;
+const EMU_PER_PT = 12700;
+const CAPTION_STYLE = /^(caption|legenda)$/i;
+
+/**
+ * Caixa de texto/forma com texto: elemento de desenho com w:txbxContent
+ * (wps:txbx no DrawingML, v:textbox no VML).
+ */
+function isTextBox(node) {
+    return node.getElementsByTagName('w:txbxContent').length > 0;
+}
+
+function isInTextBox(node) {
+    for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+        if (parent.nodeName === 'w:txbxContent') return true;
+    }
+    return false;
+}
+
+function hasImage(node) {
+    for (const tag of IMAGE_TAGS) {
+        const elements = node.getElementsByTagName(tag);
+        for (let i = 0; i < elements.length; i++) {
+            if (!isTextBox(elements[i]) && !isInTextBox(elements[i])) return true;
+        }
+    }
+    return false;
+}
+
+function isImageOnlyParagraph(pNode) {
+    if (!hasImage(pNode)) return false;
+    const text = getPlainText(pNode).trim();
+    return text.length === 0;
+}
+
+/**
+ * Elementos de imagem (w:drawing, w:pict, mc:AlternateContent) dos runs
+ * de um parágrafo, na ordem do documento (desce em hyperlinks). Com
+ * `textBoxes`, retorna as caixas de texto em vez das imagens.
+ */
+function collectImageNodes(node, out, textBoxes = false) {
+    for (let i = 0; i < node.childNodes.length; i++) {
+        const child = node.childNodes[i];
+        if (child.nodeName === 'w:r') {
+            for (let j = 0; j < child.childNodes.length; j++) {
+                const rc = child.childNodes[j];
+                if (IMAGE_TAGS.includes(rc.nodeName) && isTextBox(rc) === textBoxes) out.push(rc);
+            }
+        } else if (child.nodeName === 'w:hyperlink') {
+            collectImageNodes(child, out, textBoxes);
+        }
+    }
+    return out;
+}
+
+/**
+ * Descreve uma imagem: { relId, target, width, height, alt }.
+ * Dimensões em pixels (96 dpi), de wp:extent ou do style VML.
+ */
+function getImageInfo(imageNode, rels) {
+    const info = { relId: null, target: null, width: null, height: null, alt: '' };
+    const drawing = imageNode.nodeName === 'w:drawing' ? imageNode : imageNode.getElementsByTagName('w:drawing')[0];
+    if (drawing) {
+        const extent = drawing.getElementsByTagName('wp:extent')[0];
+        if (extent) {
+            info.width = Math.round(parseInt(extent.getAttribute('cx'), 10) / EMU_PER_PX);
+            info.height = Math.round(parseInt(extent.getAttribute('cy'), 10) / EMU_PER_PX);
+        }
+        const docPr = drawing.getElementsByTagName('wp:docPr')[0];
+        if (docPr) info.alt = docPr.getAttribute('descr') || '';
+        const blip = drawing.getElementsByTagName('a:blip')[0];
+        const chart = drawing.getElementsByTagName('c:chart')[0];
+        if (blip) info.relId = blip.getAttribute('r:embed') || blip.getAttribute('r:link') || null;
+        else if (chart) info.relId = chart.getAttribute('r:id') || null;
+    } else {
+        const shape = imageNode.getElementsByTagName('v:shape')[0];
+        const imageData = imageNode.getElementsByTagName('v:imagedata')[0];
+        if (imageData) info.relId = imageData.getAttribute('r:id') || null;
+        if (shape) {
+            info.alt = shape.getAttribute('alt') || (imageData && imageData.getAttribute('o:title')) || '';
+            const style = shape.getAttribute('style') || '';
+            const size = (prop) => {
+                const match = style.match(new RegExp(`(?:^|;)\\s*${prop}:\\s*([\\d.]+)pt`));
+                return match ? Math.round(parseFloat(match[1]) * EMU_PER_PT / EMU_PER_PX) : null;
+            };
+            info.width = size('width');
+            info.height = size('height');
+        }
+    }
+    const rel = info.relId && rels && rels.get(info.relId);
+    if (rel) info.target = rel.target;
+    return info;
+}
+
+function isCaptionParagraph(pNode) {
+    const pStyle = getFirstChild(getFirstChild(pNode, 'w:pPr'), 'w:pStyle');
+    return !!pStyle && CAPTION_STYLE.test(pStyle.getAttribute('w:val') || '');
+}
+
+function getNextElement(node) {
+    let next = node.nextSibling;
+    while (next && next.nodeType !== 1) next = next.nextSibling;
+    return next;
+}
+
+/**
+ * options.controlPrefix / options.controls — quando informados, controles
+ * inline viram o marcador {{prefix_N}} e são descritos em options.controls;
+ * sem eles, o texto do controle é incorporado diretamente.
+ * options.imagePrefix / options.images — quando informados, imagens dos
+ * runs viram o marcador {{prefix_N}} e são descritas em options.images;
+ * sem eles, são ignoradas.
+ * options.rels — relacionamentos da parte (Map), para resolver hyperlinks.
+ * options.lineBreak — texto de um w:br (padrão "\n"; "<br>" em células,
+ *   onde "\n" separa parágrafos e um "<br>" literal sai como "\<br>").
+ * options.inHyperlink — uso interno, ao descer em um w:hyperlink.
+ */
+function collectFormattedSegments(node, segments, options = {}) {
     if (!node || !node.childNodes) return;
     for (let i = 0; i < node.childNodes.length; i++) {
         const child = node.childNodes[i];
         if (child.nodeName === 'w:r') {
-            const rPr = getFirstChild(child, 'w:rPr');
-            const bold = hasBoolProp(rPr, 'w:b');
-            const italic = hasBoolProp(rPr, 'w:i');
+            const marks = getRunMarks(getFirstChild(child, 'w:rPr'), options.inHyperlink);
             for (let j = 0; j < child.childNodes.length; j++) {
                 const rc = child.childNodes[j];
                 if (rc.nodeName === 'w:t') {
-                    segments.push({ text: rc.textContent || '', bold, italic });
+                    let text = escapeMarkers(rc.textContent || '');
+                    if (options.lineBreak === '<br>') text = text.replace(CELL_LITERAL_BREAK, (m, backslash, br) => escapeCellMarker(backslash, br));
+                    segments.push({ text, ...marks });
+                } else if (IMAGE_TAGS.includes(rc.nodeName)) {
+                    // Caixas de texto viram blocos textbox
+                    if (!options.images || isTextBox(rc)) continue;
+                    const id = `${options.imagePrefix}_${options.images.length}`;
+                    options.images.push({ id, ...getImageInfo(rc, options.rels) });
+                    segments.push({ text: `{{${id}}}` });
                 } else if (rc.nodeName === 'w:tab') {
-                    segments.push({ text: '\t', bold: false, italic: false });
+                    segments.push({ text: '\t' });
                 } else if (rc.nodeName === 'w:br') {
-                    segments.push({ text: '\n', bold: false, italic: false });
+                    segments.push({ text: options.lineBreak || '\n' });
+                } else if (rc.nodeName === 'w:footnoteReference' || rc.nodeName === 'w:endnoteReference') {
+                    const key = noteKey(rc.nodeName === 'w:endnoteReference' ? 'endnote' : 'footnote', rc.getAttribute('w:id'));
+                    segments.push({ text: `[^${key}]` });
                 }
             }
         } else if (child.nodeName === 'w:hyperlink') {
-            collectFormattedSegments(child, segments);
+            const url = getHyperlinkTarget(child, options.rels);
+            if (!url) {
+                collectFormattedSegments(child, segments, options);
+                continue;
+            }
+            const inner = [];
+            collectFormattedSegments(child, inner, { ...options, inHyperlink: true });
+            const text = renderSegments(inner);
+            if (text) segments.push({ text: `[${text}](${encodeLinkUrl(url)})` });
+        } else if (child.nodeName === 'w:sdt') {
+            const content = getFirstChild(child, 'w:sdtContent');
+            if (options.controls) {
+                const id = `${options.controlPrefix}_${options.controls.length}`;
+                const text = getFormattedText(content, { rels: options.rels }).trim();
+                options.controls.push({ id, ...getControlProps(child), text });
+                segments.push({ text: `{{${id}}}` });
+            } else {
+                collectFormattedSegments(content, segments, { rels: options.rels });
+            }
+        } else if (child.nodeName === 'w:ins' || child.nodeName === 'w:moveTo') {
+            // Revisões pendentes: o texto inserido faz parte do texto atual
+            // (w:del/w:moveFrom são ignorados)
+            collectFormattedSegments(child, segments, options);
         }
     }
 }
 
+/**
+ * Escapa com "\" os caracteres do texto do documento que o reconstructor
+ * leria como marcadores: \ * ` ~ ^ [ ] sempre; _ = { em dupla ou nas
+ * pontas (o w:t vizinho pode completar o par). Uma "\" só é escapada
+ * antes de um desses caracteres ou no fim do texto.
+ */
+function escapeMarkers(text) {
+    return text
+        .replace(/\\(?=[\\*`~^[\]_={]|$)|[*`~^[\]]/g, '\\$&')
+        .replace(/__+|==+|\{\{+|^[_={]|[_={]$/g, m => m.replace(/[_={]/g, '\\$&'));
+}
+
+// No texto de células, "- " (ou "• ") no início da linha é item de lista
+// e "<br>" é quebra de linha: os literais saem escapados com "\"
+const CELL_LITERAL_BULLET = /^( *(?:\\\\)*)(\\?)([-•] )/;
+const CELL_LITERAL_BREAK = /(\\?)(<br\s*\/?>)/gi;
+
+/** Escapa um marcador de célula; uma "\" literal logo antes vira "\\". */
+function escapeCellMarker(backslash, marker) {
+    return `${backslash ? '\\\\' : ''}\\${marker}`;
+}
+
 function mergeSegments(segments) {
     if (segments.length === 0) return [];
     const result = [{ ...segments[0] }];
     for (let i = 1; i < segments.length; i++) {
         const last = result[result.length - 1];
-        if (last.bold === segments[i].bold && last.italic === segments[i].italic) {
+        if (MARK_KEYS.every(key => !!last[key] === !!segments[i][key])) {
             last.text += segments[i].text;
         } else {
             result.push({ ...segments[i] });
@@ -113,64 +444,207 @@ function mergeSegments(segments) {
     return result;
 }
 
-function getFormattedText(pNode) {
-    const segments = [];
-    collectFormattedSegments(pNode, segments);
-    const merged = mergeSegments(segments);
+/**
+ * Envolve o texto de um segmento com os marcadores das suas marcas.
+ * Espaços nas pontas ficam fora dos marcadores (^m 2^ não seria lido de volta).
+ */
+function renderSegment(seg) {
+    const [, lead, core, trail] = seg.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) return seg.text;
+
+    let text = seg.code ? `\`${core}\`` : core;
+    if (seg.bold && seg.italic) text = `***${text}***`;
+    else if (seg.bold) text = `**${text}**`;
+    else if (seg.italic) text = `*${text}*`;
+    for (let i = WRAPPER_MARKS.length - 1; i >= 0; i--) {
+        const { key, token } = WRAPPER_MARKS[i];
+        if (seg[key]) text = `${token}${text}${token}`;
+    }
+    return lead + text + trail;
+}
 
+function renderSegments(segments) {
     let result = '';
-    for (const seg of merged) {
+    for (const seg of mergeSegments(segments)) {
         if (!seg.text) continue;
-        if (seg.bold && seg.italic) result += `***${seg.text}***`;
-        else if (seg.bold) result += `**${seg.text}**`;
-        else if (seg.italic) result += `*${seg.text}*`;
-        else result += seg.text;
+        result += renderSegment(seg);
     }
     return result;
 }
 
-// ─── Image Detection ─────────────────────────────────────
+function getFormattedText(pNode, options) {
+    const segments = [];
+    collectFormattedSegments(pNode, segments, options);
+    return renderSegments(segments);
+}
 
-function hasImage(node) {
-    const tags = ['w:drawing', 'w:pict', 'mc:AlternateContent'];
-    for (const tag of tags) {
-        if (node.getElementsByTagName(tag).length > 0) return true;
+// ─── Text Boxes ──────────────────────────────────────────
+
+/**
+ * Blocos textbox das caixas de texto de um parágrafo, com ID derivado do
+ * parágrafo âncora ("block_0003_txbx_0") e os parágrafos internos em
+ * "blocks". O conteúdo vem da primeira cópia (DrawingML em
+ * mc:AlternateContent); o fallback VML tem o mesmo conteúdo.
+ */
+function extractTextBoxes(pNode, anchorId, headingStyles, options) {
+    return collectImageNodes(pNode, [], true).map((shape, index) => {
+        const id = `${anchorId}_txbx_${index}`;
+        const content = shape.getElementsByTagName('w:txbxContent')[0];
+        return {
+            id,
+            type: 'textbox',
+            anchorId,
+            blocks: extractBlocks(content, headingStyles, `${id}_`, { ...options, noHeadings: true })
+        };
+    });
+}
+
+// ─── Notes (footnotes / endnotes) ────────────────────────
+
+/**
+ * Chave usada no marcador [^key] e no campo "id" da nota:
+ * notas de rodapé usam o w:id ("3"), notas de fim recebem prefixo "e" ("e3").
+ */
+function noteKey(type, wordId) {
+    return type === 'endnote' ? `e${wordId}` : String(wordId);
+}
+
+/**
+ * Extrai as notas normais (ignora separadores) das partes de notas.
+ * Retorna [{ id, type, text }], texto com parágrafos unidos por \n.
+ */
+async function extractNotes(zip, parser, rels) {
+    const notes = [];
+    for (const type of ['footnote', 'endnote']) {
+        let partPath = null;
+        for (const rel of rels.values()) {
+            if (rel.type === `${type}s`) partPath = rel.target;
+        }
+        const partFile = partPath && zip.file(partPath);
+        if (!partFile) continue;
+
+        const partDoc = parser.parseFromString(await partFile.async('string'), 'text/xml');
+        const textOptions = { rels: getRelationships(await loadRelationships(zip, parser, partPath)) };
+        const noteEls = partDoc.getElementsByTagName(`w:${type}`);
+        for (let i = 0; i < noteEls.length; i++) {
+            const noteType = noteEls[i].getAttribute('w:type');
+            if (noteType && noteType !== 'normal') continue;
+            const text = getDirectChildren(noteEls[i], 'w:p')
+                .map(p => getFormattedText(p, textOptions))
+                .join('\n')
+                .trim();
+            notes.push({ id: noteKey(type, noteEls[i].getAttribute('w:id')), type, text });
+        }
     }
-    return false;
+    return notes;
 }
 
-function isImageOnlyParagraph(pNode) {
-    if (!hasImage(pNode)) return false;
-    const text = getPlainText(pNode).trim();
-    return text.length === 0;
+// ─── Comments ────────────────────────────────────────────
+
+/**
+ * Registra em options.commentAnchors (Map w:id → blockId) o bloco/célula
+ * onde cada comentário começa: w:commentRangeStart ou, na falta dele, o
+ * run com w:commentReference.
+ */
+function recordCommentAnchors(node, anchorId, options) {
+    if (!options.commentAnchors) return;
+    for (const tag of ['w:commentRangeStart', 'w:commentReference']) {
+        const els = node.getElementsByTagName(tag);
+        for (let i = 0; i < els.length; i++) {
+            const id = els[i].getAttribute('w:id');
+            if (!options.commentAnchors.has(id)) options.commentAnchors.set(id, anchorId);
+        }
+    }
+}
+
+/**
+ * Extrai word/comments.xml. Retorna [{ id, author, initials, date, blockId, text }];
+ * blockId é null quando a âncora está fora dos blocos do JSON.
+ */
+async function extractComments(zip, parser, rels, anchors) {
+    let partPath = null;
+    for (const rel of rels.values()) {
+        if (rel.type === 'comments') partPath = rel.target;
+    }
+    const partFile = partPath && zip.file(partPath);
+    if (!partFile) return [];
+
+    const partDoc = parser.parseFromString(await partFile.async('string'), 'text/xml');
+    const textOptions = { rels: getRelationships(await loadRelationships(zip, parser, partPath)) };
+    return getDirectChildren(partDoc.documentElement, 'w:comment').map(el => {
+        const id = el.getAttribute('w:id');
+        const comment = { id, author: el.getAttribute('w:author') || '' };
+        if (el.getAttribute('w:initials')) comment.initials = el.getAttribute('w:initials');
+        comment.date = el.getAttribute('w:date') || null;
+        comment.blockId = anchors.get(id) || null;
+        comment.text = getDirectChildren(el, 'w:p')
+            .map(p => getFormattedText(p, textOptions))
+            .join('\n')
+            .trim();
+        return comment;
+    });
 }
 
 // ─── Heading Detection ───────────────────────────────────
 
 /**
- * Detecta heading por padrão numérico no texto.
+ * Detecta heading pelos padrões do perfil (server/profiles/*.json).
+ * No perfil padrão:
  * "1. OBJETIVO" → level 1
  * "2.1 - Cabeçalho" → level 2
  * "2.1.1 Detalhe" → level 3
- * Retorna level ou null.
+ * Sem "level" no padrão, o nível é a quantidade de partes do primeiro
+ * grupo. Retorna level ou null.
  */
-function detectHeadingByPattern(text) {
+function detectHeadingByPattern(text, profile) {
     const trimmed = text.trim();
-    const match = trimmed.match(/^(\d+(?:\.\d+)*)\s*[\.\-–—:)]\s*/);
-    if (match) {
-        return match[1].split('.').length;
+    for (const pattern of profile.patterns) {
+        const match = trimmed.match(pattern.regex);
+        if (!match) continue;
+        if (pattern.level) return pattern.level;
+        return match[1] ? match[1].split('.').filter(Boolean).length : 1;
     }
-    const match2 = trimmed.match(/^(\d+)\s+[A-ZÁÀÂÃÉÈÊÍÏÓÔÕÖÚÇ]/);
-    if (match2) return 1;
     return null;
 }
 
+function isOn(el) {
+    return !!el && !['0', 'false', 'off'].includes(el.getAttribute('w:val'));
+}
+
+/**
+ * Detecta heading pela formatação direta dos runs (profile.formatting):
+ * todo o texto em negrito e/ou com w:sz >= minFontSize. Retorna level ou
+ * null.
+ */
+function detectHeadingByFormatting(pNode, formatting) {
+    if (!formatting) return null;
+    const runs = Array.from(pNode.getElementsByTagName('w:r'))
+        .filter(r => !isInTextBox(r) && getDirectChildren(r, 'w:t').some(t => (t.textContent || '').trim()));
+    if (runs.length === 0) return null;
+    for (const r of runs) {
+        const rPr = getFirstChild(r, 'w:rPr');
+        if (formatting.bold && !isOn(getFirstChild(rPr, 'w:b'))) return null;
+        if (formatting.minFontSize !== undefined) {
+            const sz = getFirstChild(rPr, 'w:sz');
+            const pt = sz ? parseInt(sz.getAttribute('w:val'), 10) / 2 : NaN;
+            if (!(pt >= formatting.minFontSize)) return null;
+        }
+    }
+    return formatting.level || 1;
+}
+
 // ─── List Detection ──────────────────────────────────────
 
+function getNumPr(pNode) {
+    return getFirstChild(getFirstChild(pNode, 'w:pPr'), 'w:numPr');
+}
+
 function isListItem(pNode) {
-    const pPr = getFirstChild(pNode, 'w:pPr');
-    if (!pPr) return false;
-    return getFirstChild(pPr, 'w:numPr') !== null;
+    const numPr = getNumPr(pNode);
+    if (!numPr) return false;
+    // w:numId="0" remove a numeração herdada do estilo
+    const numId = getFirstChild(numPr, 'w:numId');
+    return !numId || numId.getAttribute('w:val') !== '0';
 }
 
 function getListLevel(pNode) {
@@ -183,11 +657,84 @@ function getListLevel(pNode) {
     return (parseInt(ilvl.getAttribute('w:val'), 10) || 0) + 1;
 }
 
+// ─── Numbering (word/numbering.xml) ──────────────────────
+
+/**
+ * Lê word/numbering.xml. Retorna { nums: Map numId → { abstractId,
+ * formats: Map ilvl → numFmt, starts: Map ilvl → startOverride } }, com os
+ * formatos do w:abstractNum já combinados com os w:lvlOverride da instância.
+ */
+async function loadNumbering(zip, parser, rels) {
+    const numbering = { nums: new Map() };
+    let partPath = null;
+    for (const rel of rels.values()) {
+        if (rel.type === 'numbering') partPath = rel.target;
+    }
+    const partFile = partPath && zip.file(partPath);
+    if (!partFile) return numbering;
+
+    const root = parser.parseFromString(await partFile.async('string'), 'text/xml').documentElement;
+    const readLevels = (parent, formats) => {
+        for (const lvl of getDirectChildren(parent, 'w:lvl')) {
+            const numFmt = getFirstChild(lvl, 'w:numFmt');
+            if (numFmt) formats.set(parseInt(lvl.getAttribute('w:ilvl'), 10) || 0, numFmt.getAttribute('w:val'));
+        }
+        return formats;
+    };
+
+    const abstracts = new Map();
+    for (const abstractNum of getDirectChildren(root, 'w:abstractNum')) {
+        abstracts.set(abstractNum.getAttribute('w:abstractNumId'), readLevels(abstractNum, new Map()));
+    }
+    for (const num of getDirectChildren(root, 'w:num')) {
+        const abstractIdEl = getFirstChild(num, 'w:abstractNumId');
+        const abstractId = abstractIdEl ? abstractIdEl.getAttribute('w:val') : null;
+        const formats = new Map(abstracts.get(abstractId) || []);
+        const starts = new Map();
+        for (const override of getDirectChildren(num, 'w:lvlOverride')) {
+            const ilvl = parseInt(override.getAttribute('w:ilvl'), 10) || 0;
+            const start = getFirstChild(override, 'w:startOverride');
+            if (start) starts.set(ilvl, parseInt(start.getAttribute('w:val'), 10) || 0);
+            readLevels(override, formats);
+        }
+        numbering.nums.set(num.getAttribute('w:numId'), { abstractId, formats, starts });
+    }
+    return numbering;
+}
+
+/**
+ * Propriedades de lista de um parágrafo com w:numPr:
+ *   listType — w:numFmt do nível (bullet, decimal, lowerLetter, upperRoman...)
+ *   listId   — instância da lista (w:numId)
+ *   start    — só no primeiro item de um nível com w:startOverride
+ *              (ponto de reinício da numeração)
+ * `seen` guarda os níveis já vistos de cada instância.
+ */
+function getListProps(pNode, numbering, seen) {
+    const numPr = getNumPr(pNode);
+    const numIdEl = getFirstChild(numPr, 'w:numId');
+    if (!numbering || !numIdEl) return {};
+    const listId = numIdEl.getAttribute('w:val');
+    const ilvl = getListLevel(pNode) - 1;
+    const num = numbering.nums.get(listId);
+    const props = { listType: (num && num.formats.get(ilvl)) || 'bullet', listId };
+
+    const key = `${listId}:${ilvl}`;
+    if (num && num.starts.has(ilvl) && seen && !seen.has(key)) props.start = num.starts.get(ilvl);
+    if (seen) seen.add(key);
+    return props;
+}
+
 // ─── Heading Style Map ───────────────────────────────────
 
-function buildHeadingStyleMap(stylesXml, parser) {
+/**
+ * Mapa styleId → nível dos estilos de título. `extraStyles` (perfil) mapeia
+ * nome ou styleId → nível e tem precedência sobre o estilo do Word.
+ */
+function buildHeadingStyleMap(stylesXml, parser, extraStyles = {}) {
     const headingMap = {};
     if (!stylesXml) return headingMap;
+    const extra = new Map(Object.entries(extraStyles).map(([key, level]) => [key.toLowerCase(), level]));
     const doc = parser.parseFromString(stylesXml, 'text/xml');
     const styles = doc.getElementsByTagName('w:style');
     for (let i = 0; i < styles.length; i++) {
@@ -198,7 +745,9 @@ function buildHeadingStyleMap(stylesXml, parser) {
         const nameEls = style.getElementsByTagName('w:name');
         const name = nameEls.length > 0 ? (nameEls[0].getAttribute('w:val') || '') : '';
         const outlineLvls = style.getElementsByTagName('w:outlineLvl');
-        if (outlineLvls.length > 0) {
+        if (extra.has(styleId.toLowerCase()) || extra.has(name.toLowerCase())) {
+            headingMap[styleId] = extra.get(styleId.toLowerCase()) || extra.get(name.toLowerCase());
+        } else if (outlineLvls.length > 0) {
             const level = parseInt(outlineLvls[0].getAttribute('w:val'), 10);
             if (!isNaN(level)) headingMap[styleId] = level + 1;
         } else if (/^heading\s*\d+$/i.test(name)) {
@@ -209,11 +758,131 @@ function buildHeadingStyleMap(stylesXml, parser) {
     return headingMap;
 }
 
+/**
+ * Estilos de parágrafo e de tabela de styles.xml, para "metadata.styles":
+ * { paragraph: [{ id, name }], table: [{ id, name }] }. Estilos ocultos
+ * (w:hidden) ficam de fora.
+ */
+function buildStyleList(stylesXml, parser) {
+    const list = { paragraph: [], table: [] };
+    if (!stylesXml) return list;
+    const doc = parser.parseFromString(stylesXml, 'text/xml');
+    for (const style of getDirectChildren(doc.documentElement, 'w:style')) {
+        const type = style.getAttribute('w:type');
+        const styleId = style.getAttribute('w:styleId');
+        if (!list[type] || !styleId || getFirstChild(style, 'w:hidden')) continue;
+        const nameEl = getFirstChild(style, 'w:name');
+        list[type].push({ id: styleId, name: (nameEl && nameEl.getAttribute('w:val')) || styleId });
+    }
+    return list;
+}
+
+// ─── Table of Contents ───────────────────────────────────
+
+/**
+ * Mapa styleId → nível dos estilos de sumário ("toc 1", "toc 2"...).
+ */
+function buildTocStyleMap(stylesXml, parser) {
+    const tocMap = {};
+    if (!stylesXml) return tocMap;
+    const doc = parser.parseFromString(stylesXml, 'text/xml');
+    const styles = doc.getElementsByTagName('w:style');
+    for (let i = 0; i < styles.length; i++) {
+        const styleId = styles[i].getAttribute('w:styleId');
+        const nameEl = styles[i].getElementsByTagName('w:name')[0];
+        const m = nameEl && (nameEl.getAttribute('w:val') || '').match(/^toc\s*(\d)$/i);
+        if (styleId && m) tocMap[styleId] = parseInt(m[1], 10);
+    }
+    return tocMap;
+}
+
+/**
+ * Entradas em cache de um sumário: um item por parágrafo com texto. O
+ * número de página é o texto após a última tabulação.
+ */
+function extractTocEntries(nodes, tocStyles = {}) {
+    const entries = [];
+    for (const node of nodes) {
+        if (node.nodeName !== 'w:p') continue;
+        const plain = getPlainText(node).trim();
+        if (!plain) continue;
+        const pStyle = getFirstChild(getFirstChild(node, 'w:pPr'), 'w:pStyle');
+        const entry = { level: (pStyle && tocStyles[pStyle.getAttribute('w:val')]) || 1, text: plain };
+        const tab = plain.lastIndexOf('\t');
+        if (tab >= 0 && !/\s/.test(plain.slice(tab + 1))) {
+            entry.text = plain.slice(0, tab).replace(/\t/g, ' ').trim();
+            entry.page = plain.slice(tab + 1);
+        }
+        entries.push(entry);
+    }
+    return entries;
+}
+
+// ─── Page / Section Breaks ───────────────────────────────
+
+const TWIPS_PER_CM = 1440 / 2.54;
+
+function isPageBreak(node) {
+    return node.nodeName === 'w:br' && node.getAttribute('w:type') === 'page';
+}
+
+/**
+ * Quebras de página antes do primeiro e depois do último conteúdo do
+ * parágrafo. Num parágrafo sem conteúdo todas contam como "before".
+ * Quebras no meio do texto continuam como "\n" no texto.
+ */
+function getPageBreaks(pNode) {
+    const breaks = { before: false, after: false };
+    let seenContent = false;
+    const runs = pNode.getElementsByTagName('w:r');
+    for (let i = 0; i < runs.length; i++) {
+        for (let j = 0; j < runs[i].childNodes.length; j++) {
+            const rc = runs[i].childNodes[j];
+            if (isPageBreak(rc)) {
+                if (seenContent) breaks.after = true;
+                else breaks.before = true;
+            } else if (rc.nodeType === 1 && rc.nodeName !== 'w:rPr' && rc.nodeName !== 'w:lastRenderedPageBreak' &&
+                !(rc.nodeName === 'w:t' && !rc.textContent)) {
+                seenContent = true;
+                breaks.after = false;
+            }
+        }
+    }
+    return breaks;
+}
+
+function twipsToCm(value) {
+    return Math.round((parseInt(value, 10) || 0) / TWIPS_PER_CM * 100) / 100;
+}
+
+/**
+ * Propriedades de uma seção (w:sectPr) expostas no bloco section_break.
+ */
+function getSectionProps(sectPr) {
+    const type = getFirstChild(sectPr, 'w:type');
+    const pgSz = getFirstChild(sectPr, 'w:pgSz');
+    const pgMar = getFirstChild(sectPr, 'w:pgMar');
+    const cols = getFirstChild(sectPr, 'w:cols');
+    const props = {
+        start: (type && type.getAttribute('w:val')) || 'nextPage',
+        orientation: pgSz && (pgSz.getAttribute('w:orient') === 'landscape' ||
+            parseInt(pgSz.getAttribute('w:w'), 10) > parseInt(pgSz.getAttribute('w:h'), 10)) ? 'landscape' : 'portrait'
+    };
+    if (pgMar) {
+        props.margins = {};
+        for (const side of ['top', 'right', 'bottom', 'left']) props.margins[side] = twipsToCm(pgMar.getAttribute(`w:${side}`));
+    }
+    props.columns = cols
+        ? parseInt(cols.getAttribute('w:num'), 10) || getDirectChildren(cols, 'w:col').length || 1
+        : 1;
+    return props;
+}
+
 // ─── Block Classification ────────────────────────────────
 
-function classifyParagraph(pNode, headingStyles) {
+function classifyParagraph(pNode, headingStyles, textOptions, profile) {
     const plainText = getPlainText(pNode).trim();       // para detecção de padrão
-    const formattedText = getFormattedText(pNode).trim(); // para saída
+    const formattedText = getFormattedText(pNode, textOptions).trim(); // para saída
 
     // 1. Word heading style
     const pPr = getFirstChild(pNode, 'w:pPr');
@@ -232,10 +901,13 @@ function classifyParagraph(pNode, headingStyles) {
         }
     }
 
-    // 2. Heading by numbered text pattern (usa plainText sem markers)
-    const patternLevel = detectHeadingByPattern(plainText);
-    if (patternLevel !== null) {
-        return { type: 'heading', level: patternLevel, text: formattedText };
+    // 2. Heading por padrão de texto (usa plainText sem markers) ou
+    //    formatação, conforme o perfil
+    if (!profile.trustStylesOnly && (!profile.maxLength || plainText.length <= profile.maxLength)) {
+        const patternLevel = detectHeadingByPattern(plainText, profile) || detectHeadingByFormatting(pNode, profile.formatting);
+        if (patternLevel !== null) {
+            return { type: 'heading', level: patternLevel, text: formattedText };
+        }
     }
 
     // 3. List item by w:numPr
@@ -249,83 +921,313 @@ function classifyParagraph(pNode, headingStyles) {
 
 // ─── Table Extraction ────────────────────────────────────
 
-function extractTable(tblNode, index) {
-    const id = `block_${String(index).padStart(4, '0')}`;
+function getIntProp(parent, tagName, fallback) {
+    const el = getFirstChild(parent, tagName);
+    const val = el ? parseInt(el.getAttribute('w:val'), 10) : NaN;
+    return isNaN(val) ? fallback : val;
+}
+
+/**
+ * Posiciona cada w:tc na grade lógica da tabela.
+ * Retorna por linha: [{ tc, gridCol, colSpan, vMerge }], com
+ * vMerge = "restart" | "continue" | null.
+ */
+function buildTableGrid(trNodes) {
+    return trNodes.map(tr => {
+        let gridCol = getIntProp(getFirstChild(tr, 'w:trPr'), 'w:gridBefore', 0);
+        return getDirectChildren(tr, 'w:tc').map(tc => {
+            const tcPr = getFirstChild(tc, 'w:tcPr');
+            const colSpan = getIntProp(tcPr, 'w:gridSpan', 1);
+            const vMergeEl = getFirstChild(tcPr, 'w:vMerge');
+            const vMerge = vMergeEl ? (vMergeEl.getAttribute('w:val') === 'restart' ? 'restart' : 'continue') : null;
+            const info = { tc, gridCol, colSpan, vMerge };
+            gridCol += colSpan;
+            return info;
+        });
+    });
+}
+
+/**
+ * Linha do texto de uma célula: itens de lista com marcador viram
+ * "- texto", com dois espaços de recuo por nível; um "- " literal no
+ * início do texto sai como "\- ".
+ */
+function getCellLine(pNode, textOptions, numbering) {
+    const text = getFormattedText(pNode, textOptions)
+        .replace(CELL_LITERAL_BULLET, (m, space, backslash, bullet) => space + escapeCellMarker(backslash, bullet));
+    if (!isListItem(pNode) || getListProps(pNode, numbering).listType !== 'bullet') return text;
+    return `${'  '.repeat(getListLevel(pNode) - 1)}- ${text}`;
+}
+
+function countRowSpan(grid, rowIdx, gridCol) {
+    let span = 1;
+    for (let r = rowIdx + 1; r < grid.length; r++) {
+        const below = grid[r].find(c => c.gridCol === gridCol);
+        if (!below || below.vMerge !== 'continue') break;
+        span++;
+    }
+    return span;
+}
+
+function extractTable(tblNode, id, idPrefix = '', headingStyles = {}, options = {}) {
+    const num = blockNumber(id);
     const rows = [];
-    const trNodes = getDirectChildren(tblNode, 'w:tr');
-    for (let rowIdx = 0; rowIdx < trNodes.length; rowIdx++) {
+    const grid = buildTableGrid(getDirectChildren(tblNode, 'w:tr'));
+    for (let rowIdx = 0; rowIdx < grid.length; rowIdx++) {
         const cells = [];
-        const tcNodes = getDirectChildren(trNodes[rowIdx], 'w:tc');
+        const tcNodes = grid[rowIdx].map(c => c.tc);
         for (let cellIdx = 0; cellIdx < tcNodes.length; cellIdx++) {
-            const cellText = getDirectChildren(tcNodes[cellIdx], 'w:p')
-                .map(p => getFormattedText(p))
-                .join('\n')
-                .trim();
-            cells.push({
-                id: `cell_${String(index).padStart(4, '0')}_${rowIdx}_${cellIdx}`,
-                text: cellText
-            });
+            const { gridCol, colSpan, vMerge } = grid[rowIdx][cellIdx];
+            // Continuação de mesclagem vertical: o conteúdo pertence à célula de cima
+            const above = rowIdx > 0 && grid[rowIdx - 1].find(c => c.gridCol === gridCol);
+            if (vMerge === 'continue' && above && above.vMerge) continue;
+
+            const cellId = `${idPrefix}cell_${num}_${rowIdx}_${cellIdx}`;
+            const cell = { id: cellId };
+            const controls = [];
+            const images = [];
+            if (getFirstChild(tcNodes[cellIdx], 'w:tbl')) {
+                // Tabela aninhada: conteúdo da célula vira lista recursiva de blocos
+                cell.blocks = extractBlocks(tcNodes[cellIdx], headingStyles, `${cellId}_`, { ...options, noHeadings: true });
+            } else {
+                const textOptions = {
+                    controlPrefix: `${idPrefix}ctl_${num}_${rowIdx}_${cellIdx}`,
+                    controls,
+                    imagePrefix: `${idPrefix}img_${num}_${rowIdx}_${cellIdx}`,
+                    images,
+                    rels: options.rels,
+                    lineBreak: '<br>'
+                };
+                cell.text = getDirectChildren(tcNodes[cellIdx], 'w:p')
+                    .map(p => getCellLine(p, textOptions, options.numbering))
+                    .join('\n')
+                    .trim();
+                recordCommentAnchors(tcNodes[cellIdx], cellId, options);
+            }
+            if (colSpan > 1) cell.colSpan = colSpan;
+            if (vMerge) {
+                const rowSpan = countRowSpan(grid, rowIdx, gridCol);
+                if (rowSpan > 1) cell.rowSpan = rowSpan;
+            }
+            if (controls.length > 0) cell.controls = controls;
+            if (images.length > 0) cell.images = images;
+            cells.push(cell);
         }
         rows.push(cells);
     }
     return { id, type: 'table', rows };
 }
 
-// ─── Main ────────────────────────────────────────────────
-
-async function extractDocx(buffer, fileName) {
-    const zip = await JSZip.loadAsync(buffer);
-    const documentXmlFile = zip.file('word/document.xml');
-    if (!documentXmlFile) throw new Error('Arquivo .docx inválido: word/document.xml não encontrado.');
-    const documentXml = await documentXmlFile.async('string');
-    const stylesXmlFile = zip.file('word/styles.xml');
-    const stylesXml = stylesXmlFile ? await stylesXmlFile.async('string') : null;
-
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(documentXml, 'text/xml');
-    const headingStyles = buildHeadingStyleMap(stylesXml, parser);
-
-    const body = doc.getElementsByTagName('w:body')[0];
-    if (!body) throw new Error('Documento inválido: w:body não encontrado.');
+// ─── Block Extraction ────────────────────────────────────
 
+/**
+ * Percorre os filhos diretos de um container (w:body, w:hdr, w:ftr,
+ * w:sdtContent, w:tc) e gera a lista de blocos. Todo w:p, w:tbl e w:sdt conta
+ * no índice, mesmo quando o bloco é descartado, para manter o mapeamento
+ * do reconstructor.
+ *
+ * options.paragraphsOnly — não classifica headings/listas (cabeçalhos e rodapés)
+ * options.noHeadings     — só distingue list_item de paragraph (células)
+ * options.rels           — relacionamentos da parte, para hyperlinks
+ * options.commentAnchors — Map w:id → blockId preenchido com as âncoras
+ *                          de comentários (só no corpo)
+ * options.numbering      — numeração carregada por loadNumbering
+ * options.listsSeen      — Set compartilhado dos níveis de lista já vistos
+ * options.tocStyles      — estilos de sumário (buildTocStyleMap)
+ */
+function extractBlocks(container, headingStyles, idPrefix = '', options = {}) {
     const blocks = [];
-    let blockIndex = 0;
+    if (!container) return blocks;
+    const blockIds = assignBlockIds(container, idPrefix, container.nodeName === 'w:body');
 
-    for (let i = 0; i < body.childNodes.length; i++) {
-        const child = body.childNodes[i];
+    for (let i = 0; i < container.childNodes.length; i++) {
+        const child = container.childNodes[i];
         if (child.nodeType !== 1) continue;
+        const id = blockIds.get(child);
 
         if (child.nodeName === 'w:p') {
-            const currentIdx = blockIndex;
-            blockIndex++;
+            const toc = options.paragraphsOnly || options.noHeadings ? null : getTocRegion(child);
+            if (toc) {
+                blocks.push({
+                    id,
+                    type: 'toc',
+                    instruction: toc.instruction,
+                    entries: extractTocEntries(toc.nodes, options.tocStyles)
+                });
+                i = Array.prototype.indexOf.call(container.childNodes, toc.nodes[toc.nodes.length - 1]);
+                continue;
+            }
 
-            // Pular parágrafos só com imagem
-            if (isImageOnlyParagraph(child)) continue;
+            if (isImageOnlyParagraph(child)) {
+                const imageNode = collectImageNodes(child, [])[0];
+                const block = {
+                    id,
+                    type: 'image',
+                    ...(imageNode ? getImageInfo(imageNode, options.rels) : {})
+                };
+                const next = getNextElement(child);
+                recordCommentAnchors(child, block.id, options);
+                if (next && next.nodeName === 'w:p' && isCaptionParagraph(next)) {
+                    block.caption = getFormattedText(next, { rels: options.rels }).trim();
+                    recordCommentAnchors(next, block.id, options);
+                    i = Array.prototype.indexOf.call(container.childNodes, next);
+                }
+                blocks.push(block, ...extractTextBoxes(child, id, headingStyles, options));
+                continue;
+            }
+
+            const num = blockNumber(id);
+            const controls = [];
+            const images = [];
+            const textOptions = {
+                controlPrefix: `${idPrefix}ctl_${num}`,
+                controls,
+                imagePrefix: `${idPrefix}img_${num}`,
+                images,
+                rels: options.rels
+            };
+            let result;
+            if (options.paragraphsOnly) {
+                result = { type: 'paragraph', text: getFormattedText(child, textOptions).trim() };
+            } else if (options.noHeadings) {
+                const text = getFormattedText(child, textOptions).trim();
+                result = isListItem(child)
+                    ? { type: 'list_item', level: getListLevel(child), text }
+                    : { type: 'paragraph', text };
+            } else {
+                result = classifyParagraph(child, headingStyles, textOptions, options.profile);
+            }
 
-            const result = classifyParagraph(child, headingStyles);
+            // Quebras de página/seção só no corpo (e controles de conteúdo)
+            const breaksAllowed = !options.paragraphsOnly && !options.noHeadings;
+            const pageBreaks = breaksAllowed ? getPageBreaks(child) : {};
+            const sectPr = breaksAllowed ? getFirstChild(getFirstChild(child, 'w:pPr'), 'w:sectPr') : null;
 
-            // Pular parágrafos vazios (plainText check)
+            // Pular parágrafos vazios (plainText check), exceto quebras
             const plain = getPlainText(child).trim();
-            if (!plain || plain.length === 0) continue;
+            if (!plain || plain.length === 0) {
+                if (pageBreaks.before) blocks.push({ id: sectPr ? `${id}_pb` : id, type: 'page_break' });
+                // Âncora só com caixas de texto: o parágrafo sai junto com elas
+                blocks.push(...extractTextBoxes(child, id, headingStyles, options));
+                if (sectPr) blocks.push({ id, type: 'section_break', ...getSectionProps(sectPr) });
+                continue;
+            }
+            if (pageBreaks.before) blocks.push({ id: `${id}_pb`, type: 'page_break' });
 
             const block = {
-                id: `block_${String(currentIdx).padStart(4, '0')}`,
+                id,
                 type: result.type,
                 text: result.text
             };
             if (result.type === 'heading') block.level = result.level;
-            if (result.type === 'list_item') block.level = result.level;
-            blocks.push(block);
+            if (result.type === 'list_item') {
+                block.level = result.level;
+                Object.assign(block, getListProps(child, options.numbering, options.listsSeen));
+            }
+            if (controls.length > 0) block.controls = controls;
+            if (images.length > 0) block.images = images;
+            recordCommentAnchors(child, block.id, options);
+            blocks.push(block, ...extractTextBoxes(child, id, headingStyles, options));
+            if (pageBreaks.after) blocks.push({ id: `${id}_pb_end`, type: 'page_break' });
+            if (sectPr) blocks.push({ id: `${id}_sect`, type: 'section_break', ...getSectionProps(sectPr) });
 
         } else if (child.nodeName === 'w:tbl') {
-            blocks.push(extractTable(child, blockIndex));
-            blockIndex++;
+            blocks.push(extractTable(child, id, idPrefix, headingStyles, options));
+
+        } else if (child.nodeName === 'w:sdt') {
+            // Controle de conteúdo de bloco: mantém posição, conteúdo é recursivo
+            blocks.push({
+                id,
+                type: 'content_control',
+                ...getControlProps(child),
+                blocks: extractBlocks(getFirstChild(child, 'w:sdtContent'), headingStyles, `${idPrefix}sdt_${blockNumber(id)}_`, options)
+            });
+        }
+    }
+
+    return blocks;
+}
+
+// ─── Headers / Footers ───────────────────────────────────
+
+/**
+ * Lista as partes de cabeçalho/rodapé referenciadas pelos w:sectPr,
+ * na ordem em que aparecem. Retorna [{ id, kind, type, part }].
+ *   id   — nome da parte sem extensão ("header1")
+ *   kind — "header" | "footer"
+ *   type — "default" | "first" | "even"
+ */
+function findHeaderFooterParts(doc, rels) {
+    const parts = [];
+    const seen = new Set();
+    for (const kind of ['header', 'footer']) {
+        const refs = doc.getElementsByTagName(`w:${kind}Reference`);
+        for (let i = 0; i < refs.length; i++) {
+            const rel = rels.get(refs[i].getAttribute('r:id'));
+            if (!rel || seen.has(rel.target)) continue;
+            seen.add(rel.target);
+            parts.push({
+                id: rel.target.split('/').pop().replace(/\.xml$/i, ''),
+                kind,
+                type: refs[i].getAttribute('w:type') || 'default',
+                part: rel.target
+            });
         }
     }
+    return parts;
+}
+
+async function extractHeadersFooters(zip, doc, parser, rels) {
+    const sections = [];
+    for (const info of findHeaderFooterParts(doc, rels)) {
+        const partFile = zip.file(info.part);
+        if (!partFile) continue;
+        const partDoc = parser.parseFromString(await partFile.async('string'), 'text/xml');
+        const root = partDoc.documentElement;
+        const partRels = getRelationships(await loadRelationships(zip, parser, info.part));
+        sections.push({
+            ...info,
+            blocks: extractBlocks(root, {}, `${info.id}_`, { paragraphsOnly: true, rels: partRels })
+        });
+    }
+    return sections;
+}
+
+// ─── Main ────────────────────────────────────────────────
+
+/**
+ * options.profile — perfil de detecção de headings já carregado
+ *                   (loadProfile); padrão: "padrao"
+ */
+async function extractDocx(buffer, fileName, options = {}) {
+    const zip = await JSZip.loadAsync(buffer);
+    const documentXmlFile = zip.file('word/document.xml');
+    if (!documentXmlFile) throw new Error('Arquivo .docx inválido: word/document.xml não encontrado.');
+    const documentXml = await documentXmlFile.async('string');
+    const stylesXmlFile = zip.file('word/styles.xml');
+    const stylesXml = stylesXmlFile ? await stylesXmlFile.async('string') : null;
+
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(documentXml, 'text/xml');
+    const profile = options.profile || await loadProfile();
+    const headingStyles = buildHeadingStyleMap(stylesXml, parser, profile.styles);
+
+    const body = doc.getElementsByTagName('w:body')[0];
+    if (!body) throw new Error('Documento inválido: w:body não encontrado.');
+
+    const rels = getRelationships(await loadRelationships(zip, parser));
+    const commentAnchors = new Map();
+    const numbering = await loadNumbering(zip, parser, rels);
+    const tocStyles = buildTocStyleMap(stylesXml, parser);
+    const blocks = extractBlocks(body, headingStyles, '', { rels, commentAnchors, numbering, listsSeen: new Set(), tocStyles, profile });
+    const headersFooters = await extractHeadersFooters(zip, doc, parser, rels);
+    const notes = await extractNotes(zip, parser, rels);
+    const comments = await extractComments(zip, parser, rels, commentAnchors);
+    const properties = await readDocProperties(zip, parser);
 
     // ── Detectar título ──
     for (let i = 0; i < blocks.length; i++) {
-        if (blocks[i].type === 'heading' || blocks[i].type === 'table') break;
+        if (blocks[i].type === 'heading' || blocks[i].type === 'table' || blocks[i].type === 'toc') break;
         if (blocks[i].type === 'paragraph') {
             blocks[i].type = 'title';
             break;
@@ -337,9 +1239,14 @@ async function extractDocx(buffer, fileName) {
             fileName: fileName || 'document.docx',
             extractedAt: new Date().toISOString(),
             blockCount: blocks.length,
-            tableCount: blocks.filter(b => b.type === 'table').length
+            tableCount: blocks.filter(b => b.type === 'table').length,
+            properties,
+            styles: buildStyleList(stylesXml, parser)
         },
-        blocks
+        blocks,
+        headersFooters,
+        notes,
+        comments
     };
 }
 
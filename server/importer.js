@@ -0,0 +1,398 @@
+/**
+ * importer.js
+ *
+ * Converte Markdown (ou texto simples) em blocos do JSON intermediário,
+ * sem IA, para gerar um documento novo com o .docx enviado como modelo:
+ * todos os blocos são novos, então o reconstructor os cria a partir dos
+ * parágrafos, headings, listas e tabelas do modelo (cabeçalhos, rodapés,
+ * seção final e propriedades são mantidos).
+ *
+ * Markdown reconhecido:
+ *   # Título ... ######   — headings (também sublinhados com === / ---);
+ *                          um único # no início vira o title e os demais
+ *                          níveis sobem um
+ *   -, *, + / 1., 1)      — listas, aninhadas pelo recuo
+ *   | a | b |             — tabelas GFM (linha de cabeçalho + |---|)
+ *   > texto               — citação (estilo Quote/Citação, se o modelo tiver)
+ *   ```                   — bloco de código (linhas com a marca `código`)
+ *   ---                   — quebra de página
+ *   [TOC] / [[_TOC_]]     — sumário
+ *   [^1] / [^1]: texto    — notas de rodapé
+ *   **negrito**, *itálico* (_itálico_, __negrito__), ~~tachado~~, `código`,
+ *   [link](url), <u>, <ins>, <mark>, <sup>, <sub> e <br>; "\*" etc.
+ *                          continuam literais
+ *
+ * Texto simples: um parágrafo por bloco de linhas (separados por linha em
+ * branco), com as quebras de linha mantidas e os caracteres de marcador
+ * como texto.
+ */
+
+const { parseMarkdown } = require('./reconstructor');
+
+const IMPORT_FORMATS = ['md', 'text'];
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)\s*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const TOC_LINE = /^\s*(\[TOC\]|\[\[_TOC_\]\])\s*$/i;
+const FOOTNOTE_DEF = /^ {0,3}\[\^([^\]\s]+)\]:\s?(.*)$/;
+const BLOCKQUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const QUOTE_STYLE = /^(quote|citação|citacao)$/i;
+
+const HTML_TAGS = [
+    [/<\/?(?:u|ins)>/gi, '__'],
+    [/<\/?mark>/gi, '=='],
+    [/<\/?sup>/gi, '^'],
+    [/<\/?sub>/gi, '~'],
+    [/<\/?(?:strong|b)>/gi, '**'],
+    [/<\/?(?:em|i)>/gi, '*'],
+    [/<\/?(?:s|del|strike)>/gi, '~~']
+];
+const ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': '\u00a0', '&amp;': '&' };
+// Caracteres escapados ("\_") ficam fora do texto durante a conversão
+const ESCAPED = /\\([\\`*_{}[\]()#+\-.!|<>~=^])/g;
+const ESCAPE_SLOT = /\u0000(\d+)\u0001/g;
+// Quebras de linha reais em células, até escapar os "<br>" literais
+const BREAK_SLOT = /\u0002/g;
+const CELL_LITERAL_BREAK = /(\\?)(<br\s*\/?>)/gi;
+// Caracteres que o reconstructor lê como marcadores (literais com "\")
+const MARKER_CHARS = /[\\*`~^[\]_={}]/g;
+
+/** Texto literal: todo caractere de marcador sai escapado. */
+function escapeMarkers(text) {
+    return text.replace(MARKER_CHARS, '\\$&');
+}
+
+// ─── Inline ──────────────────────────────────────────────
+
+/**
+ * Converte a sintaxe inline do Markdown para os marcadores do JSON
+ * (que usam __ para sublinhado e não têm _itálico_). O conteúdo dos spans
+ * de código e os caracteres escapados no Markdown voltam escapados para o
+ * reconstructor (ver parseMarkdown). Em células, <br> continua como quebra
+ * de linha e um "<br>" literal (entidade, escape ou código) sai como
+ * "\<br>" (ver parseCellLine).
+ */
+function convertInline(text, inCell = false) {
+    return text.split(/(`[^`\n]+`)/).map((part, i) => {
+        if (i % 2 === 1) {
+            const code = escapeMarkers(part.slice(1, -1));
+            return `\`${inCell ? code.replace(/<br\s*\/?>/gi, '\\$&') : code}\``;
+        }
+        let out = part
+            .replace(ESCAPED, (m, char) => `\u0000${char.charCodeAt(0)}\u0001`)
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (m, alt, url) => /^https?:/i.test(url) ? `[${alt || url}](${url})` : alt)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\s+"[^"]*"\)/g, '[$1]($2)')
+            .replace(/<((?:https?:|mailto:)[^>\s]+)>/gi, '[$1]($1)')
+            .replace(/(^|[^\w_])__(?=\S)([\s\S]*?\S)__(?![\w_])/g, '$1**$2**')
+            .replace(/(^|[^\w_])_(?=[^\s_])([^_]*?[^\s_])_(?![\w_])/g, '$1*$2*')
+            // "__" que sobrou (no meio de palavras) é texto, não sublinhado
+            .replace(/__+/g, escapeMarkers);
+        for (const [tag, marker] of HTML_TAGS) out = out.replace(tag, marker);
+        out = out
+            .replace(/<br\s*\/?>/gi, inCell ? '\u0002' : '\n')
+            .replace(/<\/?[A-Za-z][^>]*>/g, '')
+            .replace(/&(?:lt|gt|quot|#39|nbsp|amp);/g, entity => ENTITIES[entity]);
+        if (!inCell) return out.replace(ESCAPE_SLOT, (m, code) => escapeMarkers(String.fromCharCode(code)));
+        // Em células, o "<" escapado fica "\<"; uma "\" logo antes de um
+        // "<br>" literal também é escapada
+        return out
+            .replace(CELL_LITERAL_BREAK, (m, backslash, br) => `${backslash ? '\\\\' : ''}\\${br}`)
+            .replace(ESCAPE_SLOT, (m, code) => (code === '60' ? '\\<' : escapeMarkers(String.fromCharCode(code))))
+            .replace(BREAK_SLOT, '<br>');
+    }).join('');
+}
+
+/**
+ * Células de uma linha de tabela GFM ("\|" é uma barra literal). Um "- "
+ * no início da célula é texto, não item de lista.
+ */
+function splitTableRow(line) {
+    const cells = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/);
+    return cells.map(cell => convertInline(cell.trim().replace(/\\\|/g, '|'), true).replace(/^((?:\\\\)*)([-*•] )/, '$1\\$2'));
+}
+
+// ─── Blocos ──────────────────────────────────────────────
+
+/**
+ * Estado da conversão: blocos, IDs e listas. Cada lista do Markdown vira
+ * um listId novo por nível (sublistas recomeçam a numeração sob cada item).
+ */
+function createState(styles) {
+    const quote = ((styles && styles.paragraph) || []).find(s => QUOTE_STYLE.test(s.name) || QUOTE_STYLE.test(s.id));
+    return {
+        blocks: [],
+        definitions: new Map(),
+        paragraph: [],
+        list: null,
+        nextBlock: 0,
+        nextList: 0,
+        quoteStyle: quote ? quote.id : null
+    };
+}
+
+function blockId(state) {
+    return `md_block_${String(state.nextBlock++).padStart(4, '0')}`;
+}
+
+function pushBlock(state, block) {
+    state.blocks.push({ id: blockId(state), ...block });
+}
+
+/** Linhas acumuladas viram um parágrafo; dois espaços ou "\" no fim são quebra de linha. */
+function flushParagraph(state) {
+    if (state.paragraph.length === 0) return;
+    const text = state.paragraph.map((line, i) => {
+        const last = i === state.paragraph.length - 1;
+        const hardBreak = !last && /( {2,}|\\)$/.test(line);
+        return line.trim().replace(/\\$/, '') + (last ? '' : hardBreak ? '\n' : ' ');
+    }).join('');
+    state.paragraph = [];
+    if (text.trim()) pushBlock(state, { type: 'paragraph', text: convertInline(text) });
+}
+
+function addListItem(state, indent, marker, text) {
+    const ordered = /\d/.test(marker);
+    const listType = ordered ? 'decimal' : 'bullet';
+    if (!state.list) state.list = { indents: [], ids: [] };
+    const list = state.list;
+
+    while (list.indents.length > 0 && indent < list.indents[list.indents.length - 1]) list.indents.pop();
+    if (list.indents.length === 0 || indent > list.indents[list.indents.length - 1]) list.indents.push(indent);
+    const level = list.indents.length;
+
+    list.ids.length = level;
+    const block = { type: 'list_item', level, text: convertInline(text.trim()), listType };
+    if (!list.ids[level - 1] || list.ids[level - 1].listType !== listType) {
+        list.ids[level - 1] = { listId: `md_list_${++state.nextList}`, listType };
+        const start = parseInt(marker, 10);
+        if (ordered && start !== 1) block.start = start;
+    }
+    block.listId = list.ids[level - 1].listId;
+    pushBlock(state, block);
+}
+
+function parseTable(lines, start, state) {
+    const header = splitTableRow(lines[start]);
+    const rows = [header];
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+    }
+    const width = header.length;
+    const id = blockId(state);
+    state.blocks.push({
+        id,
+        type: 'table',
+        rows: rows.map((row, r) => Array.from({ length: width }, (_, c) => ({
+            id: `${id}_cell_${r}_${c}`,
+            text: row[c] || ''
+        })))
+    });
+    return i;
+}
+
+/**
+ * Linhas de Markdown → blocos. Blocos de container (citações dentro de
+ * listas etc.) são achatados; o texto de cada bloco vai por convertInline.
+ */
+function parseMarkdownBlocks(markdown, styles) {
+    const state = createState(styles);
+    const lines = markdown.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    let i = 0;
+
+    const endList = () => { state.list = null; };
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            flushParagraph(state);
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            flushParagraph(state);
+            endList();
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+            i++;
+            const text = code.map(l => l.trim() ? `\`${escapeMarkers(l)}\`` : l).join('\n');
+            if (text.trim()) pushBlock(state, { type: 'paragraph', text });
+            continue;
+        }
+
+        const setext = state.paragraph.length > 0 && !state.list && line.match(SETEXT_UNDERLINE);
+        if (setext) {
+            const text = state.paragraph.map(l => l.trim()).join(' ');
+            state.paragraph = [];
+            pushBlock(state, { type: 'heading', level: setext[1][0] === '=' ? 1 : 2, text: convertInline(text) });
+            i++;
+            continue;
+        }
+
+        const heading = line.match(ATX_HEADING);
+        if (heading) {
+            flushParagraph(state);
+            endList();
+            pushBlock(state, { type: 'heading', level: heading[1].length, text: convertInline(heading[2] || '') });
+            i++;
+            continue;
+        }
+
+        if (TOC_LINE.test(line) || THEMATIC_BREAK.test(line)) {
+            flushParagraph(state);
+            endList();
+            pushBlock(state, { type: TOC_LINE.test(line) ? 'toc' : 'page_break' });
+            i++;
+            continue;
+        }
+
+        const footnote = line.match(FOOTNOTE_DEF);
+        if (footnote) {
+            flushParagraph(state);
+            const text = [footnote[2]];
+            i++;
+            while (i < lines.length && /^ {4}\S/.test(lines[i])) text.push(lines[i++].trim());
+            state.definitions.set(footnote[1], convertInline(text.join(' ')));
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_DELIMITER.test(lines[i + 1])) {
+            flushParagraph(state);
+            endList();
+            i = parseTable(lines, i, state);
+            continue;
+        }
+
+        if (BLOCKQUOTE.test(line)) {
+            flushParagraph(state);
+            endList();
+            const start = state.blocks.length;
+            while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+                const content = lines[i].match(BLOCKQUOTE)[1];
+                if (content.trim()) state.paragraph.push(content);
+                else flushParagraph(state);
+                i++;
+            }
+            flushParagraph(state);
+            for (const block of state.blocks.slice(start)) {
+                if (state.quoteStyle) block.style = state.quoteStyle;
+            }
+            continue;
+        }
+
+        // Listas interrompem parágrafos (numeradas, só começando em 1)
+        const item = line.match(LIST_ITEM);
+        if (item && (state.paragraph.length === 0 || state.list || !/\d/.test(item[2]) || parseInt(item[2], 10) === 1)) {
+            flushParagraph(state);
+            addListItem(state, item[1].length, item[2], item[3]);
+            i++;
+            continue;
+        }
+
+        // Continuação de um item de lista: linha recuada ou logo abaixo do item
+        const last = state.blocks[state.blocks.length - 1];
+        if (state.list && state.paragraph.length === 0 && last && last.type === 'list_item' &&
+            (/^\s/.test(line) || lines[i - 1].trim())) {
+            last.text += ` ${convertInline(line.trim())}`;
+            i++;
+            continue;
+        }
+
+        endList();
+        state.paragraph.push(line);
+        i++;
+    }
+    flushParagraph(state);
+    return state;
+}
+
+/**
+ * Um único heading de nível 1, no início do documento, é o título: vira
+ * "title" e os demais headings sobem um nível.
+ */
+function promoteTitle(blocks) {
+    const top = blocks.filter(b => b.type === 'heading' && b.level === 1);
+    if (top.length !== 1 || blocks[0] !== top[0]) return;
+    blocks[0].type = 'title';
+    delete blocks[0].level;
+    for (const block of blocks) {
+        if (block.type === 'heading') block.level = Math.max(1, block.level - 1);
+    }
+}
+
+/**
+ * Marcadores [^rótulo] → notas de rodapé novas ("md_fn_rótulo"). Só a
+ * primeira referência de cada nota fica no texto; referências sem
+ * definição são removidas.
+ */
+function resolveFootnotes(blocks, definitions) {
+    const notes = [];
+    const used = new Set();
+    // "\[^1]" (escapado) não é referência
+    const replace = (text) => text.replace(/(?<=(?:^|[^\\])(?:\\\\)*)\[\^([^\]\s]+)\]/g, (m, label) => {
+        if (!definitions.has(label) || used.has(label)) return '';
+        used.add(label);
+        const id = `md_fn_${label.replace(/[^\w-]/g, '_')}`;
+        notes.push({ id, type: 'footnote', text: definitions.get(label) });
+        return `[^${id}]`;
+    });
+    for (const block of blocks) {
+        if (typeof block.text === 'string') block.text = replace(block.text);
+        for (const row of block.rows || []) {
+            for (const cell of row) cell.text = replace(cell.text);
+        }
+    }
+    return notes;
+}
+
+function parseText(text, state) {
+    for (const chunk of text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+        const lines = chunk.split('\n').map(line => line.trim()).filter(Boolean);
+        if (lines.length > 0) pushBlock(state, { type: 'paragraph', text: escapeMarkers(lines.join('\n')) });
+    }
+    return state;
+}
+
+// ─── Documento ───────────────────────────────────────────
+
+/**
+ * Monta o JSON de um documento novo a partir de Markdown ("md") ou texto
+ * simples ("text"), para reconstruir sobre o .docx modelo (`originalJson`).
+ * Os blocos do modelo são descartados, assim como notas e comentários; o
+ * título (se houver) vai para as propriedades do documento.
+ */
+function importDocument(text, format, originalJson) {
+    const styles = originalJson.metadata && originalJson.metadata.styles;
+    let blocks;
+    let notes = [];
+    if (format === 'text') {
+        blocks = parseText(text, createState(styles)).blocks;
+    } else {
+        const state = parseMarkdownBlocks(text, styles);
+        blocks = state.blocks;
+        promoteTitle(blocks);
+        notes = resolveFootnotes(blocks, state.definitions);
+    }
+
+    const properties = { ...((originalJson.metadata && originalJson.metadata.properties) || {}) };
+    const title = blocks.find(b => b.type === 'title');
+    if (title) properties.title = parseMarkdown(title.text).map(seg => seg.text).join('').trim();
+
+    return {
+        metadata: { ...originalJson.metadata, blockCount: blocks.length, tableCount: blocks.filter(b => b.type === 'table').length, properties },
+        blocks,
+        notes,
+        comments: []
+    };
+}
+
+module.exports = { IMPORT_FORMATS, importDocument };
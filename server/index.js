@@ -3,9 +3,13 @@
  * 
  * Responsabilidades:
  *   1. Servir arquivos estáticos (public/)
- *   2. POST /api/extract   → recebe .docx, retorna JSON estruturado
+ *   2. POST /api/extract   → recebe .docx (+ perfil de detecção), retorna JSON estruturado
+ *      GET  /api/profiles  → perfis de detecção de headings disponíveis
  *   3. POST /api/validate  → valida JSON modificado contra o original
  *   4. POST /api/reconstruct → reconstrói .docx a partir do JSON modificado
+ *   5. POST /api/export    → exporta o JSON de blocos em Markdown ou HTML
+ *   6. POST /api/compose   → gera .docx novo a partir de Markdown, com o
+ *      documento enviado como modelo de estilos
  * 
  * Armazena documentos em memória (Map) com TTL de 1 hora.
  */
@@ -16,12 +20,18 @@ const crypto = require('crypto');
 const path = require('path');
 
 const { extractDocx } = require('./extractor');
+const { loadProfile, listProfiles } = require('./profiles');
 const { validateModifiedJson } = require('./validator');
 const { reconstructDocx } = require('./reconstructor');
+const { EXPORT_FORMATS, exportDocument } = require('./exporter');
+const { IMPORT_FORMATS, importDocument } = require('./importer');
 const { callAI } = require('./ai-proxy');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Autor gravado nos comentários novos e nas revisões (controle de alterações);
+// COMMENT_AUTHOR é o nome anterior da variável
+const REVIEW_AUTHOR = process.env.REVIEW_AUTHOR || process.env.COMMENT_AUTHOR || 'IA';
 
 // ─── Middleware ───────────────────────────────────────────
 
@@ -57,9 +67,23 @@ setInterval(() => {
 
 // ─── Routes ──────────────────────────────────────────────
 
+/**
+ * GET /api/profiles
+ * Lista os perfis de detecção de headings (server/profiles/*.json)
+ */
+app.get('/api/profiles', async (req, res) => {
+    try {
+        res.json({ profiles: await listProfiles() });
+    } catch (err) {
+        console.error('Erro ao listar perfis:', err);
+        res.status(500).json({ error: err.message || 'Erro ao listar os perfis.' });
+    }
+});
+
 /**
  * POST /api/extract
- * Recebe um .docx via multipart, retorna JSON estruturado + documentId
+ * Recebe um .docx via multipart (campo opcional "profile" com o perfil de
+ * detecção de headings), retorna JSON estruturado + documentId
  */
 app.post('/api/extract', upload.single('file'), async (req, res) => {
     try {
@@ -70,7 +94,14 @@ app.post('/api/extract', upload.single('file'), async (req, res) => {
         const buffer = req.file.buffer;
         const fileName = req.file.originalname;
 
-        const json = await extractDocx(buffer, fileName);
+        let profile;
+        try {
+            profile = await loadProfile(req.body.profile || undefined);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        const json = await extractDocx(buffer, fileName, { profile });
 
         // Gera ID único e armazena documento
         const documentId = crypto.randomUUID();
@@ -120,11 +151,13 @@ app.post('/api/validate', (req, res) => {
 
 /**
  * POST /api/reconstruct
- * Recebe { documentId, modifiedJson }, valida e retorna novo .docx
+ * Recebe { documentId, modifiedJson, trackChanges, renumberHeadings }, valida e
+ * retorna novo .docx. Com trackChanges, as alterações saem como revisões do
+ * Word; com renumberHeadings, os números manuais dos headings são recalculados.
  */
 app.post('/api/reconstruct', async (req, res) => {
     try {
-        const { documentId, modifiedJson } = req.body;
+        const { documentId, modifiedJson, trackChanges, renumberHeadings } = req.body;
 
         if (!documentId || !modifiedJson) {
             return res.status(400).json({ error: 'documentId e modifiedJson são obrigatórios.' });
@@ -147,7 +180,11 @@ app.post('/api/reconstruct', async (req, res) => {
         }
 
         // Reconstrói
-        const newBuffer = await reconstructDocx(doc.buffer, modifiedJson, doc.originalJson);
+        const newBuffer = await reconstructDocx(doc.buffer, modifiedJson, doc.originalJson, {
+            author: REVIEW_AUTHOR,
+            trackChanges: trackChanges === true,
+            renumberHeadings: renumberHeadings === true
+        });
 
         const newFileName = doc.fileName.replace(/\.docx$/i, '_modificado.docx');
         res.set({
@@ -162,6 +199,101 @@ app.post('/api/reconstruct', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/export?format=md|html
+ * Recebe { documentId, json } e retorna o JSON de blocos (sem "json", o
+ * original) em Markdown ou em HTML com os estilos e imagens do .docx
+ */
+app.post('/api/export', async (req, res) => {
+    try {
+        const { documentId, json } = req.body;
+        const format = req.query.format || 'md';
+
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({ error: 'Formato inválido. Use md ou html.' });
+        }
+        if (!documentId) {
+            return res.status(400).json({ error: 'documentId é obrigatório.' });
+        }
+
+        const doc = documentStore.get(documentId);
+        if (!doc) {
+            return res.status(404).json({
+                error: 'Documento não encontrado. Faça upload novamente.'
+            });
+        }
+
+        const source = json || doc.originalJson;
+        if (typeof source !== 'object' || !Array.isArray(source.blocks)) {
+            return res.status(400).json({ error: 'O JSON deve conter "blocks" (array).' });
+        }
+
+        const content = await exportDocument(doc.buffer, source, format);
+
+        const { extension, contentType } = EXPORT_FORMATS[format];
+        const fileName = doc.fileName.replace(/\.docx$/i, `.${extension}`);
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${encodeURIComponent(fileName)}"`
+        });
+        res.send(content);
+    } catch (err) {
+        console.error('Erro na exportação:', err);
+        res.status(500).json({ error: err.message || 'Erro ao exportar o documento.' });
+    }
+});
+
+/**
+ * POST /api/compose
+ * Recebe { documentId, text, format } (format: "md", padrão, ou "text") e
+ * retorna um .docx novo com o conteúdo convertido em blocos, criados a
+ * partir dos parágrafos, headings, listas e tabelas do documento modelo
+ */
+app.post('/api/compose', async (req, res) => {
+    try {
+        const { documentId, text } = req.body;
+        const format = req.body.format || 'md';
+
+        if (!documentId || typeof text !== 'string' || !text.trim()) {
+            return res.status(400).json({ error: 'documentId e text são obrigatórios.' });
+        }
+        if (!IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: 'Formato inválido. Use md ou text.' });
+        }
+
+        const doc = documentStore.get(documentId);
+        if (!doc) {
+            return res.status(404).json({
+                error: 'Documento não encontrado. Faça upload novamente.'
+            });
+        }
+
+        const composedJson = importDocument(text, format, doc.originalJson);
+        const validation = validateModifiedJson(composedJson, doc.originalJson);
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'Não foi possível converter o texto em blocos válidos.',
+                validationErrors: validation.errors
+            });
+        }
+
+        const newBuffer = await reconstructDocx(doc.buffer, composedJson, doc.originalJson, {
+            author: REVIEW_AUTHOR
+        });
+
+        const newFileName = doc.fileName.replace(/\.docx$/i, '_novo.docx');
+        res.set({
+            'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'Content-Disposition': `attachment; filename="${encodeURIComponent(newFileName)}"`,
+            'Content-Length': newBuffer.length
+        });
+        res.send(newBuffer);
+    } catch (err) {
+        console.error('Erro na composição:', err);
+        res.status(500).json({ error: err.message || 'Erro ao gerar o documento.' });
+    }
+});
+
 // ─── POST /api/transform ─────────────────────────────────
 
 app.post('/api/transform', async (req, res) => {
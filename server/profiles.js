@@ -0,0 +1,114 @@
+/**
+ * profiles.js
+ *
+ * Perfis de detecção de headings: arquivos JSON em server/profiles/ (ou no
+ * diretório de HEADING_PROFILES_DIR), escolhidos pelo nome do arquivo.
+ *
+ * Formato:
+ *   description     — texto exibido na escolha do perfil
+ *   trustStylesOnly — true: só estilos do Word (e "styles") viram heading
+ *   styles          — { "nome ou styleId do estilo": level } somados aos
+ *                     estilos de título do Word
+ *   patterns        — [{ regex, flags, level }] testados no texto do
+ *                     parágrafo; sem "level", o nível é a quantidade de
+ *                     partes do primeiro grupo ("2.1" → 2)
+ *   formatting      — { bold, minFontSize (pt), level }: parágrafos com
+ *                     todo o texto em negrito e/ou no tamanho mínimo
+ *   maxLength       — parágrafos mais longos não são testados por
+ *                     patterns/formatting
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const PROFILES_DIR = process.env.HEADING_PROFILES_DIR || path.join(__dirname, 'profiles');
+const DEFAULT_PROFILE = 'padrao';
+const PROFILE_NAME = /^[\w-]+$/;
+
+function isLevel(value) {
+    return Number.isInteger(value) && value >= 1;
+}
+
+/**
+ * Valida o JSON do perfil e compila as regexes. Erros de configuração
+ * citam o perfil e o campo.
+ */
+function compileProfile(name, raw) {
+    const fail = (msg) => { throw new Error(`Perfil de detecção "${name}": ${msg}`); };
+    if (!raw || typeof raw !== 'object') fail('o arquivo deve conter um objeto JSON.');
+
+    const styles = raw.styles || {};
+    for (const [style, level] of Object.entries(styles)) {
+        if (!isLevel(level)) fail(`nível do estilo "${style}" deve ser um inteiro >= 1.`);
+    }
+
+    const patterns = (raw.patterns || []).map((pattern, i) => {
+        if (!pattern || typeof pattern.regex !== 'string') fail(`patterns[${i}] deve ter "regex" (string).`);
+        if (pattern.level !== undefined && !isLevel(pattern.level)) fail(`patterns[${i}].level deve ser um inteiro >= 1.`);
+        try {
+            return { regex: new RegExp(pattern.regex, pattern.flags !== undefined ? pattern.flags : 'u'), level: pattern.level };
+        } catch (err) {
+            return fail(`patterns[${i}].regex inválida (${err.message}).`);
+        }
+    });
+
+    const formatting = raw.formatting || null;
+    if (formatting) {
+        if (formatting.minFontSize !== undefined && (typeof formatting.minFontSize !== 'number' || formatting.minFontSize <= 0)) {
+            fail('formatting.minFontSize deve ser um número > 0 (pt).');
+        }
+        if (!formatting.bold && formatting.minFontSize === undefined) fail('formatting precisa de "bold" ou "minFontSize".');
+        if (formatting.level !== undefined && !isLevel(formatting.level)) fail('formatting.level deve ser um inteiro >= 1.');
+    }
+    if (raw.maxLength !== undefined && !isLevel(raw.maxLength)) fail('maxLength deve ser um inteiro >= 1.');
+
+    return {
+        name,
+        description: raw.description || '',
+        trustStylesOnly: raw.trustStylesOnly === true,
+        styles,
+        patterns,
+        formatting,
+        maxLength: raw.maxLength || null
+    };
+}
+
+/**
+ * Carrega um perfil pelo nome (padrão: "padrao").
+ */
+async function loadProfile(name = DEFAULT_PROFILE) {
+    if (!PROFILE_NAME.test(name)) throw new Error(`Nome de perfil inválido: "${name}".`);
+    let content;
+    try {
+        content = await fs.readFile(path.join(PROFILES_DIR, `${name}.json`), 'utf8');
+    } catch (err) {
+        throw new Error(`Perfil de detecção "${name}" não encontrado.`);
+    }
+    let raw;
+    try {
+        raw = JSON.parse(content);
+    } catch (err) {
+        throw new Error(`Perfil de detecção "${name}": JSON inválido (${err.message}).`);
+    }
+    return compileProfile(name, raw);
+}
+
+/**
+ * Perfis disponíveis: [{ name, description }], em ordem alfabética.
+ * Arquivos inválidos ficam de fora.
+ */
+async function listProfiles() {
+    const files = await fs.readdir(PROFILES_DIR).catch(() => []);
+    const profiles = [];
+    for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+        try {
+            const profile = await loadProfile(file.replace(/\.json$/, ''));
+            profiles.push({ name: profile.name, description: profile.description });
+        } catch (err) {
+            console.warn(err.message);
+        }
+    }
+    return profiles;
+}
+
+module.exports = { DEFAULT_PROFILE, loadProfile, listProfiles };
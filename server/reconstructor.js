@@ -5,16 +5,79 @@
  * 
  * Suporta:
  *   - Blocos existentes: clona XML original, atualiza texto (com formatação markdown)
+ *     por diff de palavras, mantendo os runs dos trechos inalterados. Blocos,
+ *     células e notas iguais ao JSON original são copiados como estão
  *   - Blocos novos: cria XML a partir de templates extraídos do documento original
  *   - Blocos removidos: simplesmente não incluídos
- *   - Remoção de imagens: todas as imagens são removidas dos nós clonados
- *   - Formatação inline: **bold**, *italic*, ***bold+italic*** são convertidos para w:rPr
+ *   - Cabeçalhos/rodapés: cada seção de "headersFooters" reescreve sua parte
+ *     (word/headerN.xml, word/footerN.xml) com a mesma lógica do corpo
+ *   - Imagens: blocos image mantêm o parágrafo original (alt e legenda
+ *     editáveis); marcadores {{img_...}} reinserem imagens inline. Só as
+ *     imagens que o JSON descarta são removidas
+ *   - Formatação inline: **bold**, *italic*, ***bold+italic***, __sublinhado__,
+ *     ~~tachado~~, ==realce==, ^sobrescrito^, ~subscrito~ e `código` são
+ *     convertidos para w:rPr
+ *   - Hyperlinks: [texto](url) vira w:hyperlink; URLs já presentes no .rels da
+ *     parte reaproveitam o rId, novas URLs ganham um relacionamento externo
+ *   - Notas: marcadores [^id] viram runs w:footnoteReference/w:endnoteReference e
+ *     a lista "notes" reescreve word/footnotes.xml e word/endnotes.xml
+ *   - Tabelas: células mapeadas pelo ID; continuações de mesclagem vertical não
+ *     são tocadas; novas tabelas aceitam colSpan/rowSpan (w:gridSpan/w:vMerge).
+ *     Linhas novas de tabelas existentes são clonadas da linha "rowTemplate"
+ *     (bordas e sombreamento); linhas removidas saem (ou viram excluídas).
+ *     Células com "blocks" (tabelas aninhadas) são reconstruídas recursivamente.
+ *     No "text" de células cada linha é um parágrafo, "<br>" vira w:br e
+ *     linhas "- " viram itens com marcador
+ *   - Estilos: blocos novos com "style" recebem w:pStyle/w:tblStyle e usam
+ *     como modelo um bloco do mesmo estilo
+ *   - Controles de conteúdo (w:sdt): blocos content_control mantêm posição e
+ *     sdtPr, só o conteúdo é reconstruído; controles inline {{ctl_...}} são
+ *     reinseridos no ponto do marcador com o texto de "controls"
+ *   - Comentários: a lista "comments" reescreve word/comments.xml; cada
+ *     comentário é ancorado ao bloco/célula do seu "blockId". Comentários
+ *     novos recebem o autor configurado (options.author)
+ *   - Controle de alterações (options.trackChanges): textos alterados viram
+ *     revisões w:ins/w:del palavra a palavra; blocos removidos ficam como
+ *     parágrafos/linhas excluídos e blocos novos como inseridos
+ *   - IDs estáveis: os nós do corpo são mapeados pelos mesmos IDs do
+ *     extractor (bookmark _docia_block_NNNN ou posição) e cada bloco gerado
+ *     recebe o bookmark com seu ID; blocos novos ganham um block_NNNN livre
+ *   - Sumário: blocos toc têm o resultado em cache regenerado a partir dos
+ *     headings finais e o Word atualiza os campos ao abrir (w:updateFields)
+ *   - Renumeração (options.renumberHeadings): headings com número manual
+ *     ("2.1 - Escopo") são renumerados pela ordem e nível finais
+ *   - Quebras: page_break vira parágrafo com w:br w:type="page"; section_break
+ *     aplica start/orientation/margins/columns ao w:sectPr do parágrafo (seções
+ *     novas copiam a seção final do documento)
+ *   - Propriedades: metadata.properties atualiza docProps/core.xml e
+ *     docProps/app.xml; dcterms:modified e cp:revision são atualizados sempre
+ *   - Listas: list_items novos recebem w:numPr da lista indicada por
+ *     "listId"/"listType" (criando w:num/w:abstractNum em numbering.xml
+ *     quando a lista é nova) ou continuam a lista do item anterior
+ *   - Caixas de texto: blocos textbox reconstroem o w:txbxContent da forma
+ *     no parágrafo âncora, nas cópias DrawingML e VML (mc:Fallback)
  */
 
 const JSZip = require('jszip');
 const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const {
+    loadRelationships,
+    getRelationships,
+    addRelationship,
+    saveRelationships,
+    addContentTypeOverride,
+    STABLE_ID,
+    formatBlockId,
+    blockNumber,
+    assignBlockIds,
+    setBlockBookmark,
+    removeBlockBookmark,
+    getTocRegion,
+    writeDocProperties
+} = require('./docx-package');
 
 const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
 const XML_NS = 'http://www.w3.org/XML/1998/namespace';
 
 // ─── Helpers ──────────────────────────────────────────────
@@ -45,10 +108,152 @@ function removeChildrenByName(parent, tagName) {
     for (const el of toRemove) parent.removeChild(el);
 }
 
-// ─── Image Removal ───────────────────────────────────────
+/**
+ * Compara blocos/células do JSON pelo conteúdo: as chaves são ordenadas
+ * antes de serializar, então {id,type,level,text} e {id,type,text,level}
+ * são iguais.
+ */
+function isSameContent(a, b) {
+    const sorted = (key, value) => value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.fromEntries(Object.keys(value).sort().map(k => [k, value[k]]))
+        : value;
+    return JSON.stringify(a, sorted) === JSON.stringify(b, sorted);
+}
+
+// ─── Images ──────────────────────────────────────────────
+
+const IMAGE_TAGS = ['w:drawing', 'w:pict', 'mc:AlternateContent'];
+
+function isTextBox(node) {
+    return node.getElementsByTagName('w:txbxContent').length > 0;
+}
+
+/**
+ * Elementos de imagem dos runs de um parágrafo, na mesma ordem do
+ * extractor. Retorna [{ node, rPr }] com o rPr do run de origem. Com
+ * `textBoxes`, retorna as caixas de texto em vez das imagens.
+ */
+function collectImageNodes(node, out, textBoxes = false) {
+    for (let i = 0; i < node.childNodes.length; i++) {
+        const child = node.childNodes[i];
+        if (child.nodeName === 'w:r') {
+            for (let j = 0; j < child.childNodes.length; j++) {
+                const rc = child.childNodes[j];
+                if (IMAGE_TAGS.includes(rc.nodeName) && isTextBox(rc) === textBoxes) {
+                    out.push({ node: rc, rPr: getFirstChild(child, 'w:rPr') });
+                }
+            }
+        } else if (child.nodeName === 'w:hyperlink') {
+            collectImageNodes(child, out, textBoxes);
+        }
+    }
+    return out;
+}
+
+/**
+ * Atualiza o texto alternativo: wp:docPr/@descr (DrawingML) e
+ * v:shape/@alt (VML, inclusive o fallback de mc:AlternateContent).
+ */
+function setImageAlt(imageNode, alt) {
+    const docPrs = imageNode.getElementsByTagName('wp:docPr');
+    for (let i = 0; i < docPrs.length; i++) {
+        if (alt) docPrs[i].setAttribute('descr', alt);
+        else docPrs[i].removeAttribute('descr');
+    }
+    const shapes = imageNode.getElementsByTagName('v:shape');
+    for (let i = 0; i < shapes.length; i++) {
+        if (alt) shapes[i].setAttribute('alt', alt);
+        else shapes[i].removeAttribute('alt');
+    }
+}
+
+/**
+ * Registra em ctx.inlineImages as imagens inline dos parágrafos originais,
+ * na numeração do extractor ({prefix}_0, {prefix}_1...), com o alt novo
+ * vindo de "images" do JSON modificado.
+ */
+function registerInlineImages(ctx, paragraphs, modifiedImages, prefix) {
+    const alts = new Map((Array.isArray(modifiedImages) ? modifiedImages : []).map(img => [img.id, img.alt]));
+    let index = 0;
+    for (const p of paragraphs) {
+        for (const image of collectImageNodes(p, [])) {
+            const id = `${prefix}_${index++}`;
+            ctx.inlineImages.set(id, { ...image, alt: alts.has(id) ? alts.get(id) : undefined });
+        }
+    }
+}
+
+/**
+ * Recria o run da imagem do marcador {{id}}. Marcadores desconhecidos
+ * são mantidos como texto.
+ */
+function createInlineImage(doc, id, ctx) {
+    const r = doc.createElementNS(W_NS, 'w:r');
+    const entry = ctx && ctx.inlineImages.get(id);
+    if (!entry) {
+        const t = doc.createElementNS(W_NS, 'w:t');
+        t.appendChild(doc.createTextNode(`{{${id}}}`));
+        r.appendChild(t);
+        return r;
+    }
+    if (entry.rPr) r.appendChild(entry.rPr.cloneNode(true));
+    const node = entry.node.cloneNode(true);
+    if (typeof entry.alt === 'string') setImageAlt(node, entry.alt);
+    r.appendChild(node);
+    return r;
+}
+
+/**
+ * Atualiza um bloco image (parágrafo original clonado): alt da primeira
+ * imagem e a legenda. "caption" omitido mantém a legenda original; vazio
+ * a remove. Retorna os nós a inserir (imagem + legenda).
+ */
+function updateImageBlock(doc, node, block, origBlock, captionNode, captionTemplate, ctx) {
+    const image = collectImageNodes(node, [])[0];
+    if (image && typeof block.alt === 'string' && (!origBlock || block.alt !== origBlock.alt)) {
+        setImageAlt(image.node, block.alt);
+    }
+
+    const nodes = [node];
+    const origCaption = origBlock ? origBlock.caption : undefined;
+    const caption = block.caption !== undefined ? block.caption : origCaption;
+    if (typeof caption !== 'string' || !caption.trim()) {
+        if (captionNode && ctx.revisions) {
+            const removed = captionNode.cloneNode(true);
+            markBlockRevision(doc, removed, 'w:del', ctx);
+            nodes.push(removed);
+        }
+        return nodes;
+    }
+    if (captionNode) {
+        const clone = captionNode.cloneNode(true);
+        if (caption !== origCaption) {
+            updateParagraphText(clone, caption, ctx);
+            if (ctx.revisions) trackParagraphChanges(doc, clone, captionNode, ctx);
+        }
+        nodes.push(clone);
+    } else {
+        const p = createCaptionParagraph(doc, caption, captionTemplate, ctx);
+        if (ctx.revisions) markBlockRevision(doc, p, 'w:ins', ctx);
+        nodes.push(p);
+    }
+    return nodes;
+}
+
+function createCaptionParagraph(doc, text, template, ctx) {
+    if (template) return createNewParagraph(doc, text, template, ctx);
+    const p = doc.createElementNS(W_NS, 'w:p');
+    const pPr = doc.createElementNS(W_NS, 'w:pPr');
+    const pStyle = doc.createElementNS(W_NS, 'w:pStyle');
+    pStyle.setAttribute('w:val', 'Caption');
+    pPr.appendChild(pStyle);
+    p.appendChild(pPr);
+    appendFormattedRuns(p, text, null, ctx);
+    return p;
+}
 
 /**
- * Remove todas as imagens de um nó XML clonado.
+ * Remove todas as imagens de um nó XML clonado (usado em templates).
  * Também remove runs que ficaram vazios após a remoção.
  */
 function removeImages(node) {
@@ -73,39 +278,206 @@ function removeImages(node) {
     }
 }
 
+// ─── Text Boxes ──────────────────────────────────────────
+
+/**
+ * Cópias do conteúdo de uma caixa de texto: a DrawingML (mc:Choice) e o
+ * fallback VML (mc:Fallback) têm cada uma o seu w:txbxContent.
+ */
+function getTextBoxContents(shape) {
+    const contents = [];
+    const all = shape.getElementsByTagName('w:txbxContent');
+    for (let i = 0; i < all.length; i++) {
+        let nested = false;
+        for (let parent = all[i].parentNode; parent && parent !== shape; parent = parent.parentNode) {
+            if (parent.nodeName === 'w:txbxContent') nested = true;
+        }
+        if (!nested) contents.push(all[i]);
+    }
+    return contents;
+}
+
+/**
+ * Runs com caixas de texto de um parágrafo (removidos por
+ * updateParagraphText e reinseridos no início do parágrafo).
+ */
+function collectTextBoxRuns(pNode) {
+    return collectImageNodes(pNode, [], true).map(entry => entry.node.parentNode);
+}
+
+function insertTextBoxRuns(pNode, runs) {
+    let ref = pNode.firstChild;
+    while (ref && ref.nodeName === 'w:pPr') ref = ref.nextSibling;
+    for (const r of runs) pNode.insertBefore(r, ref);
+}
+
+/**
+ * Atualiza as caixas de texto do parágrafo âncora `anchorId` a partir dos
+ * blocos textbox ("{anchorId}_txbx_N"): as duas cópias (DrawingML e VML)
+ * são reconstruídas com os mesmos blocos; caixas sem bloco no JSON são
+ * removidas.
+ */
+function updateTextBoxes(doc, pNode, anchorId, blocks, originalBlocks, ctx) {
+    collectImageNodes(pNode, [], true).forEach(({ node: shape }, index) => {
+        const id = `${anchorId}_txbx_${index}`;
+        const block = blocks.find(b => b.id === id);
+        if (!block) {
+            const r = shape.parentNode;
+            r.removeChild(shape);
+            if (!Array.from(r.childNodes).some(c => c.nodeType === 1 && c.nodeName !== 'w:rPr')) r.parentNode.removeChild(r);
+            return;
+        }
+        if (!Array.isArray(block.blocks)) return;
+        const origBlock = originalBlocks && originalBlocks.find(b => b.id === id);
+        getTextBoxContents(shape).forEach((content, copy) => {
+            // Comentários só na primeira cópia
+            const copyCtx = copy === 0 ? ctx : { ...ctx, comments: null };
+            rebuildContainer(doc, content, block.blocks, origBlock && origBlock.blocks, copyCtx, `${id}_`);
+        });
+    });
+}
+
 // ─── Markdown Parsing ────────────────────────────────────
 
 /**
- * Parse markdown markers: ***bold+italic***, **bold**, *italic*
- * Returns array of { text, bold, italic }
+ * Marcadores inline: [^nota], {{ctl_...}}, {{img_...}}, [texto](url), `código`,
+ * ***bold+italic***, **bold**, *italic*, __sublinhado__, ~~tachado~~,
+ * ==realce==, ^sobrescrito^, ~subscrito~. Sobrescrito/subscrito não
+ * começam nem terminam com espaço (evita capturar "[^1]" e "~ 10 ~").
+ * A URL pode ter parênteses equilibrados (".../Foo_(bar)").
+ * "\" antes de um caractere de marcador (ver ESCAPED_CHARS) o deixa
+ * literal, também dentro dos marcadores.
  */
-function parseMarkdown(text) {
-    if (!text) return [{ text: '', bold: false, italic: false }];
+const MARKDOWN_REGEX = new RegExp([
+    /\\(?<escaped>[\\*`~^[\]_={}])/,
+    /\[\^(?<note>[\w-]+)\]/,
+    /\{\{(?<control>[\w-]*ctl_\d+(?:_\d+)*)\}\}/,
+    /\{\{(?<image>[\w-]*img_\d+(?:_\d+)*)\}\}/,
+    /\[(?<linkText>(?:\\.|[^\]\\])+)\]\((?<url>(?:[^()\s]|\([^()\s]*\))+)\)/,
+    /`(?<code>(?:\\[\s\S]|[^`\\])+)`/,
+    /\*\*\*(?<boldItalic>(?:\\.|[^\\\n])+?)\*\*\*/,
+    /\*\*(?<bold>(?:\\.|[^\\\n])+?)\*\*/,
+    /\*(?<italic>(?:\\.|[^\\\n])+?)\*/,
+    /__(?<underline>(?:\\.|[^\\\n])+?)__/,
+    /~~(?<strike>(?:\\.|[^\\\n])+?)~~/,
+    /==(?<highlight>(?:\\.|[^\\\n])+?)==/,
+    /\^(?<sup>(?:\\.|[^\s^[\]\\])(?:(?:\\.|[^^[\]\\])*(?:\\.|[^\s^[\]\\]))?)\^/,
+    /~(?<sub>(?:\\.|[^\s~\\])(?:(?:\\.|[^~\\])*(?:\\.|[^\s~\\]))?)~/
+].map(r => r.source).join('|'), 'g');
+const ESCAPED_CHARS = /\\([\\*`~^[\]_={}])/g;
+
+/** Marcas aplicadas por cada marcador que envolve texto (conteúdo é recursivo). */
+const WRAPPER_MARKS = {
+    boldItalic: { bold: true, italic: true },
+    bold: { bold: true },
+    italic: { italic: true },
+    underline: { underline: true },
+    strike: { strike: true },
+    highlight: { highlight: true },
+    sup: { sup: true },
+    sub: { sub: true }
+};
+
+/**
+ * Parse markdown markers (ver MARKDOWN_REGEX).
+ * Returns array of { text, ...marcas } (+ noteRef / control / image / link para marcadores)
+ * O texto do link continua com os marcadores (createHyperlink faz o parse).
+ */
+function parseMarkdown(text, marks = {}) {
+    if (!text) return [{ text: '', ...marks }];
 
     const segments = [];
-    const regex = /(\*\*\*(.+?)\*\*\*|\*\*(.+?)\*\*|\*(.+?)\*)/g;
+    const regex = new RegExp(MARKDOWN_REGEX.source, 'g');
     let lastIndex = 0;
+    let plain = ''; // texto comum pendente (escapes no meio não dividem o segmento)
     let match;
 
     while ((match = regex.exec(text)) !== null) {
-        if (match.index > lastIndex) {
-            segments.push({ text: text.slice(lastIndex, match.index), bold: false, italic: false });
+        plain += text.slice(lastIndex, match.index);
+        lastIndex = match.index + match[0].length;
+        const groups = match.groups;
+        if (groups.escaped !== undefined) {
+            plain += groups.escaped;
+            continue;
         }
-        if (match[2] !== undefined) {
-            segments.push({ text: match[2], bold: true, italic: true });
-        } else if (match[3] !== undefined) {
-            segments.push({ text: match[3], bold: true, italic: false });
-        } else if (match[4] !== undefined) {
-            segments.push({ text: match[4], bold: false, italic: true });
+        if (plain) segments.push({ text: plain, ...marks });
+        plain = '';
+        if (groups.note !== undefined) {
+            segments.push({ text: '', noteRef: groups.note });
+        } else if (groups.control !== undefined) {
+            segments.push({ text: '', control: groups.control });
+        } else if (groups.image !== undefined) {
+            segments.push({ text: '', image: groups.image });
+        } else if (groups.linkText !== undefined) {
+            segments.push({ text: groups.linkText, ...marks, link: groups.url });
+        } else if (groups.code !== undefined) {
+            segments.push({ text: groups.code.replace(ESCAPED_CHARS, '$1'), ...marks, code: true });
+        } else {
+            const name = Object.keys(WRAPPER_MARKS).find(key => groups[key] !== undefined);
+            segments.push(...parseMarkdown(groups[name], { ...marks, ...WRAPPER_MARKS[name] }));
         }
-        lastIndex = match.index + match[0].length;
     }
 
-    if (lastIndex < text.length) {
-        segments.push({ text: text.slice(lastIndex), bold: false, italic: false });
+    plain += text.slice(lastIndex);
+    if (plain) segments.push({ text: plain, ...marks });
+
+    return segments.length > 0 ? segments : [{ text: '', ...marks }];
+}
+
+// ─── Estilos ─────────────────────────────────────────────
+
+/**
+ * Mapas chave → styleId dos estilos de parágrafo e de tabela; a chave é o
+ * styleId ou o nome, em minúsculas (como em metadata.styles).
+ */
+function buildStyleIdMap(stylesXml, parser) {
+    const map = { paragraph: new Map(), table: new Map() };
+    if (!stylesXml) return map;
+    const doc = parser.parseFromString(stylesXml, 'text/xml');
+    for (const style of getDirectChildren(doc.documentElement, 'w:style')) {
+        const styleId = style.getAttribute('w:styleId');
+        const byKey = map[style.getAttribute('w:type')];
+        if (!byKey || !styleId) continue;
+        const nameEl = getFirstChild(style, 'w:name');
+        const name = nameEl && nameEl.getAttribute('w:val');
+        byKey.set(styleId.toLowerCase(), styleId);
+        if (name && !byKey.has(name.toLowerCase())) byKey.set(name.toLowerCase(), styleId);
     }
+    return map;
+}
+
+function resolveStyleId(styles, kind, style) {
+    return (styles && styles[kind].get(String(style).toLowerCase())) || null;
+}
+
+/**
+ * w:pStyle de um parágrafo ou w:tblStyle de uma tabela.
+ */
+function getBlockStyleId(node) {
+    const table = node.nodeName === 'w:tbl';
+    const styleEl = getFirstChild(getFirstChild(node, table ? 'w:tblPr' : 'w:pPr'), table ? 'w:tblStyle' : 'w:pStyle');
+    return styleEl ? styleEl.getAttribute('w:val') : null;
+}
 
-    return segments.length > 0 ? segments : [{ text, bold: false, italic: false }];
+/**
+ * Aplica um estilo (w:pStyle/w:tblStyle, o primeiro filho de w:pPr/w:tblPr)
+ * a um bloco novo. Sem styleId, devolve o nó como está.
+ */
+function setBlockStyle(doc, node, styleId) {
+    if (!styleId) return node;
+    const table = node.nodeName === 'w:tbl';
+    const prName = table ? 'w:tblPr' : 'w:pPr';
+    const tag = table ? 'w:tblStyle' : 'w:pStyle';
+    let pr = getFirstChild(node, prName);
+    if (!pr) {
+        pr = doc.createElementNS(W_NS, prName);
+        node.insertBefore(pr, node.firstChild);
+    }
+    removeChildrenByName(pr, tag);
+    const styleEl = doc.createElementNS(W_NS, tag);
+    styleEl.setAttribute('w:val', styleId);
+    pr.insertBefore(styleEl, pr.firstChild);
+    return node;
 }
 
 // ─── Heading Style Map ───────────────────────────────────
@@ -136,340 +508,2830 @@ function buildHeadingStyleReverseMap(stylesXml, parser) {
 
 // ─── Text Update (com suporte a markdown) ────────────────
 
+/** Ordem dos filhos de w:rPr exigida pelo schema (CT_RPr). */
+const RPR_ORDER = [
+    'w:rStyle', 'w:rFonts', 'w:b', 'w:bCs', 'w:i', 'w:iCs', 'w:caps', 'w:smallCaps', 'w:strike',
+    'w:dstrike', 'w:outline', 'w:shadow', 'w:emboss', 'w:imprint', 'w:noProof', 'w:snapToGrid',
+    'w:vanish', 'w:webHidden', 'w:color', 'w:spacing', 'w:w', 'w:kern', 'w:position', 'w:sz',
+    'w:szCs', 'w:highlight', 'w:u', 'w:effect', 'w:bdr', 'w:shd', 'w:fitText', 'w:vertAlign',
+    'w:rtl', 'w:cs', 'w:em', 'w:lang', 'w:eastAsianLayout', 'w:specVanish', 'w:oMath'
+];
+
+/** Propriedades de run controladas pelos marcadores inline. */
+const MARK_PROPS = ['w:b', 'w:bCs', 'w:i', 'w:iCs', 'w:strike', 'w:dstrike', 'w:highlight', 'w:u', 'w:vertAlign'];
+
+const CODE_FONT = 'Courier New';
+const MONOSPACE_FONT = /^(courier|consolas|lucida console|lucida sans typewriter|menlo|monaco|source code pro|cascadia (code|mono)|fira (code|mono)|jetbrains mono|roboto mono|dejavu sans mono|liberation mono)/i;
+
 /**
- * Atualiza o texto de um parágrafo, preservando fontes/cores do original
- * e convertendo marcadores markdown em formatação Word.
+ * Insere (ou substitui) uma propriedade em w:rPr respeitando RPR_ORDER.
  */
-function updateParagraphText(pNode, newText) {
-    const doc = pNode.ownerDocument;
+function setRunProp(rPr, name, attrs = {}) {
+    removeChildrenByName(rPr, name);
+    const doc = rPr.ownerDocument;
+    const el = doc.createElementNS(W_NS, name);
+    for (const [attr, value] of Object.entries(attrs)) el.setAttribute(attr, value);
 
-    // Capturar rPr template do primeiro run (preserva fonte, tamanho, cor)
-    const existingRuns = getDirectChildren(pNode, 'w:r');
-    let baseRPr = null;
-    if (existingRuns.length > 0) {
-        const rPr = getFirstChild(existingRuns[0], 'w:rPr');
-        if (rPr) {
-            baseRPr = rPr.cloneNode(true);
-            // Remover bold/italic do template (serão adicionados por segmento)
-            removeChildrenByName(baseRPr, 'w:b');
-            removeChildrenByName(baseRPr, 'w:bCs');
-            removeChildrenByName(baseRPr, 'w:i');
-            removeChildrenByName(baseRPr, 'w:iCs');
-        }
+    const order = RPR_ORDER.indexOf(name);
+    let before = null;
+    for (let i = 0; i < rPr.childNodes.length; i++) {
+        const idx = RPR_ORDER.indexOf(rPr.childNodes[i].nodeName);
+        if (idx > order) { before = rPr.childNodes[i]; break; }
     }
+    rPr.insertBefore(el, before);
+}
 
-    // Remover runs e hyperlinks existentes (manter pPr)
-    const toRemove = [];
-    for (let i = 0; i < pNode.childNodes.length; i++) {
-        const name = pNode.childNodes[i].nodeName;
-        if (name === 'w:r' || name === 'w:hyperlink' || name === 'w:bookmarkStart' || name === 'w:bookmarkEnd') {
-            toRemove.push(pNode.childNodes[i]);
-        }
+/**
+ * rPr de um segmento: base (fonte/tamanho/cor) + marcas do segmento.
+ */
+function buildRunProperties(doc, baseRPr, seg) {
+    const rPr = baseRPr ? baseRPr.cloneNode(true) : doc.createElementNS(W_NS, 'w:rPr');
+    if (seg.code) {
+        setRunProp(rPr, 'w:rFonts', { 'w:ascii': CODE_FONT, 'w:hAnsi': CODE_FONT, 'w:cs': CODE_FONT });
     }
-    for (const el of toRemove) pNode.removeChild(el);
+    if (seg.bold) {
+        setRunProp(rPr, 'w:b');
+        setRunProp(rPr, 'w:bCs');
+    }
+    if (seg.italic) {
+        setRunProp(rPr, 'w:i');
+        setRunProp(rPr, 'w:iCs');
+    }
+    if (seg.strike) setRunProp(rPr, 'w:strike');
+    if (seg.highlight) setRunProp(rPr, 'w:highlight', { 'w:val': 'yellow' });
+    if (seg.underline) setRunProp(rPr, 'w:u', { 'w:val': 'single' });
+    if (seg.sup) setRunProp(rPr, 'w:vertAlign', { 'w:val': 'superscript' });
+    if (seg.sub) setRunProp(rPr, 'w:vertAlign', { 'w:val': 'subscript' });
+    return rPr;
+}
 
-    // Parse markdown e criar runs formatados
-    const segments = parseMarkdown(newText);
+/**
+ * Cria runs formatados a partir do texto com markdown e os anexa ao parágrafo.
+ * baseRPr (opcional) preserva fonte/tamanho/cor do run original.
+ */
+function appendFormattedRuns(pNode, text, baseRPr, ctx) {
+    const doc = pNode.ownerDocument;
 
-    for (const seg of segments) {
+    for (const seg of parseMarkdown(text)) {
+        if (seg.noteRef !== undefined) {
+            pNode.appendChild(createNoteReferenceRun(doc, seg.noteRef, ctx));
+            continue;
+        }
+        if (seg.control !== undefined) {
+            pNode.appendChild(createInlineControl(doc, seg.control, ctx));
+            continue;
+        }
+        if (seg.image !== undefined) {
+            pNode.appendChild(createInlineImage(doc, seg.image, ctx));
+            continue;
+        }
+        if (seg.link !== undefined) {
+            const { link, text: linkText, ...marks } = seg;
+            pNode.appendChild(createHyperlink(doc, link, linkText, buildRunProperties(doc, baseRPr, marks), ctx));
+            continue;
+        }
         if (!seg.text) continue;
 
         const r = doc.createElementNS(W_NS, 'w:r');
 
-        // Construir rPr: base (fonte/tamanho/cor) + bold/italic do segmento
-        const rPr = baseRPr ? baseRPr.cloneNode(true) : doc.createElementNS(W_NS, 'w:rPr');
-        if (seg.bold) {
-            rPr.appendChild(doc.createElementNS(W_NS, 'w:b'));
-            rPr.appendChild(doc.createElementNS(W_NS, 'w:bCs'));
-        }
-        if (seg.italic) {
-            rPr.appendChild(doc.createElementNS(W_NS, 'w:i'));
-            rPr.appendChild(doc.createElementNS(W_NS, 'w:iCs'));
-        }
+        // Construir rPr: base (fonte/tamanho/cor) + marcas do segmento
+        const rPr = buildRunProperties(doc, baseRPr, seg);
         // Só adicionar rPr se tiver filhos
         if (rPr.childNodes.length > 0) r.appendChild(rPr);
 
-        const t = doc.createElementNS(W_NS, 'w:t');
-        t.setAttributeNS(XML_NS, 'xml:space', 'preserve');
-        t.appendChild(doc.createTextNode(seg.text));
-        r.appendChild(t);
+        // "\n" no texto de um parágrafo é quebra de linha (w:br)
+        seg.text.split('\n').forEach((line, i) => {
+            if (i > 0) r.appendChild(doc.createElementNS(W_NS, 'w:br'));
+            if (!line) return;
+            const t = doc.createElementNS(W_NS, 'w:t');
+            t.setAttributeNS(XML_NS, 'xml:space', 'preserve');
+            t.appendChild(doc.createTextNode(line));
+            r.appendChild(t);
+        });
 
         pNode.appendChild(r);
     }
 }
 
-function updateTableText(tblNode, modifiedRows) {
-    const trNodes = getDirectChildren(tblNode, 'w:tr');
-    for (let rowIdx = 0; rowIdx < trNodes.length && rowIdx < modifiedRows.length; rowIdx++) {
-        const tr = trNodes[rowIdx];
-        const modRow = modifiedRows[rowIdx];
-        const tcNodes = getDirectChildren(tr, 'w:tc');
-        for (let cellIdx = 0; cellIdx < tcNodes.length && cellIdx < modRow.length; cellIdx++) {
-            const tc = tcNodes[cellIdx];
-            updateCellText(tc, modRow[cellIdx].text);
+// ─── Hyperlinks ──────────────────────────────────────────
+
+/**
+ * Map URL → rId dos hyperlinks do .rels da parte em reconstrução
+ * (ctx.rels), montado na primeira consulta.
+ */
+function getHyperlinkRels(rels) {
+    if (!rels.hyperlinks) {
+        rels.hyperlinks = new Map();
+        for (const [id, rel] of getRelationships(rels)) {
+            if (rel.type === 'hyperlink' && !rels.hyperlinks.has(rel.target)) rels.hyperlinks.set(rel.target, id);
         }
     }
+    return rels.hyperlinks;
 }
 
-function updateCellText(tcNode, newText) {
-    const paragraphs = getDirectChildren(tcNode, 'w:p');
-    if (paragraphs.length === 0) return;
-    const segments = newText.split('\n');
-    for (let i = 0; i < paragraphs.length; i++) {
-        updateParagraphText(paragraphs[i], i < segments.length ? segments[i] : '');
-    }
-    if (segments.length > paragraphs.length) {
-        const extra = segments.slice(paragraphs.length).join('\n');
-        const lastP = paragraphs[paragraphs.length - 1];
-        // Append extra text to last paragraph last run
-        const runs = getDirectChildren(lastP, 'w:r');
-        if (runs.length > 0) {
-            const lastT = getFirstChild(runs[runs.length - 1], 'w:t');
-            if (lastT) lastT.textContent = (lastT.textContent || '') + '\n' + extra;
-        }
+/**
+ * rId do relacionamento externo para `url`: reaproveita o existente ou
+ * cria um novo (rels.changed indica que o .rels precisa ser salvo).
+ */
+function getHyperlinkRelId(rels, url) {
+    let id = getHyperlinkRels(rels).get(url);
+    if (!id) {
+        id = addRelationship(rels, 'hyperlink', url, true);
+        rels.hyperlinks.set(url, id);
+        rels.changed = true;
     }
+    return id;
 }
 
-// ─── New Block Creation ──────────────────────────────────
-
-function createBasicParagraph(doc, text) {
-    const p = doc.createElementNS(W_NS, 'w:p');
-    if (text) {
-        const segments = parseMarkdown(text);
-        for (const seg of segments) {
-            if (!seg.text) continue;
-            const r = doc.createElementNS(W_NS, 'w:r');
-            if (seg.bold || seg.italic) {
-                const rPr = doc.createElementNS(W_NS, 'w:rPr');
-                if (seg.bold) {
-                    rPr.appendChild(doc.createElementNS(W_NS, 'w:b'));
-                    rPr.appendChild(doc.createElementNS(W_NS, 'w:bCs'));
-                }
-                if (seg.italic) {
-                    rPr.appendChild(doc.createElementNS(W_NS, 'w:i'));
-                    rPr.appendChild(doc.createElementNS(W_NS, 'w:iCs'));
-                }
-                r.appendChild(rPr);
-            }
-            const t = doc.createElementNS(W_NS, 'w:t');
-            t.setAttributeNS(XML_NS, 'xml:space', 'preserve');
-            t.appendChild(doc.createTextNode(seg.text));
-            r.appendChild(t);
-            p.appendChild(r);
+/**
+ * Cria um w:hyperlink com os runs formatados do texto do link.
+ * "#marcador" vira w:anchor; demais URLs usam um relacionamento externo.
+ * "url#fragmento" reaproveita o relacionamento de "url" com w:anchor,
+ * que é como o extractor lê esses links.
+ */
+function createHyperlink(doc, url, text, baseRPr, ctx) {
+    const hyperlink = doc.createElementNS(W_NS, 'w:hyperlink');
+    const hash = url.indexOf('#');
+    if (hash === 0) {
+        hyperlink.setAttribute('w:anchor', url.slice(1));
+    } else if (ctx && ctx.rels) {
+        const known = getHyperlinkRels(ctx.rels);
+        let target = url;
+        if (hash > 0 && !known.has(url) && known.has(url.slice(0, hash))) {
+            target = url.slice(0, hash);
+            hyperlink.setAttribute('w:anchor', url.slice(hash + 1));
         }
+        hyperlink.setAttributeNS(R_NS, 'r:id', getHyperlinkRelId(ctx.rels, target));
     }
-    return p;
+    hyperlink.setAttribute('w:history', '1');
+
+    // Runs do link usam o estilo de caractere "Hyperlink"
+    const rPr = baseRPr ? baseRPr.cloneNode(true) : doc.createElementNS(W_NS, 'w:rPr');
+    setRunProp(rPr, 'w:rStyle', { 'w:val': 'Hyperlink' });
+    appendFormattedRuns(hyperlink, text, rPr, ctx);
+    return hyperlink;
 }
 
-function createNewParagraph(doc, text, template) {
-    if (template) {
-        const node = template.cloneNode(true);
-        removeImages(node);
-        updateParagraphText(node, text);
-        return node;
+/**
+ * rPr base para texto novo a partir do rPr de um run existente (preserva
+ * fonte, tamanho, cor): sem as marcas inline, que vêm de cada segmento.
+ */
+function getBaseRunProperties(rPr) {
+    if (!rPr) return null;
+    const baseRPr = rPr.cloneNode(true);
+    for (const name of MARK_PROPS) removeChildrenByName(baseRPr, name);
+    const rFonts = getFirstChild(baseRPr, 'w:rFonts');
+    if (rFonts && MONOSPACE_FONT.test(rFonts.getAttribute('w:ascii') || rFonts.getAttribute('w:hAnsi') || '')) {
+        baseRPr.removeChild(rFonts);
     }
-    return createBasicParagraph(doc, text);
+    const rStyle = getFirstChild(baseRPr, 'w:rStyle');
+    if (rStyle && /code|verbatim/i.test(rStyle.getAttribute('w:val') || '')) baseRPr.removeChild(rStyle);
+    return baseRPr;
 }
 
-function createNewHeading(doc, text, level, headingTemplates, headingStyleMap) {
-    if (headingTemplates[level]) {
-        const node = headingTemplates[level].cloneNode(true);
-        removeImages(node);
-        updateParagraphText(node, text);
-        return node;
-    }
-    const templateLevels = Object.keys(headingTemplates).map(Number);
-    if (templateLevels.length > 0) {
-        const closestLevel = templateLevels.reduce((a, b) =>
-            Math.abs(b - level) < Math.abs(a - level) ? b : a
-        );
-        const node = headingTemplates[closestLevel].cloneNode(true);
-        removeImages(node);
-        const pPr = getFirstChild(node, 'w:pPr');
-        if (pPr) {
-            let pStyle = getFirstChild(pPr, 'w:pStyle');
-            if (pStyle && headingStyleMap[level]) {
-                pStyle.setAttribute('w:val', headingStyleMap[level]);
-            } else if (!pStyle && headingStyleMap[level]) {
-                pStyle = doc.createElementNS(W_NS, 'w:pStyle');
-                pStyle.setAttribute('w:val', headingStyleMap[level]);
-                pPr.insertBefore(pStyle, pPr.firstChild);
-            }
-        }
-        updateParagraphText(node, text);
-        return node;
+function getFirstTextRPr(pNode) {
+    const textRun = getDirectChildren(pNode, 'w:r').find(r => getFirstChild(r, 'w:t'));
+    return textRun ? getFirstChild(textRun, 'w:rPr') : null;
+}
+
+/**
+ * Troca o rPr de um run inserido: formatação do run vizinho (`neighbour`)
+ * com as marcas inline do próprio run.
+ */
+function inheritRunProperties(doc, r, neighbour) {
+    const own = getFirstChild(r, 'w:rPr');
+    const rPr = getBaseRunProperties(neighbour) || doc.createElementNS(W_NS, 'w:rPr');
+    for (const name of MARK_PROPS) {
+        const mark = getFirstChild(own, name);
+        if (!mark) continue;
+        const val = mark.getAttribute('w:val');
+        setRunProp(rPr, name, val ? { 'w:val': val } : {});
     }
-    const p = doc.createElementNS(W_NS, 'w:p');
-    const pPr = doc.createElementNS(W_NS, 'w:pPr');
-    const pStyle = doc.createElementNS(W_NS, 'w:pStyle');
-    pStyle.setAttribute('w:val', headingStyleMap[level] || `Heading${level}`);
-    pPr.appendChild(pStyle);
-    p.appendChild(pPr);
-    const segments = parseMarkdown(text);
-    for (const seg of segments) {
-        const r = doc.createElementNS(W_NS, 'w:r');
-        if (seg.bold || seg.italic) {
-            const rPr = doc.createElementNS(W_NS, 'w:rPr');
-            if (seg.bold) rPr.appendChild(doc.createElementNS(W_NS, 'w:b'));
-            if (seg.italic) rPr.appendChild(doc.createElementNS(W_NS, 'w:i'));
-            r.appendChild(rPr);
-        }
-        const t = doc.createElementNS(W_NS, 'w:t');
-        t.setAttributeNS(XML_NS, 'xml:space', 'preserve');
-        t.appendChild(doc.createTextNode(seg.text));
-        r.appendChild(t);
-        p.appendChild(r);
+    if (runSignature(own).split(',').includes('code')) {
+        setRunProp(rPr, 'w:rFonts', { 'w:ascii': CODE_FONT, 'w:hAnsi': CODE_FONT, 'w:cs': CODE_FONT });
     }
-    return p;
+    if (own) r.removeChild(own);
+    if (rPr.childNodes.length > 0) r.insertBefore(rPr, r.firstChild);
 }
 
-function createNewTable(doc, rows, template) {
-    const tbl = doc.createElementNS(W_NS, 'w:tbl');
-    if (template) {
-        const tblPr = getFirstChild(template, 'w:tblPr');
-        if (tblPr) tbl.appendChild(tblPr.cloneNode(true));
-        const tblGrid = getFirstChild(template, 'w:tblGrid');
-        if (tblGrid) tbl.appendChild(tblGrid.cloneNode(true));
-    } else {
-        const tblPr = doc.createElementNS(W_NS, 'w:tblPr');
-        const tblW = doc.createElementNS(W_NS, 'w:tblW');
-        tblW.setAttribute('w:w', '0');
-        tblW.setAttribute('w:type', 'auto');
-        tblPr.appendChild(tblW);
-        tbl.appendChild(tblPr);
+/**
+ * Atualiza o texto de um parágrafo existente convertendo marcadores
+ * markdown em formatação Word. O texto antigo e o novo são alinhados por
+ * um diff de palavras (tokenizeParagraph/diffTokens): trechos iguais
+ * mantêm os runs originais com o rPr completo (cor, fonte de um trecho),
+ * assim como hyperlinks, controles e bookmarks; campos, notas e imagens
+ * são tokens fixos (ver diffTokens). Só o texto inserido ganha runs novos,
+ * com a formatação do run de texto vizinho.
+ */
+function updateParagraphText(pNode, newText, ctx) {
+    const doc = pNode.ownerDocument;
+    const scratch = doc.createElementNS(W_NS, 'w:p');
+    appendFormattedRuns(scratch, newText, getBaseRunProperties(getFirstTextRPr(pNode)), ctx);
+
+    const children = Array.from(pNode.childNodes);
+    const oldTokens = tokenizeParagraph(pNode);
+    const ops = diffTokens(oldTokens, tokenizeParagraph(scratch));
+    for (const child of children) {
+        if (child.nodeName !== 'w:pPr') pNode.removeChild(child);
     }
-    let templateRow = null, templateCell = null;
-    if (template) {
-        const trs = getDirectChildren(template, 'w:tr');
-        if (trs.length > 0) {
-            templateRow = trs[0];
-            const tcs = getDirectChildren(templateRow, 'w:tc');
-            if (tcs.length > 0) templateCell = tcs[0];
+
+    const tokenCount = new Map();
+    for (const token of oldTokens) tokenCount.set(token.owner, (tokenCount.get(token.owner) || 0) + 1);
+    // Só runs de texto emprestam o rPr ao texto novo: o de uma referência
+    // de nota ou de um campo deixaria palavras comuns em sobrescrito
+    const firstRun = oldTokens.find(token => token.source);
+    // Trechos alterados: operações entre dois tokens mantidos (espaços
+    // mantidos não separam trechos), com os rPr dos runs de texto apagados
+    const hunks = [];
+    let hunk = { deleted: [] };
+    for (const { op, token } of ops) {
+        if (op === 'equal' && (!token.text || /\S/.test(token.text))) {
+            hunk = { deleted: [] };
+        } else if (op === 'delete' && token.source) {
+            hunk.deleted.push(getFirstChild(token.node, 'w:rPr'));
         }
+        hunks.push(hunk);
     }
-    for (const rowCells of rows) {
-        const tr = doc.createElementNS(W_NS, 'w:tr');
-        if (templateRow) {
-            const trPr = getFirstChild(templateRow, 'w:trPr');
-            if (trPr) tr.appendChild(trPr.cloneNode(true));
+    // Vizinho do texto inserido: o run apagado do mesmo trecho (substituição,
+    // de preferência com as mesmas marcas) ou o último run de texto mantido
+    // antes dele. Um run apagado sem rPr também conta (texto sem formatação).
+    let previous = firstRun ? getFirstChild(firstRun.node, 'w:rPr') : null;
+    const inherited = new Map(); // run novo → rPr herdado (um só por run)
+    let next = 0; // próximo filho original ainda não reposto
+    let last = null; // último token emitido (palavras do mesmo run voltam a um só run)
+
+    // Bookmarks, marcas de revisão de texto etc. voltam na posição original
+    const restoreUntil = (owner) => {
+        const end = owner ? children.indexOf(owner) : children.length;
+        for (; next < end; next++) {
+            const child = children[next];
+            if (child.nodeName === 'w:pPr' || CONTENT_TAGS.includes(child.nodeName)) continue;
+            pNode.appendChild(child);
+            last = null;
         }
-        for (const cell of rowCells) {
-            const tc = doc.createElementNS(W_NS, 'w:tc');
-            if (templateCell) {
-                const tcPr = getFirstChild(templateCell, 'w:tcPr');
-                if (tcPr) tc.appendChild(tcPr.cloneNode(true));
+    };
+
+    for (let k = 0; k < ops.length; k++) {
+        const { op, token } = ops[k];
+        if (op !== 'insert') {
+            restoreUntil(token.owner);
+            if (op === 'delete') continue;
+            if (token.source) previous = getFirstChild(token.node, 'w:rPr');
+            // Run original inalterado por inteiro: reaproveitado como está
+            const count = tokenCount.get(token.owner);
+            const span = ops.slice(k, k + count);
+            if (token.owner.nodeName === 'w:r' && span.length === count &&
+                span.every(o => o.op === 'equal' && o.token.owner === token.owner)) {
+                pNode.appendChild(token.owner);
+                k += count - 1;
+                last = null;
+                continue;
+            }
+        } else if (token.source) {
+            if (!inherited.has(token.source)) {
+                const signature = runSignature(getFirstChild(token.node, 'w:rPr'));
+                const deleted = hunks[k].deleted;
+                const match = deleted.find(rPr => runSignature(rPr) === signature);
+                inherited.set(token.source, deleted.length === 0 ? previous : match !== undefined ? match : deleted[0]);
             }
-            tc.appendChild(createBasicParagraph(doc, cell.text));
-            tr.appendChild(tc);
+            inheritRunProperties(doc, token.node, inherited.get(token.source));
         }
-        tbl.appendChild(tr);
+        if (last && token.source && last.op === op && last.token.source === token.source) {
+            getFirstChild(last.token.node, 'w:t').appendChild(doc.createTextNode(token.text));
+            continue;
+        }
+        // Controle mantido: a cópia nova traz o conteúdo atualizado
+        pNode.appendChild(op === 'equal' && token.node.nodeName === 'w:sdt' ? ops[k].pair.node : token.node);
+        last = { op, token };
     }
-    return tbl;
+    restoreUntil(null);
 }
 
-function createNewBlock(doc, block, templates, headingStyleMap) {
-    if (block.type === 'title') {
-        return createNewParagraph(doc, block.text, templates.title || templates.paragraph);
-    }
-    if (block.type === 'paragraph') {
-        return createNewParagraph(doc, block.text, templates.paragraph);
+/**
+ * Substitui todo o conteúdo de um parágrafo (templates de blocos novos),
+ * preservando fonte/tamanho/cor do primeiro run de texto.
+ */
+function replaceParagraphText(pNode, newText, ctx) {
+    const baseRPr = getBaseRunProperties(getFirstTextRPr(pNode));
+
+    // Remover todo o conteúdo do template (manter pPr): runs, hyperlinks,
+    // campos, controles, bookmarks e marcas de comentário não vão para o
+    // bloco novo
+    for (const child of Array.from(pNode.childNodes)) {
+        if (child.nodeName !== 'w:pPr') pNode.removeChild(child);
     }
-    if (block.type === 'heading') {
-        return createNewHeading(doc, block.text, block.level, templates.headings, headingStyleMap);
+
+    // Parse markdown e criar runs formatados
+    appendFormattedRuns(pNode, newText, baseRPr, ctx);
+}
+
+/**
+ * Atualiza as células de uma tabela existente. Cada célula do JSON é
+ * localizada pelo ID (cell_NNNN_linha_coluna), então só as células donas
+ * do conteúdo são escritas — continuações de w:vMerge, ausentes do JSON,
+ * ficam intactas.
+ */
+function updateTableText(tblNode, block, origBlock, ctx, idPrefix) {
+    const doc = tblNode.ownerDocument;
+    const num = blockNumber(block.id);
+    const originalCells = new Map();
+    if (origBlock && Array.isArray(origBlock.rows)) {
+        for (const row of origBlock.rows) for (const cell of row) originalCells.set(cell.id, cell);
     }
-    if (block.type === 'list_item') {
-        return createNewParagraph(doc, block.text, templates.list_item || templates.paragraph);
+
+    const tcById = new Map();
+    const rowOf = new Map(); // id da célula → índice da w:tr original
+    const trNodes = getDirectChildren(tblNode, 'w:tr');
+    for (let rowIdx = 0; rowIdx < trNodes.length; rowIdx++) {
+        const tcNodes = getDirectChildren(trNodes[rowIdx], 'w:tc');
+        for (let cellIdx = 0; cellIdx < tcNodes.length; cellIdx++) {
+            tcById.set(`${idPrefix}cell_${num}_${rowIdx}_${cellIdx}`, tcNodes[cellIdx]);
+            rowOf.set(`${idPrefix}cell_${num}_${rowIdx}_${cellIdx}`, rowIdx);
+        }
     }
-    if (block.type === 'table') {
-        return createNewTable(doc, block.rows, templates.table);
+
+    // ── Linhas na ordem do JSON: existentes pelo ID das células, linhas
+    //    sem células (continuações de w:vMerge) pela posição e novas
+    //    clonadas da linha template (antes de o texto mudar) ──
+    const templateRow = trNodes.length > 0 ? getTemplateRow(trNodes, block.rowTemplate).cloneNode(true) : null;
+    const rows = [];
+    let lastIdx = -1;
+    let width = 0;
+    for (const modRow of block.rows) {
+        const known = modRow.find(cell => rowOf.has(cell.id));
+        if (known || (modRow.length === 0 && lastIdx + 1 < trNodes.length)) {
+            lastIdx = known ? rowOf.get(known.id) : lastIdx + 1;
+            rows.push({ tr: trNodes[lastIdx], index: lastIdx });
+        } else if (templateRow) {
+            const tr = createTableRow(doc, templateRow, modRow, ctx);
+            if (ctx.revisions) markBlockRevision(doc, tr, 'w:ins', ctx);
+            rows.push({ tr, index: null });
+            width = Math.max(width, modRow.reduce((sum, cell) => sum + (cell.colSpan || 1), 0));
+        }
     }
-    return createBasicParagraph(doc, block.text || '');
-}
+    extendTableGrid(doc, tblNode, width);
 
-// ─── Main Reconstruction ─────────────────────────────────
+    for (const modRow of block.rows) {
+        for (const cell of modRow) {
+            const tc = tcById.get(cell.id);
+            if (!tc) continue;
+            const origCell = originalCells.get(cell.id);
+            if (Array.isArray(cell.blocks)) {
+                rebuildContainer(tblNode.ownerDocument, tc, cell.blocks, origCell && origCell.blocks, ctx, `${cell.id}_`);
+                continue;
+            }
+            const position = cell.id.slice(`${idPrefix}cell_${num}`.length);
+            registerInlineControls(ctx, getDirectChildren(tc, 'w:p'), cell.controls,
+                `${idPrefix}ctl_${num}${position}`);
+            registerInlineImages(ctx, getDirectChildren(tc, 'w:p'), cell.images,
+                `${idPrefix}img_${num}${position}`);
+            // Célula igual à original mantém os parágrafos como estão
+            if (!origCell || !isSameContent(cell, origCell)) {
+                updateCellText(tc, cell.text, ctx, origCell ? origCell.text : null);
+            }
+            anchorComments(tblNode.ownerDocument, getDirectChildren(tc, 'w:p'), cell.id, ctx);
+        }
+    }
+
+    // ── Remontar as linhas; removidas ficam como excluídas (controle de
+    //    alterações) logo após a linha original anterior ──
+    const ref = trNodes.length > 0 ? trNodes[trNodes.length - 1].nextSibling : null;
+    for (const tr of trNodes) tblNode.removeChild(tr);
+    const kept = new Set(rows.map(row => row.index));
+    let nextRemoved = 0;
+    const appendRemovedUntil = (end) => {
+        for (; nextRemoved < end; nextRemoved++) {
+            if (kept.has(nextRemoved) || !ctx.revisions) continue;
+            markBlockRevision(doc, trNodes[nextRemoved], 'w:del', ctx);
+            tblNode.insertBefore(trNodes[nextRemoved], ref);
+        }
+    };
+    for (let i = 0; i < rows.length; i++) {
+        const next = rows.slice(i).find(row => row.index !== null);
+        appendRemovedUntil(next ? next.index : trNodes.length);
+        tblNode.insertBefore(rows[i].tr, ref);
+    }
+    appendRemovedUntil(trNodes.length);
+}
+
+/**
+ * Linha original usada como template das linhas novas (block.rowTemplate):
+ * "header" (primeira linha), "body" (primeira linha após as linhas de
+ * cabeçalho — w:tblHeader, ou só a primeira) ou "last" (padrão).
+ */
+function getTemplateRow(trNodes, rowTemplate) {
+    if (rowTemplate === 'header') return trNodes[0];
+    if (rowTemplate === 'body') {
+        let headerRows = 0;
+        while (headerRows < trNodes.length && getFirstChild(getFirstChild(trNodes[headerRows], 'w:trPr'), 'w:tblHeader')) {
+            headerRows++;
+        }
+        return trNodes[Math.min(Math.max(headerRows, 1), trNodes.length - 1)];
+    }
+    return trNodes[trNodes.length - 1];
+}
+
+/**
+ * Cria uma linha nova de tabela existente a partir da linha template:
+ * trPr e tcPr (bordas, sombreamento, alinhamento) da célula template na
+ * mesma coluna e parágrafos com a formatação do seu primeiro parágrafo.
+ */
+function createTableRow(doc, template, cells, ctx) {
+    const tr = doc.createElementNS(W_NS, 'w:tr');
+    const trPr = getFirstChild(template, 'w:trPr');
+    if (trPr) {
+        const clone = trPr.cloneNode(true);
+        for (const name of ['w:tblHeader', 'w:gridBefore', 'w:gridAfter', 'w:wBefore', 'w:wAfter', 'w:ins', 'w:del', 'w:trPrChange']) {
+            removeChildrenByName(clone, name);
+        }
+        if (clone.childNodes.length > 0) tr.appendChild(clone);
+    }
+
+    const templateCells = [];
+    let gridCol = 0;
+    for (const tc of getDirectChildren(template, 'w:tc')) {
+        const gridSpan = getFirstChild(getFirstChild(tc, 'w:tcPr'), 'w:gridSpan');
+        const span = gridSpan ? parseInt(gridSpan.getAttribute('w:val'), 10) || 1 : 1;
+        templateCells.push({ tc, gridCol, span });
+        gridCol += span;
+    }
+
+    let col = 0;
+    for (const cell of cells) {
+        const colSpan = cell.colSpan || 1;
+        const source = templateCells.find(c => c.gridCol <= col && col < c.gridCol + c.span) ||
+            templateCells[templateCells.length - 1];
+        const tc = doc.createElementNS(W_NS, 'w:tc');
+        const tcPr = source && getFirstChild(source.tc, 'w:tcPr');
+        if (tcPr) {
+            const clone = tcPr.cloneNode(true);
+            // Largura só vale para o mesmo número de colunas
+            if (source.span !== colSpan) removeChildrenByName(clone, 'w:tcW');
+            removeChildrenByName(clone, 'w:hMerge');
+            removeChildrenByName(clone, 'w:cellIns');
+            removeChildrenByName(clone, 'w:cellDel');
+            tc.appendChild(clone);
+        }
+        setCellMerge(doc, tc, colSpan, null);
+        if (Array.isArray(cell.blocks)) {
+            rebuildContainer(doc, tc, cell.blocks, null, ctx, `${cell.id}_`);
+        } else {
+            const templateP = source ? getFirstChild(source.tc, 'w:p') : null;
+            updateCellText(tc, cell.text || '', { ...ctx, revisions: null }, null, templateP);
+            anchorComments(doc, getDirectChildren(tc, 'w:p'), cell.id, ctx);
+        }
+        tr.appendChild(tc);
+        col += colSpan;
+    }
+    return tr;
+}
+
+/**
+ * Acrescenta colunas ao w:tblGrid (cópias da última) até `width` colunas,
+ * para linhas novas mais largas (allowColumnChange).
+ */
+function extendTableGrid(doc, tblNode, width) {
+    const tblGrid = getFirstChild(tblNode, 'w:tblGrid');
+    if (!tblGrid) return;
+    const cols = getDirectChildren(tblGrid, 'w:gridCol');
+    for (let i = cols.length; i < width; i++) {
+        tblGrid.appendChild(cols.length > 0 ? cols[cols.length - 1].cloneNode(true) : doc.createElementNS(W_NS, 'w:gridCol'));
+    }
+}
+
+const CELL_BULLET = /^( *)[-*•] +(.*)$/;
+// Quebra de linha ou par escapado ("\<br>" é um "<br>" literal)
+const CELL_LINE_BREAK = /\\[\s\S]|<br\s*\/?>/gi;
+const CELL_ESCAPED_BULLET = /^( *(?:\\\\)*)\\([-•] )/;
+// Conteúdo que o extractor lê como texto de um parágrafo sem w:t
+const CELL_CONTENT_TAGS = ['w:drawing', 'w:pict', 'w:object', 'w:sdt', 'w:footnoteReference', 'w:endnoteReference'];
+
+/**
+ * Parágrafos de uma célula que correspondem às linhas do texto extraído:
+ * o extractor apara o texto, então parágrafos vazios nas pontas não têm
+ * linha (e ficam intactos).
+ */
+function getCellTextParagraphs(paragraphs) {
+    const isBlank = p => !p.textContent.trim() && !CELL_CONTENT_TAGS.some(tag => p.getElementsByTagName(tag).length > 0);
+    let first = 0;
+    let end = paragraphs.length;
+    while (first < end && isBlank(paragraphs[first])) first++;
+    while (end > first && isBlank(paragraphs[end - 1])) end--;
+    return first === end ? paragraphs.slice(0, 1) : paragraphs.slice(first, end);
+}
+
+function isBulletParagraph(p, ctx) {
+    const numId = getParagraphNumId(p);
+    if (!numId || numId === '0' || !ctx.numbering) return false;
+    const ilvl = getFirstChild(getFirstChild(getFirstChild(p, 'w:pPr'), 'w:numPr'), 'w:ilvl');
+    return getLevelFormat(ctx.numbering, numId, ilvl ? parseInt(ilvl.getAttribute('w:val'), 10) || 0 : 0) === 'bullet';
+}
+
+/**
+ * Casa as linhas novas de uma célula com os parágrafos existentes por LCS
+ * sobre as linhas originais (como as palavras em updateParagraphText):
+ * linhas iguais ficam com o próprio parágrafo e, em cada trecho alterado,
+ * as linhas novas reaproveitam na ordem os parágrafos que saíram do mesmo
+ * trecho. Sem o texto original (ou com outra contagem de parágrafos), vale
+ * a posição. Retorna o índice do parágrafo de cada linha (-1 = novo) e os
+ * parágrafos que sobram.
+ */
+function matchCellLines(originalLines, lines, paragraphCount) {
+    const source = lines.map((line, j) => (j < paragraphCount ? j : -1));
+    const removed = [];
+    for (let i = lines.length; i < paragraphCount; i++) removed.push(i);
+    if (!originalLines || originalLines.length !== paragraphCount) return { source, removed };
+
+    source.fill(-1);
+    removed.length = 0;
+    const toTokens = list => list.map((line, index) => ({ key: line, index }));
+    let deleted = [];
+    let inserted = [];
+    const closeHunk = () => {
+        inserted.forEach((j, k) => { if (k < deleted.length) source[j] = deleted[k]; });
+        removed.push(...deleted.slice(inserted.length));
+        deleted = [];
+        inserted = [];
+    };
+    for (const { op, token, pair } of alignTokens(toTokens(originalLines), toTokens(lines))) {
+        if (op === 'equal') {
+            closeHunk();
+            source[pair.index] = token.index;
+        } else if (op === 'delete') {
+            deleted.push(token.index);
+        } else {
+            inserted.push(token.index);
+        }
+    }
+    closeHunk();
+    return { source, removed };
+}
+
+/**
+ * Texto de uma linha de célula (sem o marcador de item) para parseMarkdown:
+ * "<br>" vira "\n". Os escapes do extractor ("\<br>" e "\- " no início)
+ * voltam a ser texto literal; os demais ficam para parseMarkdown.
+ */
+function parseCellLine(line) {
+    return line
+        .replace(CELL_ESCAPED_BULLET, '$1$2')
+        .replace(CELL_LINE_BREAK, m => (m[0] !== '\\' ? '\n' : m === '\\<' ? '<' : m));
+}
+
+/**
+ * Atualiza o texto de uma célula. Cada linha ("\n") é um parágrafo e
+ * "<br>" é uma quebra de linha (w:br) dentro dele; linhas "- texto" são
+ * itens com marcador (dois espaços de recuo por nível). As linhas são
+ * casadas com os parágrafos por matchCellLines: linhas iguais ao original
+ * ficam intactas, linhas novas viram parágrafos com a formatação do
+ * anterior e parágrafos que sobram são removidos. Com controle de
+ * alterações, `originalText` (o texto da célula no JSON original) decide
+ * se há revisões. `template` é o modelo da primeira linha de uma célula
+ * ainda sem parágrafos (sem ele, a linha é um parágrafo básico).
+ */
+function updateCellText(tcNode, newText, ctx, originalText = null, template = null) {
+    const doc = tcNode.ownerDocument;
+    const paragraphs = getCellTextParagraphs(getDirectChildren(tcNode, 'w:p'));
+    const lines = newText.split('\n');
+    const originalLines = originalText !== null ? originalText.split('\n') : null;
+    const track = ctx.revisions && originalText !== null && newText !== originalText;
+    const { source, removed } = matchCellLines(originalLines, lines, paragraphs.length);
+    let bulletNumId = null;
+
+    // Revisões só no fim: os parágrafos servem de modelo para os seguintes
+    const revisions = [];
+    let prev = null;
+    for (let i = 0; i < lines.length; i++) {
+        const existing = source[i] >= 0 ? paragraphs[source[i]] : null;
+        const same = existing && originalLines && lines[i] === originalLines[source[i]];
+        // Linha inalterada em parágrafo sem lista: "- " é texto (marcador manual)
+        const bullet = same && !getParagraphNumId(existing) ? null : lines[i].match(CELL_BULLET);
+        const text = parseCellLine(bullet ? bullet[2] : lines[i]);
+
+        let p = existing;
+        if (!existing) {
+            p = createNewParagraph(doc, text, prev || paragraphs[0] || template, ctx);
+            tcNode.insertBefore(p, prev ? prev.nextSibling : paragraphs[0] || null);
+            if (ctx.revisions) revisions.push({ p, before: null });
+        } else if (!same) {
+            if (track) revisions.push({ p, before: existing.cloneNode(true) });
+            updateParagraphText(existing, text, ctx);
+        }
+
+        if (bullet && ctx.numbering) {
+            const ilvl = Math.floor(bullet[1].length / 2);
+            if (!bulletNumId) {
+                const listed = getDirectChildren(tcNode, 'w:p').find(other => isBulletParagraph(other, ctx));
+                bulletNumId = listed ? getParagraphNumId(listed) : createListInstance(ctx.numbering, 'bullet', ilvl);
+            }
+            setNumPr(doc, p, isBulletParagraph(p, ctx) ? getParagraphNumId(p) : bulletNumId, ilvl);
+        } else if (!bullet && isBulletParagraph(p, ctx)) {
+            removeChildrenByName(getFirstChild(p, 'w:pPr'), 'w:numPr');
+        }
+        prev = p;
+    }
+
+    for (const { p, before } of revisions) {
+        if (before) trackParagraphChanges(doc, p, before, ctx);
+        else markParagraphRevision(doc, p, 'w:ins', ctx);
+    }
+    for (const index of removed) {
+        if (track) {
+            markBlockRevision(doc, paragraphs[index], 'w:del', ctx);
+        } else {
+            tcNode.removeChild(paragraphs[index]);
+        }
+    }
+}
+
+// ─── Content Controls (w:sdt) ────────────────────────────
+
+function collectControlNodes(node, out) {
+    for (let i = 0; i < node.childNodes.length; i++) {
+        const child = node.childNodes[i];
+        if (child.nodeName === 'w:sdt') out.push(child);
+        else if (child.nodeName === 'w:hyperlink') collectControlNodes(child, out);
+    }
+    return out;
+}
+
+/**
+ * Registra em ctx.inlineControls os w:sdt inline dos parágrafos originais,
+ * na mesma ordem/numeração do extractor ({prefix}_0, {prefix}_1...),
+ * junto com o texto novo vindo de "controls" do JSON modificado.
+ */
+function registerInlineControls(ctx, paragraphs, modifiedControls, prefix) {
+    const texts = new Map((Array.isArray(modifiedControls) ? modifiedControls : []).map(c => [c.id, c.text]));
+    let index = 0;
+    for (const p of paragraphs) {
+        for (const sdt of collectControlNodes(p, [])) {
+            const id = `${prefix}_${index++}`;
+            ctx.inlineControls.set(id, { node: sdt, text: texts.has(id) ? texts.get(id) : null });
+        }
+    }
+}
+
+/**
+ * Remove o estado de placeholder de um controle que recebeu conteúdo real.
+ */
+function clearPlaceholder(sdtNode) {
+    const sdtPr = getFirstChild(sdtNode, 'w:sdtPr');
+    if (!getFirstChild(sdtPr, 'w:showingPlcHdr')) return;
+    removeChildrenByName(sdtPr, 'w:showingPlcHdr');
+    const rStyles = sdtNode.getElementsByTagName('w:rStyle');
+    for (let i = rStyles.length - 1; i >= 0; i--) {
+        if (rStyles[i].getAttribute('w:val') === 'PlaceholderText') rStyles[i].parentNode.removeChild(rStyles[i]);
+    }
+}
+
+/**
+ * Reinsere o controle inline do marcador {{id}}, atualizando apenas
+ * o w:sdtContent. Marcadores desconhecidos são mantidos como texto.
+ */
+function createInlineControl(doc, id, ctx) {
+    const entry = ctx && ctx.inlineControls.get(id);
+    if (!entry) {
+        const r = doc.createElementNS(W_NS, 'w:r');
+        const t = doc.createElementNS(W_NS, 'w:t');
+        t.appendChild(doc.createTextNode(`{{${id}}}`));
+        r.appendChild(t);
+        return r;
+    }
+    const node = entry.node.cloneNode(true);
+    const content = getFirstChild(node, 'w:sdtContent');
+    if (content && entry.text !== null) {
+        if (entry.text !== collectControlText(content)) {
+            clearPlaceholder(node);
+            updateParagraphText(content, entry.text, ctx);
+        }
+    }
+    return node;
+}
+
+/**
+ * Texto simples do conteúdo de um controle, para detectar alteração.
+ */
+function collectControlText(content) {
+    let text = '';
+    const ts = content.getElementsByTagName('w:t');
+    for (let i = 0; i < ts.length; i++) text += ts[i].textContent || '';
+    return text.trim();
+}
+
+/**
+ * Atualiza um content_control de bloco: sdtPr intacto, sdtContent
+ * reconstruído recursivamente a partir de block.blocks.
+ */
+function updateBlockControl(doc, sdtNode, block, origBlock, ctx, idPrefix) {
+    const content = getFirstChild(sdtNode, 'w:sdtContent');
+    if (!content || !Array.isArray(block.blocks)) return;
+    const origInner = (origBlock && origBlock.blocks) || [];
+    rebuildContainer(doc, content, block.blocks, origInner, ctx, idPrefix);
+    if (!isSameContent(block.blocks, origInner)) clearPlaceholder(sdtNode);
+}
+
+// ─── Numbering (listas) ──────────────────────────────────
+
+const NUMBERING_PART = {
+    path: 'word/numbering.xml',
+    rel: 'numbering',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml'
+};
+const BULLET_CHARS = ['•', '◦', '▪'];
+// Filhos de w:pPr que precedem w:numPr (ordem do schema)
+const PPR_BEFORE_NUMPR = ['w:pStyle', 'w:keepNext', 'w:keepLines', 'w:pageBreakBefore', 'w:framePr', 'w:widowControl'];
+
+function getParagraphNumId(p) {
+    const numPr = getFirstChild(getFirstChild(p, 'w:pPr'), 'w:numPr');
+    const numId = getFirstChild(numPr, 'w:numId');
+    return numId ? numId.getAttribute('w:val') : null;
+}
+
+/**
+ * Carrega word/numbering.xml (ou um vazio, criado só se houver mudança) e
+ * indexa w:num/w:abstractNum. `templates` guarda o primeiro parágrafo do
+ * corpo de cada lista ("numId:ilvl", "numId") e de cada formato
+ * ("fmt:bullet:0"), usados como modelo de itens novos.
+ */
+async function prepareNumbering(zip, parser, doc, rels) {
+    let path = null;
+    for (const rel of getRelationships(rels).values()) {
+        if (rel.type === NUMBERING_PART.rel) path = rel.target;
+    }
+    const file = path && zip.file(path);
+    const partDoc = parser.parseFromString(file
+        ? await file.async('string')
+        : `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:numbering xmlns:w="${W_NS}"/>`, 'text/xml');
+
+    const numbering = {
+        path: file ? path : null,
+        doc: partDoc,
+        nums: new Map(),
+        abstracts: new Map(),
+        existing: new Set(),
+        created: new Map(), // listId do JSON → numId criado
+        templates: new Map(),
+        changed: false
+    };
+    for (const el of getDirectChildren(partDoc.documentElement, 'w:abstractNum')) {
+        numbering.abstracts.set(el.getAttribute('w:abstractNumId'), el);
+    }
+    for (const el of getDirectChildren(partDoc.documentElement, 'w:num')) {
+        numbering.nums.set(el.getAttribute('w:numId'), el);
+        numbering.existing.add(el.getAttribute('w:numId'));
+    }
+
+    const paragraphs = doc.getElementsByTagName('w:p');
+    for (let i = 0; i < paragraphs.length; i++) {
+        const numId = getParagraphNumId(paragraphs[i]);
+        if (!numId || numId === '0') continue;
+        const ilvlEl = getFirstChild(getFirstChild(getFirstChild(paragraphs[i], 'w:pPr'), 'w:numPr'), 'w:ilvl');
+        const ilvl = ilvlEl ? parseInt(ilvlEl.getAttribute('w:val'), 10) || 0 : 0;
+        for (const key of [`${numId}:${ilvl}`, numId, `fmt:${getLevelFormat(numbering, numId, ilvl)}:${ilvl}`]) {
+            if (!numbering.templates.has(key)) numbering.templates.set(key, paragraphs[i]);
+        }
+    }
+    return numbering;
+}
+
+function findLevel(parent, ilvl) {
+    return getDirectChildren(parent, 'w:lvl').find(lvl => (parseInt(lvl.getAttribute('w:ilvl'), 10) || 0) === ilvl);
+}
+
+/**
+ * w:numFmt efetivo de um nível da lista (lvlOverride da instância ou
+ * w:abstractNum). null se a lista não existir.
+ */
+function getLevelFormat(numbering, numId, ilvl) {
+    const num = numbering.nums.get(numId);
+    if (!num) return null;
+    for (const override of getDirectChildren(num, 'w:lvlOverride')) {
+        const lvl = findLevel(override, ilvl);
+        const numFmt = lvl && getFirstChild(lvl, 'w:numFmt');
+        if ((parseInt(override.getAttribute('w:ilvl'), 10) || 0) === ilvl && numFmt) return numFmt.getAttribute('w:val');
+    }
+    const abstractIdEl = getFirstChild(num, 'w:abstractNumId');
+    const abstract = abstractIdEl && numbering.abstracts.get(abstractIdEl.getAttribute('w:val'));
+    const lvl = abstract && findLevel(abstract, ilvl);
+    const numFmt = lvl && getFirstChild(lvl, 'w:numFmt');
+    return numFmt ? numFmt.getAttribute('w:val') : 'bullet';
+}
+
+function nextNumberingId(map) {
+    let next = 1;
+    for (const id of map.keys()) next = Math.max(next, (parseInt(id, 10) || 0) + 1);
+    return String(next);
+}
+
+function createAbstractNum(numbering, listType) {
+    const doc = numbering.doc;
+    const id = nextNumberingId(numbering.abstracts);
+    const abstract = doc.createElementNS(W_NS, 'w:abstractNum');
+    abstract.setAttribute('w:abstractNumId', id);
+    const multi = doc.createElementNS(W_NS, 'w:multiLevelType');
+    multi.setAttribute('w:val', 'hybridMultilevel');
+    abstract.appendChild(multi);
+
+    for (let ilvl = 0; ilvl < 9; ilvl++) {
+        const lvl = doc.createElementNS(W_NS, 'w:lvl');
+        lvl.setAttribute('w:ilvl', String(ilvl));
+        const props = [
+            ['w:start', '1'],
+            ['w:numFmt', listType],
+            ['w:lvlText', listType === 'bullet' ? BULLET_CHARS[ilvl % BULLET_CHARS.length] : `%${ilvl + 1}.`],
+            ['w:lvlJc', 'left']
+        ];
+        for (const [name, val] of props) {
+            const el = doc.createElementNS(W_NS, name);
+            el.setAttribute('w:val', val);
+            lvl.appendChild(el);
+        }
+        const pPr = doc.createElementNS(W_NS, 'w:pPr');
+        const ind = doc.createElementNS(W_NS, 'w:ind');
+        ind.setAttribute('w:left', String(720 * (ilvl + 1)));
+        ind.setAttribute('w:hanging', '360');
+        pPr.appendChild(ind);
+        lvl.appendChild(pPr);
+        abstract.appendChild(lvl);
+    }
+
+    // Todos os w:abstractNum vêm antes dos w:num
+    const root = doc.documentElement;
+    root.insertBefore(abstract, getFirstChild(root, 'w:num') || getFirstChild(root, 'w:numIdMacAtCleanup'));
+    numbering.abstracts.set(id, abstract);
+    return id;
+}
+
+/**
+ * Cria uma nova instância (w:num) para uma lista que começa no JSON. O
+ * w:abstractNum é o de uma lista existente com o mesmo formato no nível,
+ * ou um novo. O w:startOverride garante que a numeração recomece.
+ */
+function createListInstance(numbering, listType, ilvl, start) {
+    let abstractId = null;
+    for (const [numId, num] of numbering.nums) {
+        if (getLevelFormat(numbering, numId, ilvl) !== listType) continue;
+        abstractId = getFirstChild(num, 'w:abstractNumId').getAttribute('w:val');
+        break;
+    }
+    if (!abstractId) abstractId = createAbstractNum(numbering, listType);
+
+    const doc = numbering.doc;
+    const numId = nextNumberingId(numbering.nums);
+    const num = doc.createElementNS(W_NS, 'w:num');
+    num.setAttribute('w:numId', numId);
+    const abstractIdEl = doc.createElementNS(W_NS, 'w:abstractNumId');
+    abstractIdEl.setAttribute('w:val', abstractId);
+    num.appendChild(abstractIdEl);
+    const override = doc.createElementNS(W_NS, 'w:lvlOverride');
+    override.setAttribute('w:ilvl', String(ilvl));
+    const startOverride = doc.createElementNS(W_NS, 'w:startOverride');
+    startOverride.setAttribute('w:val', String(Number.isInteger(start) ? start : 1));
+    override.appendChild(startOverride);
+    num.appendChild(override);
+
+    const root = doc.documentElement;
+    root.insertBefore(num, getFirstChild(root, 'w:numIdMacAtCleanup'));
+    numbering.nums.set(numId, num);
+    numbering.changed = true;
+    return numId;
+}
+
+/**
+ * Decide o w:numId de um list_item novo:
+ *   - listId existente → a própria lista
+ *   - listId novo → uma instância nova (a mesma para todos os itens com
+ *     esse listId)
+ *   - sem listId → continua a lista do item anterior, se o formato
+ *     (listType) for compatível e não houver "start"; senão, com listType,
+ *     começa uma lista nova
+ * Retorna null quando não há informação (mantém o numPr do template).
+ */
+function resolveListNumId(block, ilvl, prevNumId, ctx) {
+    const numbering = ctx.numbering;
+    if (block.listId !== undefined && block.listId !== null) {
+        const listId = String(block.listId);
+        if (numbering.existing.has(listId)) return listId;
+        if (!numbering.created.has(listId)) {
+            const listType = block.listType || (prevNumId && getLevelFormat(numbering, prevNumId, ilvl)) || 'bullet';
+            numbering.created.set(listId, createListInstance(numbering, listType, ilvl, block.start));
+        }
+        return numbering.created.get(listId);
+    }
+    if (prevNumId && block.start === undefined &&
+        (!block.listType || getLevelFormat(numbering, prevNumId, ilvl) === block.listType)) {
+        return prevNumId;
+    }
+    if (block.listType) return createListInstance(numbering, block.listType, ilvl, block.start);
+    return null;
+}
+
+function setNumPr(doc, p, numId, ilvl) {
+    let pPr = getFirstChild(p, 'w:pPr');
+    if (!pPr) {
+        pPr = doc.createElementNS(W_NS, 'w:pPr');
+        p.insertBefore(pPr, p.firstChild);
+    }
+    const numPr = doc.createElementNS(W_NS, 'w:numPr');
+    const ilvlEl = doc.createElementNS(W_NS, 'w:ilvl');
+    ilvlEl.setAttribute('w:val', String(ilvl));
+    numPr.appendChild(ilvlEl);
+    const numIdEl = doc.createElementNS(W_NS, 'w:numId');
+    numIdEl.setAttribute('w:val', numId);
+    numPr.appendChild(numIdEl);
+
+    const existing = getFirstChild(pPr, 'w:numPr');
+    if (existing) {
+        pPr.replaceChild(numPr, existing);
+        return;
+    }
+    let ref = pPr.firstChild;
+    while (ref && (ref.nodeType !== 1 || PPR_BEFORE_NUMPR.includes(ref.nodeName))) ref = ref.nextSibling;
+    pPr.insertBefore(numPr, ref);
+}
+
+/**
+ * Cria um list_item novo com o w:numPr da lista resolvida. O modelo é um
+ * item da mesma lista/nível, ou do mesmo formato, ou o list_item genérico.
+ */
+function createNewListItem(doc, block, templates, ctx, prevNumId) {
+    const ilvl = Math.max(0, (block.level || 1) - 1);
+    const numbering = ctx.numbering;
+    const numId = numbering ? resolveListNumId(block, ilvl, prevNumId, ctx) : null;
+    let template = null;
+    if (numId) {
+        template = numbering.templates.get(`${numId}:${ilvl}`) || numbering.templates.get(numId) ||
+            numbering.templates.get(`fmt:${getLevelFormat(numbering, numId, ilvl)}:${ilvl}`);
+    }
+    const p = createNewParagraph(doc, block.text, template || templates.list_item || templates.paragraph, ctx);
+    const templateNumId = getParagraphNumId(p);
+    if (numId || templateNumId) setNumPr(doc, p, numId || templateNumId, ilvl);
+    return p;
+}
+
+async function saveNumbering(zip, parser, serializer, numbering, rels) {
+    if (!numbering || !numbering.changed) return;
+    if (!numbering.path) {
+        numbering.path = NUMBERING_PART.path;
+        addRelationship(rels, NUMBERING_PART.rel, numbering.path.replace(/^word\//, ''));
+        rels.changed = true;
+        await addContentTypeOverride(zip, parser, serializer, numbering.path, NUMBERING_PART.contentType);
+    }
+    zip.file(numbering.path, serializer.serializeToString(numbering.doc));
+}
+
+// ─── Sumário (campo TOC) ─────────────────────────────────
+
+const DEFAULT_TOC_INSTRUCTION = 'TOC \\o "1-3" \\h \\z \\u';
+// Filhos de w:settings que vêm depois de w:updateFields (ordem do schema)
+const SETTINGS_AFTER_UPDATE_FIELDS = ['w:hdrShapeDefaults', 'w:footnotePr', 'w:endnotePr', 'w:compat', 'w:docVars',
+    'w:rsids', 'm:mathPr', 'w:attachedSchema', 'w:themeFontLang', 'w:clrSchemeMapping', 'w:doNotIncludeSubdocsInStats',
+    'w:doNotAutoCompressPictures', 'w:forceUpgrade', 'w:captions', 'w:readModeInkLockDown', 'w:smartTagType',
+    'sl:schemaLibrary', 'w:shapeDefaults', 'w:doNotEmbedSmartTags', 'w:decimalSymbol', 'w:listSeparator'];
+
+/**
+ * Mapa styleId → nível dos estilos de sumário ("toc 1", "toc 2"...).
+ */
+function buildTocStyleMap(stylesXml, parser) {
+    const map = {};
+    if (!stylesXml) return map;
+    const doc = parser.parseFromString(stylesXml, 'text/xml');
+    const styles = doc.getElementsByTagName('w:style');
+    for (let i = 0; i < styles.length; i++) {
+        const styleId = styles[i].getAttribute('w:styleId');
+        const nameEl = styles[i].getElementsByTagName('w:name')[0];
+        const m = nameEl && (nameEl.getAttribute('w:val') || '').match(/^toc\s*(\d)$/i);
+        if (styleId && m) map[styleId] = parseInt(m[1], 10);
+    }
+    return map;
+}
+
+/**
+ * Headings finais do documento (corpo e controles de conteúdo), em ordem,
+ * com o ID do bloco e o texto sem marcadores.
+ */
+function collectTocHeadings(blocks, out = []) {
+    for (const block of blocks || []) {
+        if (block.type === 'heading' && typeof block.text === 'string') {
+            const text = parseMarkdown(block.text).map(seg => seg.text).join('').trim();
+            if (text) out.push({ id: block.id, level: block.level, text });
+        } else if (block.type === 'content_control') {
+            collectTocHeadings(block.blocks, out);
+        }
+    }
+    return out;
+}
+
+/** Níveis incluídos pelo switch \o "1-3" (todos, sem o switch). */
+function getTocLevels(instruction) {
+    const m = instruction.match(/\\o\s+"(\d+)-(\d+)"/);
+    return m ? [parseInt(m[1], 10), parseInt(m[2], 10)] : [1, 9];
+}
+
+function createFieldRun(doc, child) {
+    const r = doc.createElementNS(W_NS, 'w:r');
+    r.appendChild(child);
+    return r;
+}
+
+function createFieldChar(doc, type) {
+    const fldChar = doc.createElementNS(W_NS, 'w:fldChar');
+    fldChar.setAttribute('w:fldCharType', type);
+    if (type === 'begin') fldChar.setAttribute('w:dirty', 'true');
+    return createFieldRun(doc, fldChar);
+}
+
+function createTocEntry(doc, entry, template, ctx) {
+    const p = doc.createElementNS(W_NS, 'w:p');
+    let baseRPr = null;
+    if (template) {
+        const pPr = getFirstChild(template, 'w:pPr');
+        if (pPr) p.appendChild(pPr.cloneNode(true));
+        const t = template.getElementsByTagName('w:t')[0];
+        const rPr = t && getFirstChild(t.parentNode, 'w:rPr');
+        if (rPr) {
+            baseRPr = rPr.cloneNode(true);
+            removeChildrenByName(baseRPr, 'w:webHidden');
+            removeChildrenByName(baseRPr, 'w:rStyle');
+        }
+    }
+    let pPr = getFirstChild(p, 'w:pPr');
+    if (!pPr) {
+        pPr = doc.createElementNS(W_NS, 'w:pPr');
+        p.appendChild(pPr);
+    }
+    let pStyle = getFirstChild(pPr, 'w:pStyle');
+    if (!pStyle) {
+        pStyle = doc.createElementNS(W_NS, 'w:pStyle');
+        pPr.insertBefore(pStyle, pPr.firstChild);
+    } else if ((ctx.tocStyles[pStyle.getAttribute('w:val')] || 1) === entry.level) {
+        pStyle = null; // modelo do mesmo nível: estilo mantido
+    }
+    if (pStyle) {
+        const styleId = Object.keys(ctx.tocStyles).find(id => ctx.tocStyles[id] === entry.level);
+        pStyle.setAttribute('w:val', styleId || `TOC${entry.level}`);
+    }
+
+    const texts = [entry.text, null, entry.page];
+    for (const text of texts) {
+        if (text === undefined) continue;
+        const r = doc.createElementNS(W_NS, 'w:r');
+        if (baseRPr) r.appendChild(baseRPr.cloneNode(true));
+        if (text === null) {
+            r.appendChild(doc.createElementNS(W_NS, 'w:tab'));
+        } else {
+            const t = doc.createElementNS(W_NS, 'w:t');
+            t.setAttributeNS(XML_NS, 'xml:space', 'preserve');
+            t.appendChild(doc.createTextNode(text));
+            r.appendChild(t);
+        }
+        p.appendChild(r);
+    }
+    return p;
+}
+
+/**
+ * Regenera o resultado em cache de um sumário a partir dos headings finais
+ * (ctx.tocHeadings). Cada entrada usa o parágrafo original do mesmo nível
+ * (ou o mais próximo) como modelo e mantém a página em cache quando o
+ * heading já existia com o mesmo texto. O campo é marcado como sujo e
+ * ctx.fieldsDirty pede ao Word que atualize os campos ao abrir. Sumário
+ * existente com a mesma instrução e os mesmos headings (nível e texto)
+ * volta como está, sem pedir atualização.
+ */
+function buildToc(doc, block, origBlock, regionNodes, ctx) {
+    const region = regionNodes ? getTocRegion(regionNodes[0]) : null;
+    const instruction = (block.instruction || (region && region.instruction) || DEFAULT_TOC_INSTRUCTION).trim();
+    const [minLevel, maxLevel] = getTocLevels(instruction);
+    const inRange = h => h.level >= minLevel && h.level <= maxLevel;
+
+    if (region && origBlock && instruction === (origBlock.instruction || region.instruction).trim()) {
+        const before = ctx.originalTocHeadings.filter(inRange);
+        const after = ctx.tocHeadings.filter(inRange);
+        if (before.length === after.length && before.every((h, i) => h.level === after[i].level && h.text === after[i].text)) {
+            return regionNodes.map(node => node.cloneNode(true));
+        }
+    }
+
+    const templates = {};
+    for (const node of regionNodes || []) {
+        const pStyle = getFirstChild(getFirstChild(node, 'w:pPr'), 'w:pStyle');
+        const level = (pStyle && ctx.tocStyles[pStyle.getAttribute('w:val')]) || 1;
+        if (node.nodeName === 'w:p' && node.getElementsByTagName('w:t').length > 0 && !templates[level]) {
+            templates[level] = node;
+        }
+    }
+    const templateLevels = Object.keys(templates).map(Number);
+    const pages = new Map();
+    for (const entry of (origBlock && origBlock.entries) || []) {
+        if (entry.page !== undefined) pages.set(`${entry.level}:${entry.text}`, entry.page);
+    }
+
+    const paragraphs = ctx.tocHeadings
+        .filter(inRange)
+        .map(h => {
+            const closest = templateLevels.length === 0 ? null : templateLevels.reduce((a, b) =>
+                Math.abs(b - h.level) < Math.abs(a - h.level) ? b : a);
+            const entry = { ...h, page: pages.get(`${h.level}:${h.text}`) };
+            return createTocEntry(doc, entry, closest ? templates[closest] : null, ctx);
+        });
+    if (paragraphs.length === 0) paragraphs.push(doc.createElementNS(W_NS, 'w:p'));
+
+    // begin/instrução/separate antes da primeira entrada, end após a última
+    const first = paragraphs[0];
+    const instrText = doc.createElementNS(W_NS, 'w:instrText');
+    instrText.setAttributeNS(XML_NS, 'xml:space', 'preserve');
+    instrText.appendChild(doc.createTextNode(` ${instruction} `));
+    const ref = getFirstChild(first, 'w:pPr') ? getFirstChild(first, 'w:pPr').nextSibling : first.firstChild;
+    for (const run of [createFieldChar(doc, 'begin'), createFieldRun(doc, instrText), createFieldChar(doc, 'separate')]) {
+        first.insertBefore(run, ref);
+    }
+    paragraphs[paragraphs.length - 1].appendChild(createFieldChar(doc, 'end'));
+
+    ctx.fieldsDirty = true;
+    return paragraphs;
+}
+
+/**
+ * Liga w:updateFields em word/settings.xml: o Word atualiza os campos
+ * (páginas do sumário) ao abrir o documento.
+ */
+async function enableUpdateFields(zip, parser, serializer) {
+    const file = zip.file('word/settings.xml');
+    if (!file) return;
+    const doc = parser.parseFromString(await file.async('string'), 'text/xml');
+    const root = doc.documentElement;
+    let updateFields = getFirstChild(root, 'w:updateFields');
+    if (!updateFields) {
+        updateFields = doc.createElementNS(W_NS, 'w:updateFields');
+        let ref = root.firstChild;
+        while (ref && !SETTINGS_AFTER_UPDATE_FIELDS.includes(ref.nodeName)) ref = ref.nextSibling;
+        root.insertBefore(updateFields, ref);
+    }
+    updateFields.setAttribute('w:val', 'true');
+    zip.file('word/settings.xml', serializer.serializeToString(doc));
+}
+
+// ─── Quebras de página e de seção ────────────────────────
+
+const TWIPS_PER_CM = 1440 / 2.54;
+// Filhos de w:sectPr (ordem do schema)
+const SECTPR_ORDER = ['w:headerReference', 'w:footerReference', 'w:footnotePr', 'w:endnotePr', 'w:type', 'w:pgSz',
+    'w:pgMar', 'w:paperSrc', 'w:pgBorders', 'w:lnNumType', 'w:pgNumType', 'w:cols', 'w:formProt', 'w:vAlign',
+    'w:noEndnote', 'w:titlePg', 'w:textDirection', 'w:bidi', 'w:rtlGutter', 'w:docGrid', 'w:printerSettings',
+    'w:sectPrChange'];
+const TEXT_BLOCK_TYPES = ['title', 'heading', 'paragraph', 'list_item'];
+
+function createPageBreakParagraph(doc) {
+    const p = doc.createElementNS(W_NS, 'w:p');
+    const r = doc.createElementNS(W_NS, 'w:r');
+    const br = doc.createElementNS(W_NS, 'w:br');
+    br.setAttribute('w:type', 'page');
+    r.appendChild(br);
+    p.appendChild(r);
+    return p;
+}
+
+/**
+ * Remove as quebras de página antes do primeiro conteúdo do parágrafo
+ * (`before`) e/ou depois do último (`after`), na mesma divisão usada pelo
+ * extractor. As do meio do texto ("\n" no bloco) ficam.
+ */
+function removePageBreaks(node, { before = true, after = true } = {}) {
+    const leading = [];
+    let trailing = [];
+    let seenContent = false;
+    const runs = node.getElementsByTagName('w:r');
+    for (let i = 0; i < runs.length; i++) {
+        for (let j = 0; j < runs[i].childNodes.length; j++) {
+            const rc = runs[i].childNodes[j];
+            if (rc.nodeName === 'w:br' && rc.getAttribute('w:type') === 'page') {
+                (seenContent ? trailing : leading).push(rc);
+            } else if (rc.nodeType === 1 && rc.nodeName !== 'w:rPr' && rc.nodeName !== 'w:lastRenderedPageBreak' &&
+                !(rc.nodeName === 'w:t' && !rc.textContent)) {
+                seenContent = true;
+                trailing = [];
+            }
+        }
+    }
+    for (const br of [...(before ? leading : []), ...(after ? trailing : [])]) {
+        const r = br.parentNode;
+        r.removeChild(br);
+        if (!Array.from(r.childNodes).some(c => c.nodeType === 1 && c.nodeName !== 'w:rPr')) r.parentNode.removeChild(r);
+    }
+}
+
+function getParagraphSectPr(p) {
+    return getFirstChild(getFirstChild(p, 'w:pPr'), 'w:sectPr');
+}
+
+/** Remove o w:sectPr de um parágrafo (ex: template ou parágrafo cuja seção virou bloco). */
+function removeParagraphSectPr(p) {
+    const sectPr = getParagraphSectPr(p);
+    if (sectPr) sectPr.parentNode.removeChild(sectPr);
+}
+
+function setParagraphSectPr(doc, p, sectPr) {
+    let pPr = getFirstChild(p, 'w:pPr');
+    if (!pPr) {
+        pPr = doc.createElementNS(W_NS, 'w:pPr');
+        p.insertBefore(pPr, p.firstChild);
+    }
+    removeParagraphSectPr(p);
+    pPr.insertBefore(sectPr, getFirstChild(pPr, 'w:pPrChange'));
+}
+
+function getSectionChild(doc, sectPr, name) {
+    let el = getFirstChild(sectPr, name);
+    if (el) return el;
+    el = doc.createElementNS(W_NS, name);
+    const after = SECTPR_ORDER.slice(SECTPR_ORDER.indexOf(name) + 1);
+    let ref = sectPr.firstChild;
+    while (ref && !after.includes(ref.nodeName)) ref = ref.nextSibling;
+    sectPr.insertBefore(el, ref);
+    return el;
+}
+
+/**
+ * Aplica start/orientation/margins/columns de um bloco section_break ao
+ * w:sectPr. Campos ausentes no bloco mantêm o valor do original.
+ */
+function applySectionProps(doc, sectPr, block) {
+    if (block.start && (getFirstChild(sectPr, 'w:type') || block.start !== 'nextPage')) {
+        getSectionChild(doc, sectPr, 'w:type').setAttribute('w:val', block.start);
+    }
+    if (block.orientation) {
+        const pgSz = getSectionChild(doc, sectPr, 'w:pgSz');
+        let w = parseInt(pgSz.getAttribute('w:w'), 10) || 11906; // A4
+        let h = parseInt(pgSz.getAttribute('w:h'), 10) || 16838;
+        const landscape = block.orientation === 'landscape';
+        if ((w > h) !== landscape) [w, h] = [h, w];
+        pgSz.setAttribute('w:w', String(w));
+        pgSz.setAttribute('w:h', String(h));
+        if (landscape) pgSz.setAttribute('w:orient', 'landscape');
+        else pgSz.removeAttribute('w:orient');
+    }
+    if (block.margins) {
+        const pgMar = getSectionChild(doc, sectPr, 'w:pgMar');
+        const defaults = { top: 1440, right: 1440, bottom: 1440, left: 1440, header: 708, footer: 708, gutter: 0 };
+        for (const [side, value] of Object.entries(defaults)) {
+            if (typeof block.margins[side] === 'number') {
+                pgMar.setAttribute(`w:${side}`, String(Math.round(block.margins[side] * TWIPS_PER_CM)));
+            } else if (!pgMar.getAttribute(`w:${side}`)) {
+                pgMar.setAttribute(`w:${side}`, String(value));
+            }
+        }
+    }
+    if (block.columns !== undefined) {
+        const cols = getSectionChild(doc, sectPr, 'w:cols');
+        removeChildrenByName(cols, 'w:col');
+        cols.removeAttribute('w:equalWidth');
+        cols.setAttribute('w:num', String(block.columns));
+        if (!cols.getAttribute('w:space')) cols.setAttribute('w:space', '708');
+    }
+}
+
+/**
+ * w:sectPr de uma seção nova: cópia do modelo (seção original do
+ * parágrafo ou a seção final do documento) com as propriedades do bloco.
+ */
+function createSectionProps(doc, block, template) {
+    const sectPr = template ? template.cloneNode(true) : doc.createElementNS(W_NS, 'w:sectPr');
+    removeChildrenByName(sectPr, 'w:sectPrChange');
+    applySectionProps(doc, sectPr, block);
+    return sectPr;
+}
+
+// ─── New Block Creation ──────────────────────────────────
+
+function createBasicParagraph(doc, text, ctx) {
+    const p = doc.createElementNS(W_NS, 'w:p');
+    if (text) appendFormattedRuns(p, text, null, ctx);
+    return p;
+}
+
+function createNewParagraph(doc, text, template, ctx) {
+    if (template) {
+        const node = template.cloneNode(true);
+        removeImages(node);
+        removeParagraphSectPr(node);
+        replaceParagraphText(node, text, ctx);
+        return node;
+    }
+    return createBasicParagraph(doc, text, ctx);
+}
+
+function createNewHeading(doc, text, level, headingTemplates, ctx) {
+    const headingStyleMap = ctx.headingStyleMap;
+    if (headingTemplates[level]) {
+        const node = headingTemplates[level].cloneNode(true);
+        removeImages(node);
+        removeParagraphSectPr(node);
+        replaceParagraphText(node, text, ctx);
+        return node;
+    }
+    const templateLevels = Object.keys(headingTemplates).map(Number);
+    if (templateLevels.length > 0) {
+        const closestLevel = templateLevels.reduce((a, b) =>
+            Math.abs(b - level) < Math.abs(a - level) ? b : a
+        );
+        const node = headingTemplates[closestLevel].cloneNode(true);
+        removeImages(node);
+        removeParagraphSectPr(node);
+        const pPr = getFirstChild(node, 'w:pPr');
+        if (pPr) {
+            let pStyle = getFirstChild(pPr, 'w:pStyle');
+            if (pStyle && headingStyleMap[level]) {
+                pStyle.setAttribute('w:val', headingStyleMap[level]);
+            } else if (!pStyle && headingStyleMap[level]) {
+                pStyle = doc.createElementNS(W_NS, 'w:pStyle');
+                pStyle.setAttribute('w:val', headingStyleMap[level]);
+                pPr.insertBefore(pStyle, pPr.firstChild);
+            }
+        }
+        replaceParagraphText(node, text, ctx);
+        return node;
+    }
+    const p = doc.createElementNS(W_NS, 'w:p');
+    const pPr = doc.createElementNS(W_NS, 'w:pPr');
+    const pStyle = doc.createElementNS(W_NS, 'w:pStyle');
+    pStyle.setAttribute('w:val', headingStyleMap[level] || `Heading${level}`);
+    pPr.appendChild(pStyle);
+    p.appendChild(pPr);
+    appendFormattedRuns(p, text, null, ctx);
+    return p;
+}
+
+/**
+ * Aplica w:gridSpan / w:vMerge ao w:tcPr de uma célula nova,
+ * descartando os que vieram do template.
+ */
+function setCellMerge(doc, tc, colSpan, vMerge) {
+    let tcPr = getFirstChild(tc, 'w:tcPr');
+    if (!tcPr) {
+        tcPr = doc.createElementNS(W_NS, 'w:tcPr');
+        tc.insertBefore(tcPr, tc.firstChild);
+    }
+    removeChildrenByName(tcPr, 'w:gridSpan');
+    removeChildrenByName(tcPr, 'w:vMerge');
+
+    // Ordem do schema: cnfStyle, tcW, gridSpan, hMerge, vMerge, ...
+    let ref = tcPr.firstChild;
+    while (ref && (ref.nodeName === 'w:cnfStyle' || ref.nodeName === 'w:tcW')) ref = ref.nextSibling;
+    if (colSpan > 1) {
+        const gridSpan = doc.createElementNS(W_NS, 'w:gridSpan');
+        gridSpan.setAttribute('w:val', String(colSpan));
+        tcPr.insertBefore(gridSpan, ref);
+    }
+    if (vMerge) {
+        const vMergeEl = doc.createElementNS(W_NS, 'w:vMerge');
+        if (vMerge === 'restart') vMergeEl.setAttribute('w:val', 'restart');
+        tcPr.insertBefore(vMergeEl, ref);
+    }
+    if (tcPr.childNodes.length === 0) tc.removeChild(tcPr);
+}
+
+function createNewTable(doc, rows, templates, ctx) {
+    const template = templates.table;
+    const tbl = doc.createElementNS(W_NS, 'w:tbl');
+    if (template) {
+        const tblPr = getFirstChild(template, 'w:tblPr');
+        if (tblPr) tbl.appendChild(tblPr.cloneNode(true));
+        const tblGrid = getFirstChild(template, 'w:tblGrid');
+        if (tblGrid) tbl.appendChild(tblGrid.cloneNode(true));
+    } else {
+        const tblPr = doc.createElementNS(W_NS, 'w:tblPr');
+        const tblW = doc.createElementNS(W_NS, 'w:tblW');
+        tblW.setAttribute('w:w', '0');
+        tblW.setAttribute('w:type', 'auto');
+        tblPr.appendChild(tblW);
+        tbl.appendChild(tblPr);
+    }
+    let templateRow = null, templateCell = null;
+    if (template) {
+        const trs = getDirectChildren(template, 'w:tr');
+        if (trs.length > 0) {
+            templateRow = trs[0];
+            const tcs = getDirectChildren(templateRow, 'w:tc');
+            if (tcs.length > 0) templateCell = tcs[0];
+        }
+    }
+    const createCell = (cell, colSpan, vMerge) => {
+        const tc = doc.createElementNS(W_NS, 'w:tc');
+        if (templateCell) {
+            const tcPr = getFirstChild(templateCell, 'w:tcPr');
+            if (tcPr) tc.appendChild(tcPr.cloneNode(true));
+        }
+        setCellMerge(doc, tc, colSpan, vMerge);
+        if (Array.isArray(cell.blocks)) {
+            for (const inner of cell.blocks) tc.appendChild(createNewBlock(doc, inner, templates, ctx));
+            ensureTrailingParagraph(doc, tc);
+        } else {
+            updateCellText(tc, cell.text || '', { ...ctx, revisions: null });
+            if (cell.id) anchorComments(doc, getDirectChildren(tc, 'w:p'), cell.id, ctx);
+        }
+        return tc;
+    };
+
+    // pending[col] = mesclagem vertical em aberto iniciada naquela coluna
+    const pending = [];
+    let width = 0;
+    for (const rowCells of rows) {
+        const tr = doc.createElementNS(W_NS, 'w:tr');
+        if (templateRow) {
+            const trPr = getFirstChild(templateRow, 'w:trPr');
+            if (trPr) tr.appendChild(trPr.cloneNode(true));
+        }
+        let col = 0;
+        const fillContinuations = () => {
+            while (pending[col] && pending[col].rowsLeft > 0) {
+                const merge = pending[col];
+                merge.rowsLeft--;
+                tr.appendChild(createCell({ text: '' }, merge.colSpan, 'continue'));
+                col += merge.colSpan;
+            }
+        };
+        for (const cell of rowCells) {
+            fillContinuations();
+            const colSpan = cell.colSpan || 1;
+            const rowSpan = cell.rowSpan || 1;
+            tr.appendChild(createCell(cell, colSpan, rowSpan > 1 ? 'restart' : null));
+            if (rowSpan > 1) pending[col] = { rowsLeft: rowSpan - 1, colSpan };
+            col += colSpan;
+        }
+        fillContinuations();
+        width = Math.max(width, col);
+        tbl.appendChild(tr);
+    }
+    // Tabela mais larga que o modelo: w:gridCol para as colunas a mais
+    extendTableGrid(doc, tbl, width);
+    return tbl;
+}
+
+function createNewBlock(doc, block, templates, ctx, prevNumId = null) {
+    // "style": o modelo é um bloco do container com o mesmo estilo; sem
+    // ele, parágrafos e tabelas básicos recebem o estilo
+    const styleId = block.style ? resolveStyleId(ctx.styles, block.type === 'table' ? 'table' : 'paragraph', block.style) : null;
+    const styleTemplate = styleId ? templates.styles[styleId] || null : null;
+    if (block.type === 'title') {
+        const template = styleId ? styleTemplate : templates.title || templates.paragraph;
+        return setBlockStyle(doc, createNewParagraph(doc, block.text, template, ctx), styleId);
+    }
+    if (block.type === 'paragraph') {
+        const template = styleId ? styleTemplate : templates.paragraph;
+        return setBlockStyle(doc, createNewParagraph(doc, block.text, template, ctx), styleId);
+    }
+    if (block.type === 'heading') {
+        return setBlockStyle(doc, createNewHeading(doc, block.text, block.level, templates.headings, ctx), styleId);
+    }
+    if (block.type === 'list_item') {
+        return setBlockStyle(doc, createNewListItem(doc, block, templates, ctx, prevNumId), styleId);
+    }
+    if (block.type === 'table') {
+        const tableTemplates = styleId ? { ...templates, table: styleTemplate } : templates;
+        return setBlockStyle(doc, createNewTable(doc, block.rows, tableTemplates, ctx), styleId);
+    }
+    if (block.type === 'page_break') {
+        return createPageBreakParagraph(doc);
+    }
+    return createBasicParagraph(doc, block.text || '', ctx);
+}
+
+// ─── Container Reconstruction ────────────────────────────
+
+/**
+ * Uma célula (w:tc) precisa terminar com w:p para ser válida no Word.
+ */
+function ensureTrailingParagraph(doc, tc) {
+    let last = tc.lastChild;
+    while (last && last.nodeType !== 1) last = last.previousSibling;
+    if (!last || last.nodeName !== 'w:p') tc.appendChild(doc.createElementNS(W_NS, 'w:p'));
+}
+
+/**
+ * Reconstrói os filhos de um container (w:body, w:hdr, w:ftr) a partir
+ * da lista de blocos modificada. Os nós originais são mapeados pela mesma
+ * contagem posicional de w:p/w:tbl usada pelo extractor.
+ */
+function rebuildContainer(doc, container, blocks, originalBlocks, ctx, idPrefix = '') {
+    // ── Mapear blocos originais por ID ───────────────────
+    const originalBlockNodes = new Map();
+    const templates = { title: null, paragraph: null, headings: {}, list_item: null, table: null, caption: null, toc: null, styles: {} };
+    const nonBlockNodes = [];
+    const looseGroups = []; // nós sem bloco no JSON, presos aos blocos vizinhos
+    let looseNodes = [];
+    let lastBlockId = null;
+    const propertyNode = getFirstChild(container, 'w:tcPr');
+    const isBody = container.nodeName === 'w:body';
+    const blockIds = assignBlockIds(container, idPrefix, isBody);
+    const captionOf = new Map(); // id da legenda → id do bloco image
+    const captionNodes = new Map(); // id do bloco image → parágrafo da legenda
+    const tocRegions = new Map(); // id do bloco toc → parágrafos do campo
+    let pendingImage = null;
+
+    for (let i = 0; i < container.childNodes.length; i++) {
+        const child = container.childNodes[i];
+        if (child.nodeType !== 1) continue;
+        const id = blockIds.get(child);
+        const imageId = pendingImage;
+        pendingImage = null;
+        const origBlock = originalBlocks && child.nodeName === 'w:p' ? originalBlocks.find(b => b.id === id) : null;
+
+        // Parágrafo vazio sem bloco no JSON (nem âncora de caixa de texto) e
+        // nós soltos entre blocos (bookmarks do corpo, etc.) ficam onde estão
+        const emptyParagraph = child.nodeName === 'w:p' && originalBlocks && !imageId && !origBlock
+            && !originalBlocks.some(b => b.anchorId === id);
+        const isBlock = ['w:p', 'w:tbl', 'w:sdt'].includes(child.nodeName);
+        if (emptyParagraph || (!isBlock && child !== propertyNode && child.nodeName !== 'w:sectPr')) {
+            if (emptyParagraph && !templates.paragraph) templates.paragraph = child;
+            looseNodes.push(child);
+            continue;
+        }
+        if (isBlock) {
+            if (looseNodes.length > 0) looseGroups.push({ after: lastBlockId, before: imageId || id, nodes: looseNodes });
+            looseNodes = [];
+            // A legenda pertence ao bloco image
+            lastBlockId = imageId || id;
+        }
+
+        if (child.nodeName === 'w:p') {
+            originalBlockNodes.set(id, child);
+
+            if (imageId) {
+                // Legenda de um bloco image (não é bloco próprio no JSON)
+                captionOf.set(id, imageId);
+                captionNodes.set(imageId, child);
+                if (!templates.caption) templates.caption = child;
+            } else if (origBlock) {
+                if (origBlock.type === 'toc') {
+                    // Parágrafos seguintes do campo pertencem ao mesmo bloco
+                    const region = getTocRegion(child);
+                    const nodes = region ? region.nodes : [child];
+                    tocRegions.set(id, nodes);
+                    if (!templates.toc) templates.toc = nodes;
+                    i = Array.prototype.indexOf.call(container.childNodes, nodes[nodes.length - 1]);
+                } else if (origBlock.type === 'image' && origBlock.caption !== undefined) {
+                    pendingImage = id;
+                } else if (origBlock.type === 'title' && !templates.title) {
+                    templates.title = child;
+                } else if (origBlock.type === 'heading' && origBlock.level) {
+                    if (!templates.headings[origBlock.level]) templates.headings[origBlock.level] = child;
+                } else if (origBlock.type === 'list_item' && !templates.list_item) {
+                    templates.list_item = child;
+                } else if (origBlock.type === 'paragraph' && !templates.paragraph) {
+                    templates.paragraph = child;
+                }
+            } else {
+                if (!templates.paragraph) templates.paragraph = child;
+            }
+            const styleId = getBlockStyleId(child);
+            if (styleId && !templates.styles[styleId]) templates.styles[styleId] = child;
+        } else if (child.nodeName === 'w:tbl') {
+            originalBlockNodes.set(id, child);
+            if (!templates.table) templates.table = child;
+            const styleId = getBlockStyleId(child);
+            if (styleId && !templates.styles[styleId]) templates.styles[styleId] = child;
+        } else if (child.nodeName === 'w:sdt') {
+            originalBlockNodes.set(id, child);
+        } else if (child !== propertyNode) {
+            nonBlockNodes.push(child);
+        }
+    }
+    if (looseNodes.length > 0) looseGroups.push({ after: lastBlockId, before: null, nodes: looseNodes });
+
+    // ── Limpar container (w:tcPr permanece como primeiro filho) ──
+    while (container.firstChild) container.removeChild(container.firstChild);
+    if (propertyNode) container.appendChild(propertyNode);
+
+    // ── IDs estáveis (só no corpo): blocos novos recebem block_NNNN livre ──
+    let nextStable = 0;
+    if (isBody) {
+        for (const id of [...originalBlockNodes.keys(), ...blocks.map(b => b.id)]) {
+            if (STABLE_ID.test(id)) nextStable = Math.max(nextStable, parseInt(blockNumber(id), 10) + 1);
+        }
+    }
+
+    // ── Reconstruir a partir do JSON modificado ──────────
+    const emitted = new Map(); // id original → último nó inserido
+    const originalIds = new Set((originalBlocks || []).map(b => b.id));
+    const finalSectPr = nonBlockNodes.find(n => n.nodeName === 'w:sectPr') || null;
+    let prevNumId = null; // lista do list_item anterior (continuação de listas novas)
+    let lastTextParagraph = null; // parágrafo de texto anterior, sem w:sectPr
+    // Nós soltos voltam logo após o bloco que os precedia; se ele saiu do
+    // JSON, antes do bloco seguinte (ou no fim, se os dois saíram)
+    const placeLoose = (nextId) => {
+        for (const group of looseGroups) {
+            if (group.placed) continue;
+            const afterEmitted = group.after !== null && emitted.has(group.after);
+            if (!afterEmitted && group.after !== null && group.before !== nextId && nextId !== null) continue;
+            for (const el of group.nodes) container.appendChild(el);
+            group.placed = true;
+            // Blocos excluídos (controle de alterações) entram depois deles
+            if (afterEmitted) emitted.set(group.after, group.nodes[group.nodes.length - 1]);
+        }
+    };
+    // Quebras "_pb"/"_pb_end" ainda coladas ao bloco de origem inalterado
+    // continuam dentro do parágrafo original (sem parágrafo próprio)
+    const keptBreaks = new Set();
+    blocks.forEach((block, index) => {
+        const edge = block.type === 'page_break' && /_pb(_end)?$/.exec(block.id);
+        if (!edge || !originalIds.has(block.id)) return;
+        const base = block.id.slice(0, -edge[0].length);
+        const neighbour = blocks[edge[1] ? index - 1 : index + 1];
+        const origBlock = neighbour && neighbour.id === base && originalBlocks.find(b => b.id === base);
+        if (origBlock && TEXT_BLOCK_TYPES.includes(origBlock.type) && originalBlockNodes.has(base) &&
+            isSameContent(neighbour, origBlock)) keptBreaks.add(block.id);
+    });
+    for (const block of blocks) {
+        placeLoose(block.id);
+        if (keptBreaks.has(block.id)) continue;
+        let node;
+        const stableId = !isBody ? null : STABLE_ID.test(block.id) ? block.id : formatBlockId('', nextStable++);
+        const prevTextParagraph = lastTextParagraph;
+        lastTextParagraph = null;
+
+        if (block.type === 'toc') {
+            const region = tocRegions.get(block.id);
+            const origBlock = region && originalBlocks.find(b => b.id === block.id);
+            const nodes = buildToc(doc, block, origBlock, region || templates.toc, ctx);
+            if (!region && ctx.revisions) {
+                for (const p of nodes) markBlockRevision(doc, p, 'w:ins', ctx);
+            }
+            if (stableId) setBlockBookmark(doc, nodes[0], stableId, ctx.nextBookmarkId);
+            for (const el of nodes) container.appendChild(el);
+            if (region) emitted.set(block.id, nodes[nodes.length - 1]);
+            prevNumId = null;
+            continue;
+        }
+
+        if (block.type === 'textbox') {
+            // Âncora sem bloco próprio (parágrafo vazio): sai com a primeira
+            // caixa de texto; nos demais casos a âncora atualiza as caixas
+            const anchor = originalBlockNodes.get(block.anchorId);
+            if (!anchor || emitted.has(block.anchorId) || blocks.some(b => b.id === block.anchorId)) continue;
+            node = anchor.cloneNode(true);
+            updateTextBoxes(doc, node, block.anchorId, blocks, originalBlocks, ctx);
+            if (isBody) setBlockBookmark(doc, node, STABLE_ID.test(block.anchorId) ? block.anchorId : stableId, ctx.nextBookmarkId);
+            container.appendChild(node);
+            emitted.set(block.anchorId, node);
+            prevNumId = null;
+            continue;
+        }
+
+        if (block.type === 'section_break' && !originalBlockNodes.has(block.id)) {
+            // Seção derivada ("block_0003_sect") ou nova: o w:sectPr vai para o
+            // parágrafo de texto anterior, ou para um parágrafo vazio próprio
+            const base = block.id.replace(/_sect$/, '');
+            const template = base !== block.id && originalBlockNodes.has(base)
+                ? getParagraphSectPr(originalBlockNodes.get(base)) : null;
+            const origBlock = template && originalBlocks.find(b => b.id === block.id);
+            // Seção inalterada volta com o w:sectPr original como está
+            const sectPr = origBlock && isSameContent(block, origBlock)
+                ? template.cloneNode(true)
+                : createSectionProps(doc, block, template || finalSectPr);
+            if (prevTextParagraph) {
+                setParagraphSectPr(doc, prevTextParagraph, sectPr);
+                continue;
+            }
+            node = doc.createElementNS(W_NS, 'w:p');
+            setParagraphSectPr(doc, node, sectPr);
+            if (ctx.revisions && !originalIds.has(block.id)) markBlockRevision(doc, node, 'w:ins', ctx);
+            if (stableId) setBlockBookmark(doc, node, stableId, ctx.nextBookmarkId);
+            container.appendChild(node);
+            prevNumId = null;
+            continue;
+        }
+
+        if (originalBlockNodes.has(block.id)) {
+            const original = originalBlockNodes.get(block.id);
+            const num = blockNumber(block.id);
+            const origBlock = originalBlocks && originalBlocks.find(b => b.id === block.id);
+            const unchanged = !!origBlock && isSameContent(block, origBlock);
+            node = original.cloneNode(true);
+            if (block.type === 'image') {
+                const captionNode = captionNodes.get(block.id) || null;
+                const nodes = updateImageBlock(doc, node, block, origBlock, captionNode, templates.caption, ctx);
+                updateTextBoxes(doc, node, block.id, blocks, originalBlocks, ctx);
+                anchorComments(doc, nodes, block.id, ctx);
+                if (stableId) {
+                    for (const el of nodes.slice(1)) removeBlockBookmark(el);
+                    setBlockBookmark(doc, node, stableId, ctx.nextBookmarkId);
+                }
+                for (const el of nodes) container.appendChild(el);
+                emitted.set(block.id, nodes[nodes.length - 1]);
+                continue;
+            } else if (block.type === 'content_control') {
+                updateBlockControl(doc, node, block, origBlock, ctx, `${idPrefix}sdt_${num}_`);
+            } else if (block.type === 'table') {
+                updateTableText(node, block, origBlock, ctx, idPrefix);
+            } else if (block.type === 'section_break') {
+                // A quebra de página do mesmo parágrafo é o bloco "_pb"
+                if (originalIds.has(`${block.id}_pb`)) removePageBreaks(node);
+                const sectPr = getParagraphSectPr(node);
+                if (sectPr && !unchanged) applySectionProps(doc, sectPr, block);
+            } else if (block.text !== undefined) {
+                registerInlineControls(ctx, [original], block.controls, `${idPrefix}ctl_${num}`);
+                registerInlineImages(ctx, [original], block.images, `${idPrefix}img_${num}`);
+                // Fim de seção exposto como bloco "_sect" (reposto onde estiver no JSON)
+                if (originalIds.has(`${block.id}_sect`)) removeParagraphSectPr(node);
+                // Quebras expostas como blocos "_pb"/"_pb_end" saem do parágrafo,
+                // exceto num bloco inalterado ainda colado a elas
+                const edges = {
+                    before: originalIds.has(`${block.id}_pb`) && !keptBreaks.has(`${block.id}_pb`),
+                    after: originalIds.has(`${block.id}_pb_end`) && !keptBreaks.has(`${block.id}_pb_end`)
+                };
+                removePageBreaks(node, edges);
+                // Bloco igual ao original: o XML fica como está (campos,
+                // bookmarks, hyperlinks e formatação mista intactos)
+                if (!unchanged) {
+                    // Caixas de texto não fazem parte do texto do bloco
+                    const textBoxRuns = collectTextBoxRuns(node);
+                    updateParagraphText(node, block.text, ctx);
+                    if (ctx.revisions && origBlock && (block.text !== origBlock.text || !isSameContent(block.controls, origBlock.controls))) {
+                        const originalP = original.cloneNode(true);
+                        for (const r of collectTextBoxRuns(originalP)) r.parentNode.removeChild(r);
+                        removePageBreaks(originalP, edges);
+                        trackParagraphChanges(doc, node, originalP, ctx);
+                    }
+                    insertTextBoxRuns(node, textBoxRuns);
+                }
+                anchorComments(doc, [node], block.id, ctx);
+            }
+            if (node.nodeName === 'w:p') updateTextBoxes(doc, node, block.id, blocks, originalBlocks, ctx);
+            emitted.set(block.id, node);
+        } else {
+            node = createNewBlock(doc, block, templates, ctx, prevNumId);
+            // Quebras derivadas ("_pb", "_pb_end") já existiam no parágrafo original
+            if (ctx.revisions && !originalIds.has(block.id)) markBlockRevision(doc, node, 'w:ins', ctx);
+            if (node.nodeName === 'w:p') anchorComments(doc, [node], block.id, ctx);
+        }
+
+        if (stableId) setBlockBookmark(doc, node, stableId, ctx.nextBookmarkId);
+        container.appendChild(node);
+        prevNumId = block.type === 'list_item' && node.nodeName === 'w:p' ? getParagraphNumId(node) : null;
+        lastTextParagraph = TEXT_BLOCK_TYPES.includes(block.type) && node.nodeName === 'w:p' && !getParagraphSectPr(node)
+            ? node : null;
+    }
+    placeLoose(null);
+
+    // ── Controle de alterações: blocos removidos ficam como excluídos,
+    //    logo após o bloco original que os precedia ─────
+    if (ctx.revisions) {
+        let anchor = null;
+        for (const [id, original] of originalBlockNodes) {
+            if (emitted.has(id)) {
+                anchor = emitted.get(id);
+                continue;
+            }
+            // Legenda de imagem mantida é tratada por updateImageBlock
+            if (captionOf.has(id) && emitted.has(captionOf.get(id))) continue;
+            for (const node of tocRegions.get(id) || [original]) {
+                const removed = node.cloneNode(true);
+                removeBlockBookmark(removed);
+                markBlockRevision(doc, removed, 'w:del', ctx);
+                const ref = anchor ? anchor.nextSibling : (propertyNode ? propertyNode.nextSibling : container.firstChild);
+                container.insertBefore(removed, ref);
+                anchor = removed;
+            }
+        }
+    }
+
+    // ── Re-anexar o w:sectPr final ───────────────────────
+    for (const el of nonBlockNodes) container.appendChild(el);
+
+    // Cabeçalho/rodapé/sdtContent sem nenhum parágrafo é inválido no Word
+    if (container.nodeName === 'w:tc') {
+        ensureTrailingParagraph(doc, container);
+    } else if (container.nodeName !== 'w:body' && !getFirstChild(container, 'w:p') && !getFirstChild(container, 'w:tbl')) {
+        container.appendChild(doc.createElementNS(W_NS, 'w:p'));
+    }
+}
+
+// ─── Headers / Footers ───────────────────────────────────
+
+/**
+ * Reescreve cada parte de cabeçalho/rodapé presente no JSON modificado.
+ * Seções ausentes no JSON modificado mantêm a parte original intacta.
+ */
+async function rebuildHeadersFooters(zip, parser, serializer, modifiedJson, originalJson, ctx) {
+    if (!Array.isArray(modifiedJson.headersFooters)) return;
+    const originalSections = (originalJson && originalJson.headersFooters) || [];
+
+    for (const section of modifiedJson.headersFooters) {
+        const origSection = originalSections.find(s => s.id === section.id);
+        if (!origSection) continue;
+        const partFile = zip.file(origSection.part);
+        if (!partFile) continue;
+
+        const partDoc = parser.parseFromString(await partFile.async('string'), 'text/xml');
+        const partCtx = { ...ctx, rels: await loadRelationships(zip, parser, origSection.part) };
+        rebuildContainer(partDoc, partDoc.documentElement, section.blocks, origSection.blocks,
+            partCtx, `${origSection.id}_`);
+        zip.file(origSection.part, serializer.serializeToString(partDoc));
+        if (partCtx.rels.changed) saveRelationships(zip, serializer, partCtx.rels);
+    }
+}
+
+// ─── Notes (footnotes / endnotes) ────────────────────────
+
+const NOTE_PARTS = {
+    footnote: {
+        path: 'word/footnotes.xml',
+        rel: 'footnotes',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.footnotes+xml',
+        textStyle: 'FootnoteText',
+        refStyle: 'FootnoteReference'
+    },
+    endnote: {
+        path: 'word/endnotes.xml',
+        rel: 'endnotes',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.endnotes+xml',
+        textStyle: 'EndnoteText',
+        refStyle: 'EndnoteReference'
+    }
+};
+
+function noteWordId(key) {
+    return parseInt(String(key).replace(/^e/, ''), 10);
+}
+
+/**
+ * Resolve cada chave de nota ([^key]) para { type, wordId } antes de
+ * reconstruir o corpo. Notas novas recebem w:id após o maior existente.
+ * Também captura o rPr do primeiro run de referência de cada tipo e as
+ * notas originais (as inalteradas não são reescritas).
+ */
+function prepareNotes(doc, modifiedJson, originalJson) {
+    const originalNotes = (originalJson && originalJson.notes) || [];
+    const list = Array.isArray(modifiedJson.notes) ? modifiedJson.notes : originalNotes;
+    const originalKeys = new Set(originalNotes.map(n => n.id));
+
+    const nextId = { footnote: 1, endnote: 1 };
+    for (const note of originalNotes) {
+        nextId[note.type] = Math.max(nextId[note.type], noteWordId(note.id) + 1);
+    }
+
+    const refs = new Map();
+    for (const note of list) {
+        const wordId = originalKeys.has(note.id) ? noteWordId(note.id) : nextId[note.type]++;
+        refs.set(note.id, { type: note.type, wordId });
+    }
+
+    const refRPr = {};
+    for (const type of Object.keys(NOTE_PARTS)) {
+        const refEls = doc.getElementsByTagName(`w:${type}Reference`);
+        const rPr = refEls.length > 0 ? getFirstChild(refEls[0].parentNode, 'w:rPr') : null;
+        refRPr[type] = rPr ? rPr.cloneNode(true) : null;
+    }
+
+    const original = new Map(originalNotes.map(note => [note.id, note]));
+    return { refs, refRPr, original };
+}
+
+function createNoteReferenceRPr(doc, type) {
+    const rPr = doc.createElementNS(W_NS, 'w:rPr');
+    const rStyle = doc.createElementNS(W_NS, 'w:rStyle');
+    rStyle.setAttribute('w:val', NOTE_PARTS[type].refStyle);
+    rPr.appendChild(rStyle);
+    const vertAlign = doc.createElementNS(W_NS, 'w:vertAlign');
+    vertAlign.setAttribute('w:val', 'superscript');
+    rPr.appendChild(vertAlign);
+    return rPr;
+}
+
+/**
+ * Cria o run de referência para o marcador [^key]. Marcadores sem nota
+ * correspondente (bloqueados pelo validator) são mantidos como texto.
+ */
+function createNoteReferenceRun(doc, key, ctx) {
+    const r = doc.createElementNS(W_NS, 'w:r');
+    const note = ctx && ctx.notes.refs.get(key);
+    if (!note) {
+        const t = doc.createElementNS(W_NS, 'w:t');
+        t.appendChild(doc.createTextNode(`[^${key}]`));
+        r.appendChild(t);
+        return r;
+    }
+    const templateRPr = ctx.notes.refRPr[note.type];
+    r.appendChild(templateRPr ? templateRPr.cloneNode(true) : createNoteReferenceRPr(doc, note.type));
+    const ref = doc.createElementNS(W_NS, `w:${note.type}Reference`);
+    ref.setAttribute('w:id', String(note.wordId));
+    r.appendChild(ref);
+    return r;
+}
+
+function createNoteElement(doc, type, wordId) {
+    const note = doc.createElementNS(W_NS, `w:${type}`);
+    note.setAttribute('w:id', String(wordId));
+    const p = doc.createElementNS(W_NS, 'w:p');
+    const pPr = doc.createElementNS(W_NS, 'w:pPr');
+    const pStyle = doc.createElementNS(W_NS, 'w:pStyle');
+    pStyle.setAttribute('w:val', NOTE_PARTS[type].textStyle);
+    pPr.appendChild(pStyle);
+    p.appendChild(pPr);
+    const r = doc.createElementNS(W_NS, 'w:r');
+    r.appendChild(createNoteReferenceRPr(doc, type));
+    r.appendChild(doc.createElementNS(W_NS, `w:${type}Ref`));
+    p.appendChild(r);
+    note.appendChild(p);
+    return note;
+}
 
-async function reconstructDocx(originalBuffer, modifiedJson, originalJson) {
-    const zip = await JSZip.loadAsync(originalBuffer);
-    const documentXmlFile = zip.file('word/document.xml');
-    if (!documentXmlFile) throw new Error('Arquivo original inválido: word/document.xml não encontrado.');
-    const documentXml = await documentXmlFile.async('string');
-    const stylesXmlFile = zip.file('word/styles.xml');
-    const stylesXml = stylesXmlFile ? await stylesXmlFile.async('string') : null;
+/**
+ * Reescreve os parágrafos de uma nota ou comentário. O primeiro parágrafo
+ * serve de template e o run com `refTag` (w:footnoteRef, w:endnoteRef ou
+ * w:annotationRef) é recolocado no início do primeiro parágrafo, seguido
+ * de `separator`. Com controle de alterações e `originalText` (o texto no
+ * JSON original), vai por trackAnnotationChanges.
+ */
+function updateAnnotationText(el, refTag, text, ctx, separator = '', originalText = null) {
+    if (ctx.revisions && originalText !== null) {
+        trackAnnotationChanges(el, refTag, text, originalText, ctx, separator);
+        return;
+    }
+    const paragraphs = getDirectChildren(el, 'w:p');
+    const template = paragraphs[0];
+    for (const p of paragraphs) el.removeChild(p);
 
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(documentXml, 'text/xml');
-    const headingStyleMap = buildHeadingStyleReverseMap(stylesXml, parser);
+    const refRun = getDirectChildren(template, 'w:r').find(r => getFirstChild(r, refTag));
+    if (refRun) template.removeChild(refRun);
 
-    const body = doc.getElementsByTagName('w:body')[0];
-    if (!body) throw new Error('Documento original inválido: w:body não encontrado.');
+    const lines = text.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        const p = template.cloneNode(true);
+        if (i === 0 && refRun) {
+            updateParagraphText(p, `${separator}${lines[i]}`, ctx);
+            p.insertBefore(refRun, getFirstChild(p, 'w:r'));
+        } else {
+            replaceParagraphText(p, lines[i], ctx);
+        }
+        el.appendChild(p);
+    }
+}
 
-    // ── Mapear blocos originais por ID ───────────────────
-    const originalBlockNodes = new Map();
-    const templates = { title: null, paragraph: null, headings: {}, list_item: null, table: null };
-    const nonBlockNodes = [];
+/**
+ * Nota ou comentário editado com controle de alterações: como o texto de
+ * uma célula, cada linha é um parágrafo casado por matchCellLines; linhas
+ * alteradas viram revisões palavra a palavra (trackParagraphChanges),
+ * linhas novas parágrafos inseridos e as que saíram parágrafos excluídos.
+ * O run com `refTag` fica fora do diff, no início do seu parágrafo.
+ */
+function trackAnnotationChanges(el, refTag, text, originalText, ctx, separator) {
+    const doc = el.ownerDocument;
+    const paragraphs = getDirectChildren(el, 'w:p');
+    const lines = text.split('\n');
+    const originalLines = originalText.split('\n');
+    const { source, removed } = matchCellLines(originalLines, lines, paragraphs.length);
 
-    let blockIndex = 0;
-    for (let i = 0; i < body.childNodes.length; i++) {
-        const child = body.childNodes[i];
-        if (child.nodeType !== 1) continue;
+    // Revisões só no fim: os parágrafos servem de modelo para os seguintes
+    const revisions = [];
+    let prev = null;
+    for (let i = 0; i < lines.length; i++) {
+        const existing = source[i] >= 0 ? paragraphs[source[i]] : null;
+        let p = existing;
+        if (!existing) {
+            const template = prev || paragraphs[0];
+            p = template ? template.cloneNode(true) : doc.createElementNS(W_NS, 'w:p');
+            replaceParagraphText(p, lines[i], ctx);
+            el.insertBefore(p, prev ? prev.nextSibling : paragraphs[0] || null);
+            revisions.push({ p, before: null });
+        } else if (lines[i] !== originalLines[source[i]]) {
+            const refRun = getDirectChildren(existing, 'w:r').find(r => getFirstChild(r, refTag));
+            const before = existing.cloneNode(true);
+            if (refRun) {
+                existing.removeChild(refRun);
+                before.removeChild(getDirectChildren(before, 'w:r').find(r => getFirstChild(r, refTag)));
+            }
+            updateParagraphText(existing, refRun ? `${separator}${lines[i]}` : lines[i], ctx);
+            revisions.push({ p, before, refRun });
+        }
+        prev = p;
+    }
 
-        if (child.nodeName === 'w:p') {
-            const id = `block_${String(blockIndex).padStart(4, '0')}`;
-            originalBlockNodes.set(id, child);
+    for (const { p, before, refRun } of revisions) {
+        if (!before) {
+            markParagraphRevision(doc, p, 'w:ins', ctx);
+            continue;
+        }
+        trackParagraphChanges(doc, p, before, ctx);
+        const pPr = getFirstChild(p, 'w:pPr');
+        if (refRun) p.insertBefore(refRun, pPr ? pPr.nextSibling : p.firstChild);
+    }
+    for (const index of removed) markBlockRevision(doc, paragraphs[index], 'w:del', ctx);
+}
 
-            const origBlock = originalJson && originalJson.blocks.find(b => b.id === id);
-            if (origBlock) {
-                if (origBlock.type === 'title' && !templates.title) {
-                    templates.title = child;
-                } else if (origBlock.type === 'heading' && origBlock.level) {
-                    if (!templates.headings[origBlock.level]) templates.headings[origBlock.level] = child;
-                } else if (origBlock.type === 'list_item' && !templates.list_item) {
-                    templates.list_item = child;
-                } else if (origBlock.type === 'paragraph' && !templates.paragraph) {
-                    templates.paragraph = child;
-                }
+/**
+ * Sincroniza as partes de notas com a lista "notes" do JSON modificado:
+ * notas removidas saem da parte, existentes com texto alterado são
+ * reescritas e novas são criadas (a parte é criada se o documento não
+ * tiver notas).
+ */
+async function rebuildNotes(zip, parser, serializer, modifiedJson, ctx) {
+    if (!Array.isArray(modifiedJson.notes)) return;
+
+    const rels = await loadRelationships(zip, parser);
+    const relMap = getRelationships(rels);
+    let relsChanged = false;
+
+    for (const type of Object.keys(NOTE_PARTS)) {
+        const config = NOTE_PARTS[type];
+        const wanted = modifiedJson.notes.filter(n => n.type === type);
+
+        let partPath = null;
+        for (const rel of relMap.values()) {
+            if (rel.type === config.rel) partPath = rel.target;
+        }
+        if (!partPath && wanted.length === 0) continue;
+
+        let partDoc;
+        if (partPath && zip.file(partPath)) {
+            partDoc = parser.parseFromString(await zip.file(partPath).async('string'), 'text/xml');
+        } else {
+            partPath = config.path;
+            partDoc = parser.parseFromString(createEmptyNotesXml(type), 'text/xml');
+            addRelationship(rels, config.rel, partPath.replace(/^word\//, ''));
+            await addContentTypeOverride(zip, parser, serializer, partPath, config.contentType);
+            relsChanged = true;
+        }
+
+        const partCtx = { ...ctx, rels: await loadRelationships(zip, parser, partPath) };
+        const root = partDoc.documentElement;
+        const existing = new Map();
+        for (const el of getDirectChildren(root, `w:${type}`)) {
+            const noteType = el.getAttribute('w:type');
+            if (!noteType || noteType === 'normal') existing.set(parseInt(el.getAttribute('w:id'), 10), el);
+        }
+        const template = existing.size > 0 ? existing.values().next().value.cloneNode(true) : null;
+
+        // Remover notas que não estão mais no JSON (com controle de
+        // alterações, a referência excluída continua no texto e a nota fica)
+        const keep = new Set(wanted.map(n => ctx.notes.refs.get(n.id).wordId));
+        for (const [wordId, el] of existing) {
+            if (!keep.has(wordId) && !ctx.revisions) root.removeChild(el);
+        }
+
+        for (const note of wanted) {
+            const wordId = ctx.notes.refs.get(note.id).wordId;
+            let el = existing.get(wordId);
+            const orig = el ? ctx.notes.original.get(note.id) : null;
+            if (el) {
+                // Nota inalterada fica como está
+                if (orig && orig.type === note.type && orig.text === note.text) continue;
             } else {
-                if (!templates.paragraph) templates.paragraph = child;
+                if (template) {
+                    el = template.cloneNode(true);
+                    el.setAttribute('w:id', String(wordId));
+                } else {
+                    el = createNoteElement(partDoc, type, wordId);
+                }
+                root.appendChild(el);
             }
-            blockIndex++;
-        } else if (child.nodeName === 'w:tbl') {
-            const id = `block_${String(blockIndex).padStart(4, '0')}`;
-            originalBlockNodes.set(id, child);
-            if (!templates.table) templates.table = child;
-            blockIndex++;
+            updateAnnotationText(el, `w:${type}Ref`, note.text, partCtx, ' ', orig && orig.type === note.type ? orig.text : null);
+        }
+
+        zip.file(partPath, serializer.serializeToString(partDoc));
+        if (partCtx.rels.changed) saveRelationships(zip, serializer, partCtx.rels);
+    }
+
+    if (relsChanged) saveRelationships(zip, serializer, rels);
+}
+
+function createEmptyNotesXml(type) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<w:${type}s xmlns:w="${W_NS}">` +
+        `<w:${type} w:type="separator" w:id="-1"><w:p><w:r><w:separator/></w:r></w:p></w:${type}>` +
+        `<w:${type} w:type="continuationSeparator" w:id="0"><w:p><w:r><w:continuationSeparator/></w:r></w:p></w:${type}>` +
+        `</w:${type}s>`;
+}
+
+// ─── Comments ────────────────────────────────────────────
+
+const COMMENTS_PART = {
+    path: 'word/comments.xml',
+    rel: 'comments',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml'
+};
+const COMMENT_ANCHOR_TAGS = ['w:commentRangeStart', 'w:commentRangeEnd', 'w:commentReference'];
+
+/**
+ * Resolve a lista final de comentários (a do JSON modificado ou, se
+ * omitida, a original) em { entries, byAnchor, original, placed }.
+ * Comentários novos recebem w:id após o maior existente. Retorna null
+ * se nenhum dos JSONs traz "comments".
+ */
+function prepareComments(modifiedJson, originalJson) {
+    const originalList = originalJson && Array.isArray(originalJson.comments) ? originalJson.comments : null;
+    const list = Array.isArray(modifiedJson.comments) ? modifiedJson.comments : originalList;
+    if (!list) return null;
+
+    const original = new Map((originalList || []).map(c => [c.id, c]));
+    let nextId = 0;
+    for (const id of original.keys()) nextId = Math.max(nextId, parseInt(id, 10) + 1 || 0);
+
+    const entries = [];
+    const byAnchor = new Map();
+    for (const comment of list) {
+        const wordId = original.has(comment.id) ? comment.id : String(nextId++);
+        entries.push({ comment, wordId });
+        if (!comment.blockId) continue;
+        if (!byAnchor.has(comment.blockId)) byAnchor.set(comment.blockId, []);
+        byAnchor.get(comment.blockId).push(wordId);
+    }
+    return { entries, byAnchor, original, placed: new Set() };
+}
+
+/**
+ * IDs dos blocos e células iguais ao JSON original (inclusive dentro de
+ * tabelas, controles de conteúdo e caixas de texto). Sumários ficam de
+ * fora: o resultado do campo é sempre regenerado.
+ */
+function collectUnchangedIds(blocks, originalBlocks, out = new Set()) {
+    const original = new Map((originalBlocks || []).map(b => [b.id, b]));
+    for (const block of blocks || []) {
+        const origBlock = original.get(block.id);
+        if (!origBlock) continue;
+        if (block.type !== 'toc' && isSameContent(block, origBlock)) out.add(block.id);
+        if (Array.isArray(block.blocks)) collectUnchangedIds(block.blocks, origBlock.blocks, out);
+        if (block.type !== 'table' || !Array.isArray(block.rows) || !Array.isArray(origBlock.rows)) continue;
+        const originalCells = new Map();
+        for (const row of origBlock.rows) for (const cell of row) originalCells.set(cell.id, cell);
+        for (const row of block.rows) {
+            for (const cell of row) {
+                const origCell = originalCells.get(cell.id);
+                if (!origCell) continue;
+                if (isSameContent(cell, origCell)) out.add(cell.id);
+                if (Array.isArray(cell.blocks)) collectUnchangedIds(cell.blocks, origCell.blocks, out);
+            }
+        }
+    }
+    return out;
+}
+
+/**
+ * Remove do corpo as âncoras de comentários que serão reancoradas pelo
+ * blockId ou que saíram da lista. Permanecem no lugar as âncoras de
+ * comentários mantidos sem blockId (fora dos blocos do JSON) e as de
+ * comentários que continuam num bloco/célula inalterado (`unchanged`),
+ * com todas as âncoras no mesmo parágrafo — ele é copiado como está.
+ */
+function stripCommentAnchors(body, comments, unchanged) {
+    const keep = new Set(comments.entries.filter(e => !e.comment.blockId).map(e => e.wordId));
+    const anchorParagraphs = new Map(); // w:id → parágrafos das âncoras
+    for (const tag of COMMENT_ANCHOR_TAGS) {
+        const els = body.getElementsByTagName(tag);
+        for (let i = 0; i < els.length; i++) {
+            let p = els[i].parentNode;
+            while (p && p.nodeName !== 'w:p') p = p.parentNode;
+            const wordId = els[i].getAttribute('w:id');
+            if (!anchorParagraphs.has(wordId)) anchorParagraphs.set(wordId, new Set());
+            anchorParagraphs.get(wordId).add(p);
+        }
+    }
+    for (const { comment, wordId } of comments.entries) {
+        const orig = comments.original.get(comment.id);
+        const paragraphs = anchorParagraphs.get(wordId);
+        if (!orig || !comment.blockId || comment.blockId !== orig.blockId || !unchanged.has(comment.blockId)) continue;
+        if (paragraphs && paragraphs.size === 1 && !paragraphs.has(null)) {
+            keep.add(wordId);
+            comments.placed.add(wordId);
+        }
+    }
+
+    for (const tag of COMMENT_ANCHOR_TAGS) {
+        const els = Array.from(body.getElementsByTagName(tag));
+        for (const el of els) {
+            if (keep.has(el.getAttribute('w:id'))) continue;
+            const parent = el.parentNode;
+            parent.removeChild(el);
+            // Run de referência que ficou só com w:rPr
+            if (parent.nodeName === 'w:r' && Array.from(parent.childNodes).every(c => c.nodeType !== 1 || c.nodeName === 'w:rPr')) {
+                parent.parentNode.removeChild(parent);
+            }
+        }
+    }
+}
+
+/**
+ * Ancora os comentários de `anchorId` aos parágrafos de um bloco/célula:
+ * w:commentRangeStart no início do primeiro parágrafo, w:commentRangeEnd e
+ * o run com w:commentReference no fim do último.
+ */
+function anchorComments(doc, paragraphs, anchorId, ctx) {
+    const wordIds = ctx.comments && ctx.comments.byAnchor.get(anchorId);
+    if (!wordIds || paragraphs.length === 0) return;
+    const first = paragraphs[0];
+    const last = paragraphs[paragraphs.length - 1];
+
+    for (const wordId of wordIds) {
+        // Âncoras originais mantidas por stripCommentAnchors
+        if (ctx.comments.placed.has(wordId)) continue;
+        const start = doc.createElementNS(W_NS, 'w:commentRangeStart');
+        start.setAttribute('w:id', wordId);
+        const pPr = getFirstChild(first, 'w:pPr');
+        first.insertBefore(start, pPr ? pPr.nextSibling : first.firstChild);
+
+        const end = doc.createElementNS(W_NS, 'w:commentRangeEnd');
+        end.setAttribute('w:id', wordId);
+        last.appendChild(end);
+
+        const r = doc.createElementNS(W_NS, 'w:r');
+        const rPr = doc.createElementNS(W_NS, 'w:rPr');
+        const rStyle = doc.createElementNS(W_NS, 'w:rStyle');
+        rStyle.setAttribute('w:val', 'CommentReference');
+        rPr.appendChild(rStyle);
+        r.appendChild(rPr);
+        const ref = doc.createElementNS(W_NS, 'w:commentReference');
+        ref.setAttribute('w:id', wordId);
+        r.appendChild(ref);
+        last.appendChild(r);
+
+        ctx.comments.placed.add(wordId);
+    }
+}
+
+function createCommentElement(doc, wordId) {
+    const comment = doc.createElementNS(W_NS, 'w:comment');
+    comment.setAttribute('w:id', wordId);
+    const p = doc.createElementNS(W_NS, 'w:p');
+    const pPr = doc.createElementNS(W_NS, 'w:pPr');
+    const pStyle = doc.createElementNS(W_NS, 'w:pStyle');
+    pStyle.setAttribute('w:val', 'CommentText');
+    pPr.appendChild(pStyle);
+    p.appendChild(pPr);
+    const r = doc.createElementNS(W_NS, 'w:r');
+    const rPr = doc.createElementNS(W_NS, 'w:rPr');
+    const rStyle = doc.createElementNS(W_NS, 'w:rStyle');
+    rStyle.setAttribute('w:val', 'CommentReference');
+    rPr.appendChild(rStyle);
+    r.appendChild(rPr);
+    r.appendChild(doc.createElementNS(W_NS, 'w:annotationRef'));
+    p.appendChild(r);
+    comment.appendChild(p);
+    return comment;
+}
+
+/**
+ * Reescreve word/comments.xml a partir de ctx.comments. Comentários
+ * existentes só têm o texto reescrito se mudou; comentários cuja âncora
+ * não pôde ser colocada (bloco removido) são descartados.
+ */
+async function rebuildComments(zip, parser, serializer, ctx, author) {
+    const comments = ctx.comments;
+    if (!comments) return;
+    const wanted = comments.entries.filter(e => !e.comment.blockId || comments.placed.has(e.wordId));
+
+    const rels = await loadRelationships(zip, parser);
+    let partPath = null;
+    for (const rel of getRelationships(rels).values()) {
+        if (rel.type === COMMENTS_PART.rel) partPath = rel.target;
+    }
+    if (!partPath && wanted.length === 0) return;
+
+    let partDoc;
+    if (partPath && zip.file(partPath)) {
+        partDoc = parser.parseFromString(await zip.file(partPath).async('string'), 'text/xml');
+    } else {
+        partPath = COMMENTS_PART.path;
+        partDoc = parser.parseFromString(
+            `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:comments xmlns:w="${W_NS}"/>`, 'text/xml');
+        addRelationship(rels, COMMENTS_PART.rel, partPath.replace(/^word\//, ''));
+        await addContentTypeOverride(zip, parser, serializer, partPath, COMMENTS_PART.contentType);
+        saveRelationships(zip, serializer, rels);
+    }
+
+    const partCtx = { ...ctx, rels: await loadRelationships(zip, parser, partPath) };
+    const root = partDoc.documentElement;
+    const existing = new Map();
+    for (const el of getDirectChildren(root, 'w:comment')) existing.set(el.getAttribute('w:id'), el);
+
+    // Remover comentários que não estão mais no JSON
+    const keep = new Set(wanted.map(e => e.wordId));
+    for (const [wordId, el] of existing) {
+        if (!keep.has(wordId)) root.removeChild(el);
+    }
+
+    const date = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    for (const { comment, wordId } of wanted) {
+        let el = existing.get(wordId);
+        if (el) {
+            const orig = comments.original.get(comment.id);
+            if (!orig || comment.text !== orig.text) {
+                updateAnnotationText(el, 'w:annotationRef', comment.text, partCtx, '', orig ? orig.text : null);
+            }
+            continue;
+        }
+        el = createCommentElement(partDoc, wordId);
+        el.setAttribute('w:author', comment.author || author);
+        el.setAttribute('w:date', date);
+        if (comment.initials) el.setAttribute('w:initials', comment.initials);
+        updateAnnotationText(el, 'w:annotationRef', comment.text, partCtx);
+        root.appendChild(el);
+    }
+
+    zip.file(partPath, serializer.serializeToString(partDoc));
+    if (partCtx.rels.changed) saveRelationships(zip, serializer, partCtx.rels);
+}
+
+// ─── Track Changes (w:ins / w:del) ───────────────────────
+
+const REVISION_TAGS = ['w:ins', 'w:del', 'w:moveFrom', 'w:moveTo', 'w:pPrChange', 'w:rPrChange',
+    'w:tblPrChange', 'w:trPrChange', 'w:tcPrChange', 'w:sectPrChange'];
+// Filhos de w:p que carregam conteúdo (entram no diff)
+const CONTENT_TAGS = ['w:r', 'w:hyperlink', 'w:sdt', 'w:ins', 'w:del', 'w:fldSimple', 'w:smartTag'];
+// Acima disso (tokens antigos × novos) o parágrafo é trocado por inteiro
+const MAX_DIFF_CELLS = 250000;
+// Partes de run sem texto que o diff não remove: a estrutura dos campos,
+// que o JSON não representa (só o resultado em cache vira texto), e notas
+// e imagens enquanto o texto novo mantiver o marcador ([^id], {{img_...}})
+const FIELD_RUN_PARTS = ['w:fldChar', 'w:instrText'];
+// Filhos de w:p que o extractor não lê (campo simples, smart tag): também
+// ficam sempre
+const FIELD_TAGS = ['w:fldSimple', 'w:smartTag'];
+const MARKER_RUN_PARTS = ['w:footnoteReference', 'w:endnoteReference', 'w:object', ...IMAGE_TAGS];
+
+// Partes além do document.xml que recebem revisões na reconstrução
+const REVISION_PARTS = /^word\/(header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/;
+
+/**
+ * Prepara ctx.revisions: autor, data e o próximo w:id livre (após as
+ * revisões já existentes no documento e nas partes de cabeçalho, rodapé,
+ * notas e comentários, que compartilham a numeração).
+ */
+async function prepareRevisions(zip, parser, doc, author) {
+    const docs = [doc];
+    for (const path of Object.keys(zip.files).filter(name => REVISION_PARTS.test(name))) {
+        docs.push(parser.parseFromString(await zip.file(path).async('string'), 'text/xml'));
+    }
+    let nextId = 1;
+    for (const partDoc of docs) {
+        for (const tag of REVISION_TAGS) {
+            const els = partDoc.getElementsByTagName(tag);
+            for (let i = 0; i < els.length; i++) {
+                nextId = Math.max(nextId, (parseInt(els[i].getAttribute('w:id'), 10) || 0) + 1);
+            }
+        }
+    }
+    return { author, date: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'), nextId };
+}
+
+function createRevision(doc, tag, ctx) {
+    const el = doc.createElementNS(W_NS, tag);
+    el.setAttribute('w:id', String(ctx.revisions.nextId++));
+    el.setAttribute('w:author', ctx.revisions.author);
+    el.setAttribute('w:date', ctx.revisions.date);
+    return el;
+}
+
+/**
+ * Converte um run para a forma excluída: w:t → w:delText e
+ * w:instrText → w:delInstrText.
+ */
+function toDeletedRun(doc, r) {
+    for (const [from, to] of [['w:t', 'w:delText'], ['w:instrText', 'w:delInstrText']]) {
+        for (const el of getDirectChildren(r, from)) {
+            const renamed = doc.createElementNS(W_NS, to);
+            for (let i = 0; i < el.attributes.length; i++) {
+                renamed.setAttribute(el.attributes[i].name, el.attributes[i].value);
+            }
+            while (el.firstChild) renamed.appendChild(el.firstChild);
+            r.replaceChild(renamed, el);
+        }
+    }
+    return r;
+}
+
+/**
+ * Marca uma sequência de nós de conteúdo (filhos de w:p) como inserida ou
+ * excluída. Runs consecutivos vão para um mesmo w:ins/w:del; hyperlinks,
+ * controles e campos têm os runs internos marcados. Retorna os nós a
+ * inserir no parágrafo.
+ */
+function markRevision(doc, nodes, tag, ctx) {
+    const out = [];
+    let wrapper = null;
+    for (const node of nodes) {
+        if (node.nodeName === 'w:r') {
+            if (!wrapper) {
+                wrapper = createRevision(doc, tag, ctx);
+                out.push(wrapper);
+            }
+            wrapper.appendChild(tag === 'w:del' ? toDeletedRun(doc, node) : node);
+            continue;
+        }
+        wrapper = null;
+        if (node.nodeName === 'w:ins' && tag === 'w:del') {
+            // Inserção anterior agora excluída: seus runs passam a excluídos
+            out.push(...markRevision(doc, getDirectChildren(node, 'w:r'), tag, ctx));
+        } else if (node.nodeName === 'w:ins' || node.nodeName === 'w:del') {
+            out.push(node);
         } else {
-            nonBlockNodes.push(child);
+            const holder = node.nodeName === 'w:sdt' ? getFirstChild(node, 'w:sdtContent') : node;
+            if (holder) markContentRevision(doc, holder, tag, ctx);
+            out.push(node);
         }
     }
+    return out;
+}
 
-    // ── Limpar body ──────────────────────────────────────
-    while (body.firstChild) body.removeChild(body.firstChild);
+/**
+ * Substitui os filhos de conteúdo de `parent` pelos mesmos nós marcados
+ * como inseridos/excluídos.
+ */
+function markContentRevision(doc, parent, tag, ctx) {
+    const content = Array.from(parent.childNodes).filter(c => CONTENT_TAGS.includes(c.nodeName));
+    if (content.length === 0) return;
+    const ref = content[content.length - 1].nextSibling;
+    for (const child of content) parent.removeChild(child);
+    for (const node of markRevision(doc, content, tag, ctx)) parent.insertBefore(node, ref);
+}
 
-    // ── Reconstruir body a partir do JSON modificado ─────
-    for (const block of modifiedJson.blocks) {
-        let node;
+/**
+ * Marca um parágrafo inteiro (runs + marca de parágrafo) como inserido
+ * ou excluído.
+ */
+function markParagraphRevision(doc, p, tag, ctx) {
+    markContentRevision(doc, p, tag, ctx);
+    let pPr = getFirstChild(p, 'w:pPr');
+    if (!pPr) {
+        pPr = doc.createElementNS(W_NS, 'w:pPr');
+        p.insertBefore(pPr, p.firstChild);
+    }
+    let rPr = getFirstChild(pPr, 'w:rPr');
+    if (!rPr) {
+        rPr = doc.createElementNS(W_NS, 'w:rPr');
+        pPr.insertBefore(rPr, getFirstChild(pPr, 'w:sectPr') || getFirstChild(pPr, 'w:pPrChange'));
+    }
+    rPr.appendChild(createRevision(doc, tag, ctx));
+}
 
-        if (originalBlockNodes.has(block.id)) {
-            node = originalBlockNodes.get(block.id).cloneNode(true);
-            removeImages(node); // ← SEMPRE remover imagens
-            if (block.type === 'table') {
-                updateTableText(node, block.rows);
-            } else if (block.text !== undefined) {
-                updateParagraphText(node, block.text);
+/**
+ * Marca um bloco inteiro (parágrafo, tabela, linha ou controle) como
+ * inserido ou excluído: todos os parágrafos e, em tabelas, as linhas
+ * (w:trPr).
+ */
+function markBlockRevision(doc, node, tag, ctx) {
+    const paragraphs = node.nodeName === 'w:p' ? [node] : Array.from(node.getElementsByTagName('w:p'));
+    for (const p of paragraphs) markParagraphRevision(doc, p, tag, ctx);
+    const rows = node.nodeName === 'w:tr' ? [node, ...Array.from(node.getElementsByTagName('w:tr'))] : node.getElementsByTagName('w:tr');
+    for (let i = 0; i < rows.length; i++) {
+        let trPr = getFirstChild(rows[i], 'w:trPr');
+        if (!trPr) {
+            trPr = doc.createElementNS(W_NS, 'w:trPr');
+            rows[i].insertBefore(trPr, getFirstChild(rows[i], 'w:tc'));
+        }
+        trPr.appendChild(createRevision(doc, tag, ctx));
+    }
+}
+
+/**
+ * Assinatura das marcas inline de um run, para o diff. w:bCs/w:iCs
+ * acompanham w:b/w:i e liga/desliga ignora a forma do valor ("1", "true").
+ */
+function runSignature(rPr) {
+    const marks = [];
+    for (const name of MARK_PROPS) {
+        if (name === 'w:bCs' || name === 'w:iCs') continue;
+        const el = getFirstChild(rPr, name);
+        const val = el && el.getAttribute('w:val');
+        if (!el || ['0', 'false', 'off', 'none'].includes(val)) continue;
+        marks.push(['w:highlight', 'w:u', 'w:vertAlign'].includes(name) ? `${name}=${val}` : name);
+    }
+    const rFonts = getFirstChild(rPr, 'w:rFonts');
+    if (rFonts && MONOSPACE_FONT.test(rFonts.getAttribute('w:ascii') || rFonts.getAttribute('w:hAnsi') || '')) {
+        marks.push('code');
+    }
+    return marks.join(',');
+}
+
+/** w:id (ou w:tag) do sdtPr de um controle; null se não houver. */
+function getControlIdentity(sdt) {
+    const sdtPr = getFirstChild(sdt, 'w:sdtPr');
+    const id = getFirstChild(sdtPr, 'w:id');
+    if (id && id.getAttribute('w:val')) return `id=${id.getAttribute('w:val')}`;
+    const tag = getFirstChild(sdtPr, 'w:tag');
+    return tag && tag.getAttribute('w:val') ? `tag=${tag.getAttribute('w:val')}` : null;
+}
+
+/**
+ * Forma canônica de um elemento para as chaves do diff: atributos em ordem
+ * alfabética e sem declarações xmlns, que o XMLSerializer posiciona de
+ * forma diferente em nós lidos do arquivo e criados pelo reconstructor.
+ */
+function canonicalXml(node) {
+    if (node.nodeType === 3) return node.data;
+    if (node.nodeType !== 1) return '';
+    const attrs = [];
+    for (let i = 0; i < node.attributes.length; i++) {
+        const { name, value } = node.attributes[i];
+        if (name !== 'xmlns' && !name.startsWith('xmlns:')) attrs.push(` ${name}="${value}"`);
+    }
+    let content = '';
+    for (let i = 0; i < node.childNodes.length; i++) content += canonicalXml(node.childNodes[i]);
+    return `<${node.nodeName}${attrs.sort().join('')}>${content}</${node.nodeName}>`;
+}
+
+/** w:br de linha ou de página (o extractor escreve os dois como "\n"). */
+function isLineBreak(node) {
+    const type = node.nodeName === 'w:br' && (node.getAttribute('w:type') || 'textWrapping');
+    return type === 'textWrapping' || type === 'page';
+}
+
+/**
+ * Quebra o conteúdo de um parágrafo em tokens para o diff: palavras e
+ * espaços de runs de texto (com a assinatura de formatação), demais
+ * filhos de run e nós como hyperlinks/controles são atômicos.
+ * Controles (w:sdt) têm a chave pela identidade (w:id ou w:tag), não pelo
+ * texto: o mesmo controle com conteúdo editado continua o mesmo token.
+ * Cada token: { key, node, source, owner, fixed } — `source` agrupa tokens
+ * de texto do mesmo run, `owner` é o filho do parágrafo de origem e
+ * `fixed` ('field' ou 'marker') marca campos, notas e imagens
+ * (FIELD_RUN_PARTS/MARKER_RUN_PARTS/FIELD_TAGS); nos runs, a chave desses
+ * tokens e a das quebras de linha/página ignora a formatação.
+ */
+function tokenizeParagraph(p) {
+    const tokens = [];
+    for (const child of Array.from(p.childNodes)) {
+        if (!CONTENT_TAGS.includes(child.nodeName)) continue;
+        if (child.nodeName !== 'w:r') {
+            const target = child.getAttribute('r:id') || child.getAttribute('w:anchor') || '';
+            const control = child.nodeName === 'w:sdt' && getControlIdentity(child);
+            const key = control ? `w:sdt|${control}` : `${child.nodeName}|${target}|${child.textContent}`;
+            tokens.push({ key, node: child, source: null, owner: child, fixed: FIELD_TAGS.includes(child.nodeName) ? 'field' : null });
+            continue;
+        }
+        const rPr = getFirstChild(child, 'w:rPr');
+        const signature = runSignature(rPr);
+        for (let i = 0; i < child.childNodes.length; i++) {
+            const part = child.childNodes[i];
+            if (part.nodeType !== 1 || part.nodeName === 'w:rPr') continue;
+            const words = part.nodeName === 'w:t' ? (part.textContent || '').match(/\s+|[^\s]+/g) || [] : [null];
+            for (const word of words) {
+                const r = p.ownerDocument.createElementNS(W_NS, 'w:r');
+                if (rPr) r.appendChild(rPr.cloneNode(true));
+                if (word === null) {
+                    r.appendChild(part.cloneNode(true));
+                } else {
+                    const t = p.ownerDocument.createElementNS(W_NS, 'w:t');
+                    t.setAttributeNS(XML_NS, 'xml:space', 'preserve');
+                    t.appendChild(p.ownerDocument.createTextNode(word));
+                    r.appendChild(t);
+                }
+                const fixed = word !== null ? null
+                    : FIELD_RUN_PARTS.includes(part.nodeName) ? 'field'
+                        : MARKER_RUN_PARTS.includes(part.nodeName) ? 'marker' : null;
+                // Quebra de página no meio do texto sai como "\n" no extractor:
+                // casa com a quebra de linha do texto novo e o w:br original fica
+                const key = fixed ? `fixed|${canonicalXml(part)}`
+                    : isLineBreak(part) ? 'w:br'
+                        : `${signature}|${word === null ? canonicalXml(part) : word}`;
+                tokens.push({ key, node: r, source: word === null ? null : child, owner: child, text: word, fixed });
             }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Diff por LCS entre tokens antigos e novos. Retorna [{ op, token, pair }],
+ * op ∈ 'equal' | 'delete' | 'insert'; em 'equal', `token` é o antigo e
+ * `pair` o novo correspondente. Tokens fixos (campos, notas e
+ * imagens) não são removidos: ficam na posição original e a cópia
+ * reinserida em outro ponto é descartada. Notas e imagens só saem quando
+ * o marcador some do texto novo.
+ */
+function diffTokens(oldTokens, newTokens) {
+    const ops = alignTokens(oldTokens, newTokens);
+    const newKeys = new Set(newTokens.map(token => token.key));
+    const kept = new Map(); // chave → tokens fixos mantidos sem par no texto novo
+    for (const entry of ops) {
+        const { op, token } = entry;
+        if (op === 'delete' && (token.fixed === 'field' || (token.fixed && newKeys.has(token.key)))) {
+            entry.op = 'equal';
+            kept.set(token.key, (kept.get(token.key) || 0) + 1);
+        }
+    }
+    return ops.filter(({ op, token }) => {
+        if (op !== 'insert' || !token.fixed || !(kept.get(token.key) > 0)) return true;
+        kept.set(token.key, kept.get(token.key) - 1);
+        return false;
+    });
+}
+
+/** LCS sobre as chaves dos tokens (diffTokens trata os tokens fixos). */
+function alignTokens(oldTokens, newTokens) {
+    const n = oldTokens.length, m = newTokens.length;
+    if (n * m > MAX_DIFF_CELLS) {
+        return [...oldTokens.map(token => ({ op: 'delete', token })), ...newTokens.map(token => ({ op: 'insert', token }))];
+    }
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = oldTokens[i].key === newTokens[j].key ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && oldTokens[i].key === newTokens[j].key) {
+            ops.push({ op: 'equal', token: oldTokens[i++], pair: newTokens[j++] });
+        } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push({ op: 'delete', token: oldTokens[i++] });
         } else {
-            node = createNewBlock(doc, block, templates, headingStyleMap);
+            ops.push({ op: 'insert', token: newTokens[j++] });
+        }
+    }
+    return ops;
+}
+
+/**
+ * Reescreve o conteúdo de `pNode` (já atualizado com o texto novo) como
+ * revisões em relação a `originalP`: trechos iguais mantêm os runs de
+ * `pNode`, trechos removidos viram w:del e os novos w:ins. Bookmarks,
+ * marcas de comentário e outros filhos sem conteúdo ficam onde estavam
+ * entre os runs. Um controle com o conteúdo editado é revisado por dentro.
+ * Também serve para o w:sdtContent de controles inline.
+ */
+function trackParagraphChanges(doc, pNode, originalP, ctx) {
+    const children = Array.from(pNode.childNodes);
+    const newTokens = tokenizeParagraph(pNode);
+    const ops = diffTokens(tokenizeParagraph(originalP.cloneNode(true)), newTokens);
+    for (const child of children) {
+        if (child.nodeName !== 'w:pPr') pNode.removeChild(child);
+    }
+
+    const tokenCount = new Map();
+    for (const token of newTokens) tokenCount.set(token.owner, (tokenCount.get(token.owner) || 0) + 1);
+
+    // Operações consecutivas iguais formam um grupo (um só w:ins/w:del);
+    // palavras vizinhas do mesmo run voltam a um só run
+    let group = null;
+    const flush = () => {
+        if (!group) return;
+        const marked = group.op === 'equal' ? group.nodes : markRevision(doc, group.nodes, group.op === 'insert' ? 'w:ins' : 'w:del', ctx);
+        for (const node of marked) pNode.appendChild(node);
+        group = null;
+    };
+    const append = (op, token, node) => {
+        if (!group || group.op !== op) {
+            flush();
+            group = { op, nodes: [], last: null };
+        }
+        if (token && group.last && token.source && group.last.source === token.source) {
+            getFirstChild(group.last.node, 'w:t').appendChild(doc.createTextNode(token.text));
+            return;
         }
+        group.nodes.push(node);
+        group.last = token;
+    };
+
+    let next = 0; // próximo filho de pNode ainda não reposto
+    const restoreUntil = (owner) => {
+        const end = owner ? children.indexOf(owner) : children.length;
+        for (; next < end; next++) {
+            const child = children[next];
+            if (child.nodeName === 'w:pPr' || CONTENT_TAGS.includes(child.nodeName)) continue;
+            flush();
+            pNode.appendChild(child);
+        }
+    };
+
+    for (let k = 0; k < ops.length; k++) {
+        const { op, token, pair } = ops[k];
+        // Token de pNode (novo); tokens fixos mantidos sem par e os excluídos
+        // vêm do original e entram na posição atual
+        const current = op === 'insert' ? token : pair;
+        if (!current) {
+            append(op, token, token.node);
+            continue;
+        }
+        restoreUntil(current.owner);
+        if (op === 'equal') {
+            if (current.node.nodeName === 'w:sdt' && token.node.textContent !== current.node.textContent) {
+                const content = getFirstChild(current.node, 'w:sdtContent');
+                const originalContent = getFirstChild(token.node, 'w:sdtContent');
+                if (content && originalContent) trackParagraphChanges(doc, content, originalContent, ctx);
+            }
+            // Filho de pNode inalterado por inteiro: volta como está
+            const count = tokenCount.get(current.owner);
+            const span = ops.slice(k, k + count);
+            if (span.length === count && span.every(o => o.op === 'equal' && o.pair && o.pair.owner === current.owner)) {
+                append(op, null, current.owner);
+                k += count - 1;
+                continue;
+            }
+        }
+        append(op, current, current.node);
+    }
+    flush();
+    restoreUntil(null);
+}
+
+// ─── Renumeração de headings ─────────────────────────────
+
+// Número manual no início de um heading, depois das marcas de formatação:
+// "1. ", "2.1) ", "3 - " (só ponto, parêntese ou traço e espaço; "2024
+// Relatório" não é numerado)
+const HEADING_NUMBER = /^((?:\*{1,3}|__|~~|==)*)(\d+(?:\.\d+)*)([.)]\s+|\s*[-–—]\s+)(?=\S)/;
+
+/** Headings do corpo e de controles de conteúdo, em ordem. */
+function collectHeadingBlocks(blocks, out = []) {
+    for (const block of blocks || []) {
+        if (block.type === 'heading' && typeof block.text === 'string') out.push(block);
+        else if (block.type === 'content_control') collectHeadingBlocks(block.blocks, out);
+    }
+    return out;
+}
+
+/**
+ * Recalcula os números manuais dos headings a partir da ordem e dos níveis
+ * finais: a profundidade é o level relativo ao menor level numerado.
+ * Headings sem número não entram na contagem. Só o número muda; cada
+ * heading mantém o próprio separador. Devolve uma cópia do JSON.
+ */
+function renumberHeadings(modifiedJson) {
+    const json = JSON.parse(JSON.stringify(modifiedJson));
+    const numbered = collectHeadingBlocks(json.blocks).filter(block => HEADING_NUMBER.test(block.text));
+    if (numbered.length === 0) return json;
+
+    const minLevel = Math.min(...numbered.map(block => block.level || 1));
+    const counters = [];
+    for (const block of numbered) {
+        const depth = (block.level || 1) - minLevel + 1;
+        for (let i = 0; i < depth - 1; i++) counters[i] = counters[i] || 1;
+        counters[depth - 1] = (counters[depth - 1] || 0) + 1;
+        counters.length = depth;
+        block.text = block.text.replace(HEADING_NUMBER, (match, marks, number, separator) =>
+            `${marks}${counters.join('.')}${separator}`);
+    }
+    return json;
+}
+
+// ─── Main Reconstruction ─────────────────────────────────
+
+/**
+ * options.author           — autor dos comentários novos e das revisões (padrão "IA")
+ * options.trackChanges     — grava as diferenças como revisões w:ins/w:del
+ * options.renumberHeadings — recalcula os números manuais dos headings
+ *                            ("2.1 - Escopo") pela ordem final
+ */
+async function reconstructDocx(originalBuffer, modifiedJson, originalJson, options = {}) {
+    const author = options.author || 'IA';
+    if (options.renumberHeadings) modifiedJson = renumberHeadings(modifiedJson);
+    const zip = await JSZip.loadAsync(originalBuffer);
+    const documentXmlFile = zip.file('word/document.xml');
+    if (!documentXmlFile) throw new Error('Arquivo original inválido: word/document.xml não encontrado.');
+    const documentXml = await documentXmlFile.async('string');
+    const stylesXmlFile = zip.file('word/styles.xml');
+    const stylesXml = stylesXmlFile ? await stylesXmlFile.async('string') : null;
+
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(documentXml, 'text/xml');
+    const headingStyleMap = buildHeadingStyleReverseMap(stylesXml, parser);
+    const tocStyles = buildTocStyleMap(stylesXml, parser);
+    const styles = buildStyleIdMap(stylesXml, parser);
+
+    const body = doc.getElementsByTagName('w:body')[0];
+    if (!body) throw new Error('Documento original inválido: w:body não encontrado.');
 
-        body.appendChild(node);
+    // w:id livre para os bookmarks de ID estável
+    let bookmarkId = 0;
+    const bookmarks = doc.getElementsByTagName('w:bookmarkStart');
+    for (let i = 0; i < bookmarks.length; i++) {
+        bookmarkId = Math.max(bookmarkId, (parseInt(bookmarks[i].getAttribute('w:id'), 10) || 0) + 1);
     }
 
-    // ── Re-anexar sectPr etc. ────────────────────────────
-    for (const el of nonBlockNodes) body.appendChild(el);
+    const ctx = {
+        headingStyleMap,
+        notes: prepareNotes(doc, modifiedJson, originalJson),
+        inlineControls: new Map(),
+        inlineImages: new Map(),
+        comments: prepareComments(modifiedJson, originalJson),
+        revisions: options.trackChanges ? await prepareRevisions(zip, parser, doc, author) : null,
+        tocStyles,
+        styles,
+        tocHeadings: collectTocHeadings(modifiedJson.blocks),
+        originalTocHeadings: collectTocHeadings(originalJson ? originalJson.blocks : []),
+        fieldsDirty: false,
+        nextBookmarkId: () => bookmarkId++,
+        rels: await loadRelationships(zip, parser)
+    };
+    ctx.numbering = await prepareNumbering(zip, parser, doc, ctx.rels);
+
+    if (ctx.comments) {
+        stripCommentAnchors(body, ctx.comments, collectUnchangedIds(modifiedJson.blocks, originalJson && originalJson.blocks));
+    }
+    rebuildContainer(doc, body, modifiedJson.blocks, originalJson && originalJson.blocks, ctx);
 
     // ── Serializar e retornar ────────────────────────────
     const serializer = new XMLSerializer();
     zip.file('word/document.xml', serializer.serializeToString(doc));
+    await rebuildHeadersFooters(zip, parser, serializer, modifiedJson, originalJson, ctx);
+    await saveNumbering(zip, parser, serializer, ctx.numbering, ctx.rels);
+    if (ctx.rels.changed) saveRelationships(zip, serializer, ctx.rels);
+    await rebuildNotes(zip, parser, serializer, modifiedJson, ctx);
+    await rebuildComments(zip, parser, serializer, ctx, author);
+    if (ctx.fieldsDirty) await enableUpdateFields(zip, parser, serializer);
+    await writeDocProperties(zip, parser, serializer, modifiedJson.metadata && modifiedJson.metadata.properties);
 
     return zip.generateAsync({
         type: 'nodebuffer',
@@ -478,4 +3340,4 @@ async function reconstructDocx(originalBuffer, modifiedJson, originalJson) {
     });
 }
 
-module.exports = { reconstructDocx };
+module.exports = { reconstructDocx, parseMarkdown, parseCellLine, collectTocHeadings, getTocLevels, DEFAULT_TOC_INSTRUCTION };
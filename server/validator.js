@@ -8,41 +8,70 @@
  *   - Cada bloco deve ter id, type válido, e campos corretos
  *   - IDs devem ser únicos
  *   - Blocos existentes (com ID igual ao original): tipo e level não podem mudar
- *   - Tabelas existentes: estrutura de linhas/colunas deve ser mantida
+ *   - Tabelas existentes: linhas existentes mantêm células, ordem e
+ *     mesclagens (colSpan/rowSpan); linhas podem ser acrescentadas
+ *     (mesmo número de colunas, salvo allowColumnChange: true; sem
+ *     rowSpan; fora de mesclagens verticais) ou removidas (fora de
+ *     mesclagens verticais). rowTemplate: header, body ou last
  *   - Novos blocos: apenas precisam ter estrutura válida
+ *   - headersFooters: seções devem existir no original; blocos aceitam
+ *     apenas paragraph e table
+ *   - notes: cada marcador [^id] no texto deve apontar para uma nota, e
+ *     cada nota deve ser referenciada exatamente uma vez
+ *   - content_control: só existentes; tag/alias não mudam; blocos internos
+ *     seguem as mesmas regras. Controles inline ({{ctl_...}}) só existentes,
+ *     um marcador por controle
+ *   - image: só existentes; relId/target/width/height não mudam; alt e
+ *     caption editáveis. Imagens inline ({{img_...}}) só no bloco/célula de
+ *     origem, no máximo uma vez; remover o marcador remove a imagem
+ *   - Células: "text" (string) ou "blocks" (conteúdo aninhado, ex: tabelas
+ *     dentro de células); células originalmente com "blocks" mantêm "blocks"
+ *   - comments: "blockId" deve apontar para um bloco de texto, imagem ou
+ *     célula do corpo; autor e data de comentários existentes não mudam
+ *   - list_item: listType/listId (strings) e start (inteiro >= 0) são
+ *     opcionais; em itens existentes não podem mudar
+ *   - toc: "instruction" opcional, deve ser um campo TOC; "entries" é
+ *     somente leitura (regenerado a partir dos headings)
+ *   - section_break: start, orientation, margins (cm >= 0) e columns
+ *     (inteiro >= 1) opcionais, com valores válidos
+ *   - metadata.properties: campos conhecidos; textos são strings,
+ *     revision/created/modified (automáticos) não mudam
+ *   - textbox: só existentes; anchorId não muda; blocos internos aceitam
+ *     paragraph, list_item, table, content_control e image
+ *   - style: só em blocos novos (title, heading, paragraph, list_item e
+ *     table); styleId ou nome de um estilo do tipo em metadata.styles
  */
 
+const BODY_TYPES = ['title', 'heading', 'paragraph', 'list_item', 'table', 'content_control', 'image', 'toc',
+    'page_break', 'section_break', 'textbox'];
+const HEADER_FOOTER_TYPES = ['paragraph', 'table', 'content_control', 'image', 'textbox'];
+const CELL_TYPES = ['paragraph', 'list_item', 'table', 'content_control', 'image', 'textbox'];
+const TEXTBOX_TYPES = ['paragraph', 'list_item', 'table', 'content_control', 'image'];
+const NOTE_TYPES = ['footnote', 'endnote'];
+// Marcadores depois de um número ímpar de "\" estão escapados (texto)
+const NOTE_MARKER = /(?<=(?:^|[^\\])(?:\\\\)*)\[\^([\w-]+)\]/g;
+const CONTROL_MARKER = /(?<=(?:^|[^\\])(?:\\\\)*)\{\{([\w-]*ctl_\d+(?:_\d+)*)\}\}/g;
+const IMAGE_MARKER = /(?<=(?:^|[^\\])(?:\\\\)*)\{\{([\w-]*img_\d+(?:_\d+)*)\}\}/g;
+const IMAGE_FIXED_PROPS = ['relId', 'target', 'width', 'height'];
+const LIST_FIXED_PROPS = ['listType', 'listId', 'start'];
+const TOC_INSTRUCTION = /^\s*TOC\b/;
+const SECTION_STARTS = ['nextPage', 'continuous', 'evenPage', 'oddPage'];
+const SECTION_ORIENTATIONS = ['portrait', 'landscape'];
+const ROW_TEMPLATES = ['header', 'body', 'last'];
+const STYLED_TYPES = ['title', 'heading', 'paragraph', 'list_item'];
+const PROPERTY_TEXT_FIELDS = ['title', 'subject', 'author', 'keywords', 'description', 'category',
+    'lastModifiedBy', 'manager', 'company'];
+const PROPERTY_AUTO_FIELDS = ['revision', 'created', 'modified'];
+
 /**
- * Retorna { valid: boolean, errors: string[] }
+ * Valida uma lista de blocos contra o mapa de blocos originais.
+ * Acumula erros em `errors` e IDs vistos em `seenIds`. `styles` é o
+ * "metadata.styles" do original, usado para validar "style".
  */
-function validateModifiedJson(modified, original) {
-    const errors = [];
-
-    // ── Estrutura raiz ───────────────────────────────────
-    if (!modified || typeof modified !== 'object') {
-        return { valid: false, errors: ['JSON deve ser um objeto.'] };
-    }
-    if (!modified.metadata || typeof modified.metadata !== 'object') {
-        errors.push('Campo "metadata" ausente ou inválido.');
-    }
-    if (!Array.isArray(modified.blocks)) {
-        return { valid: false, errors: ['Campo "blocks" deve ser um array.'] };
-    }
-
-    // ── Mapa do original para referência cruzada ─────────
-    const originalBlockMap = new Map();
-    if (original && Array.isArray(original.blocks)) {
-        for (const block of original.blocks) {
-            originalBlockMap.set(block.id, block);
-        }
-    }
-
-    // ── Validação bloco a bloco ──────────────────────────
-    const seenIds = new Set();
-
-    for (let i = 0; i < modified.blocks.length; i++) {
-        const block = modified.blocks[i];
-        const prefix = `Bloco ${i}`;
+function validateBlocks(blocks, originalBlockMap, validTypes, seenIds, errors, label, styles = null) {
+    for (let i = 0; i < blocks.length; i++) {
+        const block = blocks[i];
+        const prefix = `${label} ${i}`;
 
         if (!block || typeof block !== 'object') {
             errors.push(`${prefix}: bloco ausente ou inválido.`);
@@ -62,9 +91,8 @@ function validateModifiedJson(modified, original) {
         seenIds.add(block.id);
 
         // Tipo válido
-        const validTypes = ['title', 'heading', 'paragraph', 'list_item', 'table'];
         if (!validTypes.includes(block.type)) {
-            errors.push(`${prefix} (${block.id}): tipo "${block.type}" inválido. Use: heading, paragraph, table.`);
+            errors.push(`${prefix} (${block.id}): tipo "${block.type}" inválido. Use: ${validTypes.join(', ')}.`);
             continue;
         }
 
@@ -85,6 +113,10 @@ function validateModifiedJson(modified, original) {
             }
         }
 
+        if (block.style !== undefined) {
+            validateStyle(block, origBlock, styles, `${prefix} (${block.id})`, errors);
+        }
+
         // ── Validação por tipo ───────────────────────────
 
         if (block.type === 'heading') {
@@ -115,6 +147,109 @@ function validateModifiedJson(modified, original) {
             if (typeof block.level !== 'number' || block.level < 1) {
                 errors.push(`${prefix} (${block.id}): list_item deve ter "level" numérico >= 1.`);
             }
+            for (const prop of ['listType', 'listId']) {
+                if (block[prop] !== undefined && typeof block[prop] !== 'string') {
+                    errors.push(`${prefix} (${block.id}): campo "${prop}" deve ser uma string.`);
+                }
+            }
+            if (block.start !== undefined && (!Number.isInteger(block.start) || block.start < 0)) {
+                errors.push(`${prefix} (${block.id}): campo "start" deve ser um inteiro >= 0.`);
+            }
+            if (origBlock && origBlock.type === 'list_item') {
+                for (const prop of LIST_FIXED_PROPS) {
+                    if (block[prop] !== undefined && block[prop] !== origBlock[prop]) {
+                        errors.push(`${prefix} (${block.id}): "${prop}" de um item de lista existente não pode ser alterado.`);
+                    }
+                }
+            }
+        }
+
+        if (typeof block.text === 'string') {
+            validateInlineControls(block, origBlock, `${prefix} (${block.id})`, errors);
+            validateInlineImages(block, origBlock, `${prefix} (${block.id})`, errors);
+        }
+
+        if (block.type === 'image') {
+            if (!origBlock) {
+                errors.push(`${prefix} (${block.id}): image não existe no original — imagens não podem ser criadas.`);
+                continue;
+            }
+            for (const prop of IMAGE_FIXED_PROPS) {
+                if (block[prop] !== undefined && block[prop] !== origBlock[prop]) {
+                    errors.push(`${prefix} (${block.id}): "${prop}" da imagem não pode ser alterado.`);
+                }
+            }
+            for (const prop of ['alt', 'caption']) {
+                if (block[prop] !== undefined && typeof block[prop] !== 'string') {
+                    errors.push(`${prefix} (${block.id}): campo "${prop}" deve ser uma string.`);
+                }
+            }
+        }
+
+        if (block.type === 'toc') {
+            if (block.instruction !== undefined &&
+                (typeof block.instruction !== 'string' || !TOC_INSTRUCTION.test(block.instruction))) {
+                errors.push(`${prefix} (${block.id}): "instruction" do sumário deve ser um campo TOC (ex: TOC \\o "1-3").`);
+            }
+        }
+
+        if (block.type === 'section_break') {
+            const label = `${prefix} (${block.id})`;
+            if (block.start !== undefined && !SECTION_STARTS.includes(block.start)) {
+                errors.push(`${label}: "start" deve ser ${SECTION_STARTS.join(', ')}.`);
+            }
+            if (block.orientation !== undefined && !SECTION_ORIENTATIONS.includes(block.orientation)) {
+                errors.push(`${label}: "orientation" deve ser portrait ou landscape.`);
+            }
+            if (block.margins !== undefined) {
+                if (!block.margins || typeof block.margins !== 'object') {
+                    errors.push(`${label}: "margins" deve ser um objeto { top, right, bottom, left } em cm.`);
+                } else {
+                    for (const side of ['top', 'right', 'bottom', 'left']) {
+                        const value = block.margins[side];
+                        if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+                            errors.push(`${label}: margem "${side}" deve ser um número >= 0 (cm).`);
+                        }
+                    }
+                }
+            }
+            if (block.columns !== undefined && (!Number.isInteger(block.columns) || block.columns < 1)) {
+                errors.push(`${label}: "columns" deve ser um inteiro >= 1.`);
+            }
+        }
+
+        if (block.type === 'textbox') {
+            if (!origBlock) {
+                errors.push(`${prefix} (${block.id}): textbox não existe no original — caixas de texto não podem ser criadas.`);
+                continue;
+            }
+            if (block.anchorId !== undefined && block.anchorId !== origBlock.anchorId) {
+                errors.push(`${prefix} (${block.id}): "anchorId" da caixa de texto alterado de "${origBlock.anchorId}" para "${block.anchorId}".`);
+            }
+            if (!Array.isArray(block.blocks)) {
+                errors.push(`${prefix} (${block.id}): campo "blocks" deve ser um array.`);
+                continue;
+            }
+            const innerOriginal = new Map((origBlock.blocks || []).map(b => [b.id, b]));
+            validateBlocks(block.blocks, innerOriginal, TEXTBOX_TYPES, seenIds, errors, `${prefix} (${block.id}), bloco`, styles);
+        }
+
+        if (block.type === 'content_control') {
+            if (!origBlock) {
+                errors.push(`${prefix} (${block.id}): content_control não existe no original — controles de conteúdo não podem ser criados.`);
+                continue;
+            }
+            for (const prop of ['tag', 'alias']) {
+                if (block[prop] !== undefined && block[prop] !== origBlock[prop]) {
+                    errors.push(`${prefix} (${block.id}): "${prop}" do controle alterado de "${origBlock[prop]}" para "${block[prop]}".`);
+                }
+            }
+            if (!Array.isArray(block.blocks)) {
+                errors.push(`${prefix} (${block.id}): campo "blocks" deve ser um array.`);
+                continue;
+            }
+            const innerOriginal = new Map((origBlock.blocks || []).map(b => [b.id, b]));
+            validateBlocks(block.blocks, innerOriginal, validTypes, seenIds, errors, `${prefix} (${block.id}), bloco`, styles);
         }
 
         if (block.type === 'table') {
@@ -122,6 +257,17 @@ function validateModifiedJson(modified, original) {
                 errors.push(`${prefix} (${block.id}): campo "rows" deve ser um array.`);
                 continue;
             }
+            if (block.rowTemplate !== undefined && !ROW_TEMPLATES.includes(block.rowTemplate)) {
+                errors.push(`${prefix} (${block.id}): "rowTemplate" deve ser ${ROW_TEMPLATES.join(', ')}.`);
+            }
+            if (block.allowColumnChange !== undefined && typeof block.allowColumnChange !== 'boolean') {
+                errors.push(`${prefix} (${block.id}): "allowColumnChange" deve ser true ou false.`);
+            }
+
+            const originalCells = new Map();
+            if (origBlock && Array.isArray(origBlock.rows)) {
+                for (const row of origBlock.rows) for (const cell of row) originalCells.set(cell.id, cell);
+            }
 
             for (let r = 0; r < block.rows.length; r++) {
                 const row = block.rows[r];
@@ -142,32 +288,523 @@ function validateModifiedJson(modified, original) {
                         errors.push(`${prefix} (${block.id}), célula [${r}][${c}]: ID duplicado "${cell.id}".`);
                     }
                     if (cell.id) seenIds.add(cell.id);
-                    if (typeof cell.text !== 'string') {
-                        errors.push(`${prefix} (${block.id}), célula [${r}][${c}]: campo "text" deve ser string.`);
+                    for (const span of ['colSpan', 'rowSpan']) {
+                        if (cell[span] !== undefined && (!Number.isInteger(cell[span]) || cell[span] < 1)) {
+                            errors.push(`${prefix} (${block.id}), célula [${r}][${c}]: "${span}" deve ser inteiro >= 1.`);
+                        }
+                    }
+                    const origCell = originalCells.get(cell.id);
+                    if (Array.isArray(cell.blocks)) {
+                        const innerOriginal = new Map(((origCell && origCell.blocks) || []).map(b => [b.id, b]));
+                        validateBlocks(cell.blocks, innerOriginal, CELL_TYPES, seenIds, errors,
+                            `${prefix} (${block.id}), célula [${r}][${c}], bloco`, styles);
+                    } else if (origCell && Array.isArray(origCell.blocks)) {
+                        errors.push(`${prefix} (${block.id}), célula [${r}][${c}]: célula com conteúdo aninhado deve manter o campo "blocks".`);
+                    } else if (typeof cell.text !== 'string') {
+                        errors.push(`${prefix} (${block.id}), célula [${r}][${c}]: campo "text" deve ser string (ou "blocks" deve ser um array).`);
+                    } else {
+                        validateInlineControls(cell, origCell,
+                            `${prefix} (${block.id}), célula [${r}][${c}]`, errors);
+                        validateInlineImages(cell, origCell,
+                            `${prefix} (${block.id}), célula [${r}][${c}]`, errors);
                     }
                 }
             }
 
-            // Se tabela existe no original, validar estrutura (linhas × colunas)
-            if (origBlock && origBlock.type === 'table') {
-                if (block.rows.length !== origBlock.rows.length) {
-                    errors.push(
-                        `${prefix} (${block.id}): número de linhas alterado de ${origBlock.rows.length} para ${block.rows.length}.`
-                    );
-                } else {
-                    for (let r = 0; r < origBlock.rows.length; r++) {
-                        if (block.rows[r] && origBlock.rows[r] && block.rows[r].length !== origBlock.rows[r].length) {
-                            errors.push(
-                                `${prefix} (${block.id}), linha ${r}: número de células alterado de ${origBlock.rows[r].length} para ${block.rows[r].length}.`
-                            );
+            // Se tabela existe no original, validar linhas existentes, novas e removidas
+            if (origBlock && origBlock.type === 'table' && block.rows.every(Array.isArray)) {
+                validateTableRows(block, origBlock, `${prefix} (${block.id})`, errors);
+            }
+        }
+    }
+}
+
+/**
+ * "style" (só em blocos novos): styleId ou nome de um estilo de
+ * metadata.styles do tipo do bloco — parágrafo para title, heading,
+ * paragraph e list_item; tabela para table.
+ */
+function validateStyle(block, origBlock, styles, label, errors) {
+    const kind = block.type === 'table' ? 'table' : STYLED_TYPES.includes(block.type) ? 'paragraph' : null;
+    if (!kind) {
+        errors.push(`${label}: "style" só é aceito em ${STYLED_TYPES.join(', ')} e table.`);
+    } else if (origBlock) {
+        errors.push(`${label}: "style" só é aceito em blocos novos.`);
+    } else if (typeof block.style !== 'string' || !block.style) {
+        errors.push(`${label}: campo "style" deve ser uma string.`);
+    } else if (styles && Array.isArray(styles[kind])) {
+        const key = block.style.toLowerCase();
+        if (!styles[kind].some(style => style.id.toLowerCase() === key || style.name.toLowerCase() === key)) {
+            errors.push(`${label}: estilo de ${kind === 'table' ? 'tabela' : 'parágrafo'} "${block.style}" não existe em metadata.styles.`);
+        }
+    }
+}
+
+/**
+ * Linhas de uma tabela existente. Cada linha do JSON é existente (células
+ * de uma única linha original, na ordem original), continuação vazia de
+ * mesclagem vertical (casada pela posição) ou nova (sem IDs conhecidos).
+ * Linhas existentes mantêm a grade lógica; novas e removidas não podem
+ * cortar mesclagens verticais.
+ */
+function validateTableRows(block, origBlock, label, errors) {
+    const origRowOf = new Map();
+    origBlock.rows.forEach((row, r) => row.forEach(cell => origRowOf.set(cell.id, r)));
+    const shape = tableShape(block.rows);
+    const origShape = tableShape(origBlock.rows);
+    const width = Math.max(0, ...origShape.map(rowWidth));
+
+    // joined[r]: a linha original r continua na r + 1 (rowSpan)
+    const joined = [];
+    origBlock.rows.forEach((row, r) => {
+        const signature = origShape[r] ? origShape[r].split(', ') : [];
+        row.forEach((cell, c) => {
+            const rowSpan = parseInt(signature[c].split('×')[1], 10);
+            for (let k = r; k < r + rowSpan - 1; k++) joined[k] = true;
+        });
+    });
+
+    if (block.rows.length === 0) {
+        errors.push(`${label}: a tabela deve ter ao menos uma linha.`);
+        return;
+    }
+
+    const kept = new Set();
+    let lastIdx = -1;
+    for (let r = 0; r < block.rows.length; r++) {
+        const row = block.rows[r];
+        const known = row.find(cell => cell && origRowOf.has(cell.id));
+        const isContinuation = row.length === 0 && lastIdx + 1 < origBlock.rows.length &&
+            origBlock.rows[lastIdx + 1].length === 0;
+
+        if (known || isContinuation) {
+            const origIdx = known ? origRowOf.get(known.id) : lastIdx + 1;
+            if (origIdx <= lastIdx) {
+                errors.push(`${label}, linha ${r}: linhas existentes não podem ser reordenadas.`);
+                continue;
+            }
+            const ids = row.map(cell => cell && cell.id).join(', ');
+            const origIds = origBlock.rows[origIdx].map(cell => cell.id).join(', ');
+            if (ids !== origIds) {
+                errors.push(`${label}, linha ${r}: células de uma linha existente não podem ser movidas, criadas ou removidas — esperado [${origIds}], recebido [${ids}].`);
+            } else if (shape[r] !== origShape[origIdx]) {
+                errors.push(
+                    `${label}, linha ${r}: estrutura de células alterada (colunas ou mesclagens) — esperado [${origShape[origIdx]}], recebido [${shape[r]}].`
+                );
+            }
+            kept.add(origIdx);
+            lastIdx = origIdx;
+            continue;
+        }
+
+        // Linha nova
+        if (row.length === 0) {
+            errors.push(`${label}, linha ${r}: linha nova deve ter ao menos uma célula.`);
+            continue;
+        }
+        if (lastIdx >= 0 && joined[lastIdx]) {
+            errors.push(`${label}, linha ${r}: linha nova não pode ser inserida dentro de uma mesclagem vertical.`);
+        }
+        if (row.some(cell => cell && cell.rowSpan > 1)) {
+            errors.push(`${label}, linha ${r}: células de linhas novas não podem usar "rowSpan".`);
+        }
+        const newWidth = rowWidth(shape[r]);
+        if (newWidth !== width && block.allowColumnChange !== true) {
+            errors.push(`${label}, linha ${r}: linha nova com ${newWidth} colunas, a tabela tem ${width} (use "allowColumnChange": true para permitir).`);
+        }
+    }
+
+    for (let r = 0; r < origBlock.rows.length; r++) {
+        if (!kept.has(r) && (joined[r] || joined[r - 1])) {
+            errors.push(`${label}: linha original ${r} faz parte de uma mesclagem vertical e não pode ser removida.`);
+        }
+    }
+}
+
+/**
+ * Número de colunas ocupadas por uma linha de tableShape().
+ */
+function rowWidth(signature) {
+    if (!signature) return 0;
+    return Math.max(...signature.split(', ').map(cell => {
+        const [col, span] = cell.split(/[+×]/);
+        return Number(col) + Number(span);
+    }));
+}
+
+/**
+ * Grade lógica de uma tabela: para cada linha, a posição e o tamanho de
+ * cada célula dona de conteúdo ("coluna+colSpan×rowSpan"), levando em conta
+ * as colunas ocupadas por rowSpan de linhas anteriores.
+ */
+function tableShape(rows) {
+    const occupied = [];
+    return rows.map(row => {
+        const cells = Array.isArray(row) ? row : [];
+        const signature = [];
+        let col = 0;
+        for (const cell of cells) {
+            while (occupied[col] > 0) col++;
+            const colSpan = (cell && cell.colSpan) || 1;
+            const rowSpan = (cell && cell.rowSpan) || 1;
+            signature.push(`${col}+${colSpan}×${rowSpan}`);
+            for (let k = 0; k < colSpan; k++) occupied[col + k] = Math.max(occupied[col + k] || 0, rowSpan);
+            col += colSpan;
+        }
+        for (let k = 0; k < occupied.length; k++) if (occupied[k] > 0) occupied[k]--;
+        return signature.join(', ');
+    });
+}
+
+/**
+ * Retorna { valid: boolean, errors: string[] }
+ */
+function validateModifiedJson(modified, original) {
+    const errors = [];
+
+    // ── Estrutura raiz ───────────────────────────────────
+    if (!modified || typeof modified !== 'object') {
+        return { valid: false, errors: ['JSON deve ser um objeto.'] };
+    }
+    if (!modified.metadata || typeof modified.metadata !== 'object') {
+        errors.push('Campo "metadata" ausente ou inválido.');
+    } else if (modified.metadata.properties !== undefined) {
+        validateProperties(modified.metadata.properties, original && original.metadata && original.metadata.properties, errors);
+    }
+    if (!Array.isArray(modified.blocks)) {
+        return { valid: false, errors: ['Campo "blocks" deve ser um array.'] };
+    }
+
+    // ── Mapa do original para referência cruzada ─────────
+    const originalBlockMap = new Map();
+    if (original && Array.isArray(original.blocks)) {
+        for (const block of original.blocks) {
+            originalBlockMap.set(block.id, block);
+        }
+    }
+
+    // ── Validação bloco a bloco ──────────────────────────
+    const seenIds = new Set();
+    const styles = (original && original.metadata && original.metadata.styles) || null;
+    validateBlocks(modified.blocks, originalBlockMap, BODY_TYPES, seenIds, errors, 'Bloco', styles);
+
+    // ── Cabeçalhos e rodapés ─────────────────────────────
+    if (modified.headersFooters !== undefined) {
+        validateHeadersFooters(modified.headersFooters, original, seenIds, errors, styles);
+    }
+
+    // ── Notas de rodapé / de fim ─────────────────────────
+    validateNotes(modified, original, errors);
+
+    // ── Comentários ──────────────────────────────────────
+    if (modified.comments !== undefined) {
+        validateComments(modified, original, errors);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+function validateProperties(properties, originalProperties, errors) {
+    if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+        errors.push('Campo "metadata.properties" deve ser um objeto.');
+        return;
+    }
+    for (const key of Object.keys(properties)) {
+        if (PROPERTY_TEXT_FIELDS.includes(key)) {
+            if (typeof properties[key] !== 'string') {
+                errors.push(`metadata.properties: campo "${key}" deve ser uma string.`);
+            }
+        } else if (PROPERTY_AUTO_FIELDS.includes(key)) {
+            const origValue = originalProperties ? originalProperties[key] : undefined;
+            if (properties[key] !== origValue) {
+                errors.push(`metadata.properties: "${key}" é atualizado automaticamente e não pode ser alterado.`);
+            }
+        } else {
+            errors.push(`metadata.properties: campo "${key}" desconhecido. Use: ${PROPERTY_TEXT_FIELDS.join(', ')}.`);
+        }
+    }
+}
+
+function validateHeadersFooters(sections, original, seenIds, errors, styles) {
+    if (!Array.isArray(sections)) {
+        errors.push('Campo "headersFooters" deve ser um array.');
+        return;
+    }
+    const originalSections = new Map();
+    if (original && Array.isArray(original.headersFooters)) {
+        for (const section of original.headersFooters) originalSections.set(section.id, section);
+    }
+
+    const seenSections = new Set();
+    for (let i = 0; i < sections.length; i++) {
+        const section = sections[i];
+        if (!section || typeof section !== 'object' || typeof section.id !== 'string') {
+            errors.push(`headersFooters[${i}]: seção ausente ou sem "id".`);
+            continue;
+        }
+        if (seenSections.has(section.id)) {
+            errors.push(`headersFooters[${i}] (${section.id}): seção duplicada.`);
+        }
+        seenSections.add(section.id);
+
+        const origSection = originalSections.get(section.id);
+        if (!origSection) {
+            errors.push(`headersFooters[${i}] (${section.id}): seção não existe no documento original — não é possível criar cabeçalhos/rodapés.`);
+            continue;
+        }
+        if (!Array.isArray(section.blocks)) {
+            errors.push(`headersFooters[${i}] (${section.id}): campo "blocks" deve ser um array.`);
+            continue;
+        }
+
+        const originalBlockMap = new Map(origSection.blocks.map(b => [b.id, b]));
+        validateBlocks(section.blocks, originalBlockMap, HEADER_FOOTER_TYPES, seenIds, errors, `${section.id}, bloco`, styles);
+    }
+}
+
+/**
+ * Controles inline: cada item de "controls" deve existir no bloco/célula
+ * original e ter exatamente um marcador {{id}} no texto. Sem "controls",
+ * o conteúdo original dos controles é mantido.
+ */
+function validateInlineControls(owner, origOwner, label, errors) {
+    const markers = [...owner.text.matchAll(CONTROL_MARKER)].map(m => m[1]);
+    if (owner.controls === undefined && markers.length === 0) return;
+
+    const originalControls = new Map(((origOwner && origOwner.controls) || []).map(c => [c.id, c]));
+    const controls = owner.controls === undefined ? [...originalControls.values()] : owner.controls;
+    if (!Array.isArray(controls)) {
+        errors.push(`${label}: campo "controls" deve ser um array.`);
+        return;
+    }
+
+    const ids = new Set();
+    for (const control of controls) {
+        if (!control || typeof control.id !== 'string') {
+            errors.push(`${label}: controle inline sem "id".`);
+            continue;
+        }
+        const orig = originalControls.get(control.id);
+        if (!orig) {
+            errors.push(`${label}: controle "${control.id}" não existe no original — controles inline não podem ser criados.`);
+            continue;
+        }
+        if (typeof control.text !== 'string') {
+            errors.push(`${label}: controle "${control.id}" deve ter "text" string.`);
+        }
+        for (const prop of ['tag', 'alias']) {
+            if (control[prop] !== undefined && control[prop] !== orig[prop]) {
+                errors.push(`${label}: "${prop}" do controle "${control.id}" não pode ser alterado.`);
+            }
+        }
+        ids.add(control.id);
+    }
+
+    for (const id of new Set(markers)) {
+        if (!ids.has(id)) {
+            errors.push(`${label}: marcador {{${id}}} sem controle correspondente em "controls".`);
+        } else if (markers.filter(m => m === id).length > 1) {
+            errors.push(`${label}: marcador {{${id}}} repetido — cada controle aparece uma vez.`);
+        }
+    }
+    for (const id of ids) {
+        if (!markers.includes(id)) {
+            errors.push(`${label}: controle "${id}" sem marcador {{${id}}} no texto.`);
+        }
+    }
+}
+
+/**
+ * Imagens inline ({{img_...}}): cada marcador deve ser de uma imagem do
+ * mesmo bloco/célula no original e aparecer no máximo uma vez. Remover o
+ * marcador remove a imagem; "images" só pode alterar o "alt".
+ */
+function validateInlineImages(owner, origOwner, label, errors) {
+    const markers = [...owner.text.matchAll(IMAGE_MARKER)].map(m => m[1]);
+    const originalIds = new Set(((origOwner && origOwner.images) || []).map(img => img.id));
+
+    for (const id of new Set(markers)) {
+        if (!originalIds.has(id)) {
+            errors.push(`${label}: marcador {{${id}}} não é uma imagem deste bloco no original — imagens inline não podem ser criadas nem movidas.`);
+        } else if (markers.filter(m => m === id).length > 1) {
+            errors.push(`${label}: marcador {{${id}}} repetido — cada imagem aparece uma vez.`);
+        }
+    }
+
+    if (owner.images === undefined) return;
+    if (!Array.isArray(owner.images)) {
+        errors.push(`${label}: campo "images" deve ser um array.`);
+        return;
+    }
+    for (const image of owner.images) {
+        if (!image || !originalIds.has(image.id)) {
+            errors.push(`${label}: imagem "${image && image.id}" não existe no original.`);
+            continue;
+        }
+        if (image.alt !== undefined && typeof image.alt !== 'string') {
+            errors.push(`${label}: "alt" da imagem "${image.id}" deve ser string.`);
+        }
+    }
+}
+
+/**
+ * Conta os marcadores [^id] no texto dos blocos do corpo (incluindo células).
+ */
+function collectNoteMarkers(blocks) {
+    const counts = new Map();
+    const scan = (text) => {
+        if (typeof text !== 'string') return;
+        for (const match of text.matchAll(NOTE_MARKER)) {
+            counts.set(match[1], (counts.get(match[1]) || 0) + 1);
+        }
+    };
+    for (const block of blocks) {
+        if (!block || typeof block !== 'object') continue;
+        scan(block.text);
+        scan(block.caption);
+        if (Array.isArray(block.blocks)) {
+            for (const [id, count] of collectNoteMarkers(block.blocks)) {
+                counts.set(id, (counts.get(id) || 0) + count);
+            }
+        }
+        if (Array.isArray(block.rows)) {
+            for (const row of block.rows) {
+                if (!Array.isArray(row)) continue;
+                for (const cell of row) {
+                    if (!cell) continue;
+                    scan(cell.text);
+                    if (Array.isArray(cell.blocks)) {
+                        for (const [id, count] of collectNoteMarkers(cell.blocks)) {
+                            counts.set(id, (counts.get(id) || 0) + count);
                         }
                     }
                 }
             }
         }
     }
+    return counts;
+}
 
-    return { valid: errors.length === 0, errors };
+function validateNotes(modified, original, errors) {
+    const originalNotes = (original && Array.isArray(original.notes)) ? original.notes : [];
+    let notes = originalNotes;
+
+    if (modified.notes !== undefined) {
+        if (!Array.isArray(modified.notes)) {
+            errors.push('Campo "notes" deve ser um array.');
+            return;
+        }
+        notes = modified.notes;
+    }
+
+    const originalNoteMap = new Map(originalNotes.map(n => [n.id, n]));
+    const noteIds = new Set();
+    for (let i = 0; i < notes.length; i++) {
+        const note = notes[i];
+        const prefix = `Nota ${i}`;
+        if (!note || typeof note !== 'object' || !note.id || typeof note.id !== 'string') {
+            errors.push(`${prefix}: campo "id" ausente ou inválido.`);
+            continue;
+        }
+        if (!/^[\w-]+$/.test(note.id)) {
+            errors.push(`${prefix} (${note.id}): "id" deve conter apenas letras, números, "_" ou "-".`);
+        }
+        if (noteIds.has(note.id)) {
+            errors.push(`${prefix} (${note.id}): ID de nota duplicado.`);
+        }
+        noteIds.add(note.id);
+        if (!NOTE_TYPES.includes(note.type)) {
+            errors.push(`${prefix} (${note.id}): tipo "${note.type}" inválido. Use: ${NOTE_TYPES.join(', ')}.`);
+        }
+        if (typeof note.text !== 'string') {
+            errors.push(`${prefix} (${note.id}): campo "text" deve ser uma string.`);
+        }
+        const origNote = originalNoteMap.get(note.id);
+        if (origNote && origNote.type !== note.type) {
+            errors.push(`${prefix} (${note.id}): tipo alterado de "${origNote.type}" para "${note.type}".`);
+        }
+    }
+
+    // ── Consistência entre marcadores e notas ────────────
+    const markers = collectNoteMarkers(modified.blocks);
+    for (const [id, count] of markers) {
+        if (!noteIds.has(id)) {
+            errors.push(`Marcador [^${id}] não corresponde a nenhuma nota em "notes".`);
+        } else if (count > 1) {
+            errors.push(`Nota ${id}: referenciada ${count} vezes — cada nota deve ter um único marcador.`);
+        }
+    }
+    for (const id of noteIds) {
+        if (!markers.has(id)) {
+            errors.push(`Nota ${id}: nenhum marcador [^${id}] no texto. Remova a nota de "notes" ou inclua o marcador.`);
+        }
+    }
+}
+
+/**
+ * IDs que podem ancorar comentários: blocos de texto, imagens e células
+ * de texto do corpo, incluindo conteúdo de controles e células aninhadas.
+ */
+function collectCommentAnchors(blocks, out = new Set()) {
+    for (const block of blocks) {
+        if (!block || typeof block !== 'object') continue;
+        if (typeof block.text === 'string' || block.type === 'image') out.add(block.id);
+        if (Array.isArray(block.blocks)) collectCommentAnchors(block.blocks, out);
+        if (Array.isArray(block.rows)) {
+            for (const row of block.rows) {
+                if (!Array.isArray(row)) continue;
+                for (const cell of row) {
+                    if (!cell) continue;
+                    if (typeof cell.text === 'string') out.add(cell.id);
+                    if (Array.isArray(cell.blocks)) collectCommentAnchors(cell.blocks, out);
+                }
+            }
+        }
+    }
+    return out;
+}
+
+function validateComments(modified, original, errors) {
+    if (!Array.isArray(modified.comments)) {
+        errors.push('Campo "comments" deve ser um array.');
+        return;
+    }
+
+    const originalComments = (original && Array.isArray(original.comments)) ? original.comments : [];
+    const originalCommentMap = new Map(originalComments.map(c => [c.id, c]));
+    const anchors = collectCommentAnchors(modified.blocks);
+    const commentIds = new Set();
+    for (let i = 0; i < modified.comments.length; i++) {
+        const comment = modified.comments[i];
+        const prefix = `Comentário ${i}`;
+        if (!comment || typeof comment !== 'object' || !comment.id || typeof comment.id !== 'string') {
+            errors.push(`${prefix}: campo "id" ausente ou inválido.`);
+            continue;
+        }
+        if (commentIds.has(comment.id)) {
+            errors.push(`${prefix} (${comment.id}): ID de comentário duplicado.`);
+        }
+        commentIds.add(comment.id);
+        if (typeof comment.text !== 'string') {
+            errors.push(`${prefix} (${comment.id}): campo "text" deve ser uma string.`);
+        }
+
+        const origComment = originalCommentMap.get(comment.id);
+        if (origComment) {
+            for (const prop of ['author', 'date']) {
+                if (comment[prop] !== undefined && comment[prop] !== origComment[prop]) {
+                    errors.push(`${prefix} (${comment.id}): "${prop}" não pode ser alterado.`);
+                }
+            }
+            // Âncora fora dos blocos do JSON: o comentário fica onde está
+            if (!origComment.blockId && !comment.blockId) continue;
+        } else if (comment.author !== undefined && typeof comment.author !== 'string') {
+            errors.push(`${prefix} (${comment.id}): campo "author" deve ser uma string.`);
+        }
+        if (!anchors.has(comment.blockId)) {
+            errors.push(`${prefix} (${comment.id}): "blockId" "${comment.blockId}" não é um bloco de texto, imagem ou célula do documento.`);
+        }
+    }
 }
 
 module.exports = { validateModifiedJson };
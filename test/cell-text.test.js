@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { reconstructDocx } = require('../server/reconstructor');
+const { buildDocx, readBody, clone } = require('./fixtures');
+
+const A = '<w:p><w:r><w:rPr><w:color w:val="FF0000"/></w:rPr><w:t>alfa</w:t></w:r></w:p>';
+const B = '<w:p><w:r><w:rPr><w:sz w:val="28"/></w:rPr><w:t>beta</w:t></w:r></w:p>';
+const C = '<w:p><w:bookmarkStart w:id="0" w:name="_Ref1"/><w:r><w:rPr><w:color w:val="0000FF"/></w:rPr><w:t>gama</w:t></w:r><w:bookmarkEnd w:id="0"/></w:p>';
+const BODY = '<w:tbl><w:tblPr/><w:tblGrid><w:gridCol/></w:tblGrid>' +
+    `<w:tr><w:tc><w:tcPr><w:tcW w:w="100"/></w:tcPr>${A}${B}${C}</w:tc></w:tr></w:tbl>`;
+
+async function editCell(text, options) {
+    const buffer = await buildDocx(BODY);
+    const json = await extractDocx(buffer, 'a.docx');
+    assert.strictEqual(json.blocks[0].rows[0][0].text, 'alfa\nbeta\ngama');
+    const modified = clone(json);
+    modified.blocks[0].rows[0][0].text = text;
+    return readBody(await reconstructDocx(buffer, modified, json, options));
+}
+
+test('linha removida no meio da célula não desloca a formatação das seguintes', async () => {
+    const body = await editCell('alfa\ngama');
+    assert.ok(body.includes(`${A}${C}</w:tc>`));
+    assert.ok(!body.includes('beta'));
+});
+
+test('linha nova no início mantém os parágrafos existentes intactos', async () => {
+    const body = await editCell('topo\nalfa\nbeta\ngama');
+    assert.match(body, /<w:tcPr><w:tcW w:w="100"\/><\/w:tcPr><w:p><w:r><w:rPr><w:color w:val="FF0000"\/><\/w:rPr><w:t xml:space="preserve">topo<\/w:t><\/w:r><\/w:p>/);
+    assert.ok(body.includes(`${A}${B}${C}</w:tc>`));
+});
+
+test('com controle de alterações só a linha removida fica excluída', async () => {
+    const body = await editCell('alfa\ngama', { trackChanges: true });
+    assert.ok(body.includes(A));
+    assert.ok(body.includes(C));
+    assert.strictEqual(body.split('<w:del ').length - 1, 2); // run e marca de parágrafo de "beta"
+    assert.match(body, /<w:del [^>]*><w:r><w:rPr><w:sz w:val="28"\/><\/w:rPr><w:delText>beta<\/w:delText>/);
+});
+
+test('"- " e "<br>" que são texto continuam texto quando a célula é editada', async () => {
+    const cell = ['- traço', 'a &lt;br&gt; b', '\\- barra'].map(t => `<w:p><w:r><w:t xml:space="preserve">${t}</w:t></w:r></w:p>`).join('');
+    const buffer = await buildDocx(`<w:tbl><w:tblPr/><w:tblGrid><w:gridCol/></w:tblGrid><w:tr><w:tc>${cell}</w:tc></w:tr></w:tbl>`);
+    const json = await extractDocx(buffer, 'a.docx');
+    assert.strictEqual(json.blocks[0].rows[0][0].text, '\\- traço\na \\<br> b\n\\\\\\- barra');
+    const modified = clone(json);
+    modified.blocks[0].rows[0][0].text = json.blocks[0].rows[0][0].text.split('\n').map(line => `${line} (rev.)`).join('\n');
+    const result = await reconstructDocx(buffer, modified, json);
+
+    const body = await readBody(result);
+    assert.ok(!body.includes('<w:numPr>'));
+    assert.ok(!body.includes('<w:br/>'));
+    const again = await extractDocx(result, 'a.docx');
+    assert.strictEqual(again.blocks[0].rows[0][0].text, modified.blocks[0].rows[0][0].text);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { exportDocument } = require('../server/exporter');
+const { buildDocx } = require('./fixtures');
+
+const BODY =
+    '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Introdução</w:t></w:r></w:p>' +
+    '<w:p><w:r><w:t xml:space="preserve">Texto com </w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t>negrito</w:t></w:r>' +
+    '<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="1"/></w:r>' +
+    '<w:r><w:t xml:space="preserve"> e a == b.</w:t></w:r></w:p>' +
+    '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/></w:tblPr><w:tblGrid><w:gridCol/><w:gridCol/></w:tblGrid>' +
+    '<w:tr><w:tc><w:p><w:r><w:t>A</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>B</w:t></w:r></w:p></w:tc></w:tr>' +
+    '<w:tr><w:tc><w:p><w:r><w:t>1</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>2</w:t></w:r></w:p></w:tc></w:tr></w:tbl>';
+const FOOTNOTES = '<w:footnote w:id="1"><w:p><w:r><w:footnoteRef/></w:r><w:r><w:t xml:space="preserve"> Nota</w:t></w:r></w:p></w:footnote>';
+
+function docDefaults(font) {
+    return `<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}"/></w:rPr></w:rPrDefault></w:docDefaults>`;
+}
+
+async function exportBody(format, options = {}) {
+    const buffer = await buildDocx(BODY, { footnotes: FOOTNOTES, ...options });
+    return exportDocument(buffer, await extractDocx(buffer, 'a.docx'), format);
+}
+
+test('Markdown com heading, marcas, nota e tabela', async () => {
+    assert.strictEqual(await exportBody('md'),
+        '# Introdução\n\nTexto com **negrito**[^1] e a == b.\n\n' +
+        '| A | B |\n| --- | --- |\n| 1 | 2 |\n\n[^1]: Nota\n');
+});
+
+test('HTML com fonte do estilo padrão e nota no fim', async () => {
+    const html = await exportBody('html', { docDefaults: docDefaults('Times New Roman') });
+    assert.ok(html.includes('body { font-family: "Times New Roman", serif; }'), html);
+    assert.ok(html.includes('<p id="block_0001">Texto com <strong>negrito</strong>' +
+        '<sup class="note-ref"><a href="#nota-1" id="ref-1">1</a></sup> e a == b.</p>'), html);
+    assert.ok(html.includes('<li id="nota-1">Nota <a href="#ref-1">↩</a></li>'), html);
+});
+
+test('nome de fonte não sai do <style>', async () => {
+    const font = 'Arial&quot;; } &lt;/style&gt;&lt;script&gt;alert(1)&lt;/script&gt;&lt;style&gt;';
+    const html = await exportBody('html', { docDefaults: docDefaults(font) });
+    assert.ok(!html.includes('<script>'), html);
+    assert.strictEqual(html.match(/<\/style>/g).length, 1);
+    assert.ok(html.includes('body { font-family: "Arial  stylescriptalert1scriptstyle", sans-serif; }'), html);
+});
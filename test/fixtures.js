@@ -0,0 +1,77 @@
+/**
+ * fixtures.js
+ *
+ * Monta .docx mínimos para os testes de ida e volta (extract → reconstruct)
+ * e lê as partes do resultado.
+ */
+
+const JSZip = require('jszip');
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/';
+const NAMESPACES = `xmlns:w="${W_NS}" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"`;
+
+const STYLES = '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:pPr><w:outlineLvl w:val="0"/></w:pPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:pPr><w:outlineLvl w:val="1"/></w:pPr></w:style>' +
+    '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/></w:style>';
+
+function partXml(root, content) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:${root} ${NAMESPACES}>${content}</w:${root}>`;
+}
+
+/**
+ * .docx com o corpo `body` (XML dos filhos de w:body). `footnotes` e
+ * `comments` são o XML das notas e comentários; `hyperlinks` mapeia
+ * rId → URL; `docDefaults` é o XML de w:docDefaults em styles.xml e
+ * `styles`, estilos (w:style) além dos padrão.
+ */
+async function buildDocx(body, { footnotes = null, comments = null, hyperlinks = {}, docDefaults = '', styles = '' } = {}) {
+    const zip = new JSZip();
+    const rels = [];
+    zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '</Types>');
+    zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${REL_NS}officeDocument" Target="word/document.xml"/></Relationships>`);
+    zip.file('word/document.xml', partXml('document', `<w:body>${body}<w:sectPr/></w:body>`));
+    zip.file('word/styles.xml', partXml('styles', docDefaults + STYLES + styles));
+    rels.push(`<Relationship Id="rIdStyles" Type="${REL_NS}styles" Target="styles.xml"/>`);
+    if (footnotes) {
+        zip.file('word/footnotes.xml', partXml('footnotes', footnotes));
+        rels.push(`<Relationship Id="rIdFootnotes" Type="${REL_NS}footnotes" Target="footnotes.xml"/>`);
+    }
+    if (comments) {
+        zip.file('word/comments.xml', partXml('comments', comments));
+        rels.push(`<Relationship Id="rIdComments" Type="${REL_NS}comments" Target="comments.xml"/>`);
+    }
+    for (const [id, url] of Object.entries(hyperlinks)) {
+        rels.push(`<Relationship Id="${id}" Type="${REL_NS}hyperlink" Target="${url}" TargetMode="External"/>`);
+    }
+    zip.file('word/_rels/document.xml.rels', '<?xml version="1.0" encoding="UTF-8"?>' +
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels.join('')}</Relationships>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+async function readPart(buffer, name) {
+    const zip = await JSZip.loadAsync(buffer);
+    const file = zip.file(name);
+    return file ? file.async('string') : null;
+}
+
+/** Filhos de w:body do document.xml, sem os bookmarks de ID estável. */
+async function readBody(buffer) {
+    const xml = await readPart(buffer, 'word/document.xml');
+    const body = xml.slice(xml.indexOf('<w:body>') + '<w:body>'.length, xml.lastIndexOf('</w:body>'));
+    return body.replace(/<w:bookmarkStart w:id="(\d+)" w:name="_docia_block_\d+"\/><w:bookmarkEnd w:id="\1"\/>/g, '');
+}
+
+function clone(json) {
+    return JSON.parse(JSON.stringify(json));
+}
+
+module.exports = { buildDocx, readPart, readBody, clone };
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { reconstructDocx, parseMarkdown } = require('../server/reconstructor');
+const { buildDocx, readBody, readPart, clone } = require('./fixtures');
+
+const WIKI = 'https://en.wikipedia.org/wiki/Foo_(bar)';
+const BODY =
+    '<w:p><w:r><w:t>Título</w:t></w:r></w:p>' +
+    '<w:p><w:r><w:t xml:space="preserve">Ver </w:t></w:r><w:hyperlink r:id="rIdWiki" w:history="1">' +
+    '<w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr><w:t>Foo</w:t></w:r></w:hyperlink>' +
+    '<w:r><w:t xml:space="preserve"> e </w:t></w:r><w:hyperlink r:id="rIdOdd" w:history="1">' +
+    '<w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr><w:t>outro</w:t></w:r></w:hyperlink></w:p>';
+const LINKS = { rIdWiki: WIKI, rIdOdd: 'https://x.y/a)b c' };
+
+test('URL com parênteses equilibrados fica inteira no link', async () => {
+    const json = await extractDocx(await buildDocx(BODY, { hyperlinks: LINKS }), 'a.docx');
+    assert.strictEqual(json.blocks[1].text, `Ver [Foo](${WIKI}) e [outro](https://x.y/a%29b%20c)`);
+    assert.deepStrictEqual(parseMarkdown(`[Foo](${WIKI}).`), [{ text: 'Foo', link: WIKI }, { text: '.' }]);
+});
+
+test('link editado reaproveita o relacionamento da URL com parênteses', async () => {
+    const buffer = await buildDocx(BODY, { hyperlinks: LINKS });
+    const json = await extractDocx(buffer, 'a.docx');
+    const modified = clone(json);
+    modified.blocks[1].text = modified.blocks[1].text.replace('Ver', 'Veja');
+    const out = await reconstructDocx(buffer, modified, json);
+    assert.match(await readBody(out), /<w:hyperlink r:id="rIdWiki" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"\/><\/w:rPr><w:t>Foo<\/w:t>/);
+    const again = await extractDocx(out, 'a.docx');
+    assert.strictEqual(again.blocks[1].text, modified.blocks[1].text);
+    const rels = await readPart(out, 'word/_rels/document.xml.rels');
+    assert.strictEqual(rels.match(/wiki\/Foo_/g).length, 1);
+});
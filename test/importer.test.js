@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { importDocument } = require('../server/importer');
+const { reconstructDocx } = require('../server/reconstructor');
+const { validateModifiedJson } = require('../server/validator');
+const { buildDocx, readBody } = require('./fixtures');
+
+// Modelo com heading, parágrafo e uma tabela de duas colunas
+const TEMPLATE =
+    '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Modelo</w:t></w:r></w:p>' +
+    '<w:p><w:r><w:t>Texto do modelo.</w:t></w:r></w:p>' +
+    '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/></w:tblPr><w:tblGrid><w:gridCol w:w="4000"/><w:gridCol w:w="4000"/></w:tblGrid>' +
+    '<w:tr><w:tc><w:p><w:r><w:t>A</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>B</w:t></w:r></w:p></w:tc></w:tr></w:tbl>';
+
+async function importInto(text, format) {
+    const buffer = await buildDocx(TEMPLATE);
+    const original = await extractDocx(buffer, 'modelo.docx');
+    const json = importDocument(text, format, original);
+    assert.deepStrictEqual(validateModifiedJson(json, original).errors, []);
+    const out = await reconstructDocx(buffer, json, original);
+    return { json, out, again: await extractDocx(out, 'novo.docx') };
+}
+
+test('headings: um único # vira o título e os demais sobem um nível', async () => {
+    const { json, again } = await importInto('# Relatório\n\n## Escopo\n\nTexto.\n\n### Detalhe\n', 'md');
+    assert.deepStrictEqual(json.blocks.map(b => [b.type, b.level]), [
+        ['title', undefined], ['heading', 1], ['paragraph', undefined], ['heading', 2]
+    ]);
+    assert.strictEqual(json.metadata.properties.title, 'Relatório');
+    assert.deepStrictEqual(again.blocks.map(b => b.text), ['Relatório', 'Escopo', 'Texto.', 'Detalhe']);
+});
+
+test('listas aninhadas pelo recuo', () => {
+    const json = importDocument('1. um\n2. dois\n   - sub\n3. três\n', 'md', { metadata: {} });
+    assert.deepStrictEqual(json.blocks.map(b => [b.level, b.listType, b.text]), [
+        [1, 'decimal', 'um'], [1, 'decimal', 'dois'], [2, 'bullet', 'sub'], [1, 'decimal', 'três']
+    ]);
+    assert.strictEqual(json.blocks[0].listId, json.blocks[3].listId);
+});
+
+test('tabela mais larga que a do modelo ganha colunas no w:tblGrid', async () => {
+    const { json, out } = await importInto('| A | B | C |\n|---|---|---|\n| 1 | a\\|b | 3 |\n', 'md');
+    assert.deepStrictEqual(json.blocks[0].rows.map(row => row.map(cell => cell.text)), [['A', 'B', 'C'], ['1', 'a|b', '3']]);
+    const grid = (await readBody(out)).match(/<w:tblGrid>.*?<\/w:tblGrid>/)[0];
+    assert.strictEqual(grid.match(/<w:gridCol /g).length, 3);
+});
+
+test('notas: só a primeira referência de cada definição fica', async () => {
+    const md = 'Texto[^a] e de novo[^a], sem nota[^x].\n\n[^a]: Nota **a**\n    continua\n';
+    const { json, again } = await importInto(md, 'md');
+    assert.strictEqual(json.blocks[0].text, 'Texto[^md_fn_a] e de novo, sem nota.');
+    assert.deepStrictEqual(json.notes, [{ id: 'md_fn_a', type: 'footnote', text: 'Nota **a** continua' }]);
+    assert.deepStrictEqual(again.notes.map(n => n.text), ['Nota **a** continua']);
+});
+
+test('caracteres escapados e código continuam literais', async () => {
+    const md = 'Use \\*x\\*, \\_\\_init\\_\\_, a\\~b\\~c, snake__case__x, \\[^a] e `a*b_c\\`.\n\n```\nx = `y` * 2\n```\n\n[^a]: nota';
+    const { json, again } = await importInto(md, 'md');
+    assert.deepStrictEqual(json.notes, []);
+    assert.deepStrictEqual(again.blocks.map(b => b.text), [
+        'Use \\*x\\*, \\_\\_init\\_\\_, a\\~b\\~c, snake\\_\\_case\\_\\_x, \\[\\^a\\] e `a\\*b_c\\\\`.',
+        '`x = \\`y\\` \\* 2`'
+    ]);
+});
+
+test('células: "- " e "<br>" literais continuam texto', async () => {
+    const md = '| A | B |\n|---|---|\n| - item | a&lt;br&gt;b<br>c |';
+    const { again } = await importInto(md, 'md');
+    const table = again.blocks.find(b => b.type === 'table');
+    assert.deepStrictEqual(table.rows[1].map(cell => cell.text), ['\\- item', 'a\\<br>b<br>c']);
+});
+
+test('texto simples: marcadores são texto e linhas em branco separam parágrafos', async () => {
+    const { json, again } = await importInto('**não** é negrito\n2^10^ e [^1]\n\n\nSegundo', 'text');
+    assert.strictEqual(json.blocks.length, 2);
+    assert.deepStrictEqual(again.blocks.map(b => b.text), ['\\*\\*não\\*\\* é negrito\n2\\^10\\^ e \\[\\^1\\]', 'Segundo']);
+});
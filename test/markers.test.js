@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { reconstructDocx, parseMarkdown } = require('../server/reconstructor');
+const { validateModifiedJson } = require('../server/validator');
+const { buildDocx, readBody, clone } = require('./fixtures');
+
+const LITERAL = 'Use __init__, a == b ==, a~b~c, 2^10^, *nota*, [^1], {{ctl_1}} e C:\\*.';
+const BODY =
+    '<w:p><w:r><w:t>Título</w:t></w:r></w:p>' +
+    `<w:p><w:r><w:t xml:space="preserve">${LITERAL}</w:t></w:r></w:p>`;
+
+test('caracteres de marcador do documento saem escapados', async () => {
+    const json = await extractDocx(await buildDocx(BODY), 'a.docx');
+    const text = json.blocks[1].text;
+    assert.strictEqual(text, 'Use \\_\\_init\\_\\_, a \\=\\= b \\=\\=, a\\~b\\~c, 2\\^10\\^, \\*nota\\*, \\[\\^1\\], \\{\\{ctl_1}} e C:\\\\\\*.');
+    assert.deepStrictEqual(parseMarkdown(text), [{ text: LITERAL }]);
+});
+
+test('marcadores literais continuam texto depois de uma edição', async () => {
+    const buffer = await buildDocx(BODY);
+    const json = await extractDocx(buffer, 'a.docx');
+    const modified = clone(json);
+    modified.blocks[1].text += ' **Fim**';
+    assert.deepStrictEqual(validateModifiedJson(modified, json).errors, []);
+    const out = await reconstructDocx(buffer, modified, json);
+    const body = await readBody(out);
+    assert.ok(body.includes(LITERAL), body);
+    assert.ok(!/<w:(u|strike|highlight|vertAlign|i)\b/.test(body), body);
+    const again = await extractDocx(out, 'a.docx');
+    assert.strictEqual(again.blocks[1].text, modified.blocks[1].text);
+});
+
+test('"\\" escapa marcadores dentro de outros marcadores', () => {
+    assert.deepStrictEqual(parseMarkdown('**a\\*\\*b** `x\\`y` [c\\]d](http://e.f)'), [
+        { text: 'a**b', bold: true },
+        { text: ' ' },
+        { text: 'x`y', code: true },
+        { text: ' ' },
+        { text: 'c\\]d', link: 'http://e.f' }
+    ]);
+});
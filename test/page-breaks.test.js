@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { reconstructDocx } = require('../server/reconstructor');
+const { buildDocx, readBody, clone } = require('./fixtures');
+
+const BODY =
+    '<w:p><w:r><w:br w:type="page"/></w:r><w:r><w:t>Depois da quebra</w:t></w:r></w:p>' +
+    '<w:p><w:r><w:t>Antes da quebra</w:t></w:r><w:r><w:br w:type="page"/></w:r></w:p>' +
+    '<w:p><w:r><w:t>Linha um</w:t></w:r><w:r><w:br w:type="page"/></w:r><w:r><w:t>linha dois</w:t></w:r></w:p>';
+
+test('quebras nas pontas do parágrafo viram blocos "_pb"/"_pb_end"', async () => {
+    const json = await extractDocx(await buildDocx(BODY), 'a.docx');
+    assert.deepStrictEqual(json.blocks.map(b => [b.id, b.type]), [
+        ['block_0000_pb', 'page_break'], ['block_0000', 'title'],
+        ['block_0001', 'paragraph'], ['block_0001_pb_end', 'page_break'],
+        ['block_0002', 'paragraph']
+    ]);
+    assert.strictEqual(json.blocks[4].text, 'Linha um\nlinha dois');
+});
+
+test('parágrafo inalterado mantém as quebras de página no lugar', async () => {
+    const buffer = await buildDocx(BODY);
+    const json = await extractDocx(buffer, 'a.docx');
+    const out = await reconstructDocx(buffer, clone(json), json);
+    assert.strictEqual(await readBody(out), BODY + '<w:sectPr/>');
+    const again = await extractDocx(out, 'a.docx');
+    assert.deepStrictEqual(again.blocks.map(b => b.id), json.blocks.map(b => b.id));
+});
+
+test('bloco "_pb_end" removido tira a quebra do parágrafo', async () => {
+    const buffer = await buildDocx(BODY);
+    const json = await extractDocx(buffer, 'a.docx');
+    const modified = clone(json);
+    modified.blocks = modified.blocks.filter(b => b.id !== 'block_0001_pb_end');
+    const body = await readBody(await reconstructDocx(buffer, modified, json));
+    assert.ok(body.includes('<w:p><w:r><w:t>Antes da quebra</w:t></w:r></w:p>'), body);
+});
+
+test('quebra de página no meio do texto sobrevive à edição', async () => {
+    const buffer = await buildDocx(BODY);
+    const json = await extractDocx(buffer, 'a.docx');
+    const modified = clone(json);
+    modified.blocks[4].text = 'Linha 1\nlinha 2';
+    const body = await readBody(await reconstructDocx(buffer, modified, json));
+    assert.match(body, />1<\/w:t><\/w:r><w:r><w:br w:type="page"\/><\/w:r><w:r><w:t[^>]*>linha /);
+    assert.ok(!body.includes('<w:br/>'), body);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { reconstructDocx } = require('../server/reconstructor');
+const { buildDocx, readBody, clone } = require('./fixtures');
+
+const NOTE_RUN = '<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="1"/></w:r>';
+const FIELD = '<w:r><w:fldChar w:fldCharType="begin"/></w:r>' +
+    '<w:r><w:instrText xml:space="preserve"> PAGEREF _Ref1 \\h </w:instrText></w:r>' +
+    '<w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>4</w:t></w:r>' +
+    '<w:r><w:fldChar w:fldCharType="end"/></w:r>';
+const BODY =
+    `<w:p><w:r><w:t xml:space="preserve">conforme norma</w:t></w:r>${NOTE_RUN}<w:r><w:t xml:space="preserve"> vigente.</w:t></w:r></w:p>` +
+    `<w:p><w:bookmarkStart w:id="0" w:name="_Ref1"/><w:r><w:t xml:space="preserve">Ver página </w:t></w:r>${FIELD}` +
+    '<w:r><w:t xml:space="preserve"> do anexo.</w:t></w:r><w:bookmarkEnd w:id="0"/></w:p>';
+// Bookmark do segundo parágrafo envolvendo todo o conteúdo
+const BOOKMARKED = /<w:p><w:bookmarkStart w:id="0" w:name="_Ref1"\/><w:r>(?:(?!<\/w:p>).)*<w:bookmarkEnd w:id="0"\/><\/w:p>/;
+const FOOTNOTES = '<w:footnote w:id="1"><w:p><w:r><w:footnoteRef/></w:r><w:r><w:t xml:space="preserve"> Nota</w:t></w:r></w:p></w:footnote>';
+
+async function edit(texts, options) {
+    const buffer = await buildDocx(BODY, { footnotes: FOOTNOTES });
+    const json = await extractDocx(buffer, 'a.docx');
+    const modified = clone(json);
+    texts.forEach((text, i) => { if (text !== null) modified.blocks[i].text = text; });
+    return readBody(await reconstructDocx(buffer, modified, json, options));
+}
+
+test('texto novo ao lado de uma nota não herda o estilo da referência', async () => {
+    const body = await edit(['conforme norma[^1]: vigente e atual.', null]);
+    assert.ok(body.includes(NOTE_RUN));
+    const styled = body.match(/<w:r><w:rPr><w:rStyle w:val="FootnoteReference"\/><\/w:rPr>.*?<\/w:r>/g);
+    assert.deepStrictEqual(styled, [NOTE_RUN]);
+});
+
+test('campo complexo continua campo quando o texto em volta muda', async () => {
+    const body = await edit([null, 'Ver página 4 do apêndice.']);
+    assert.ok(body.includes(FIELD));
+    assert.match(body, BOOKMARKED);
+
+    const tracked = await edit([null, 'Ver página 4 do apêndice.'], { trackChanges: true });
+    assert.ok(tracked.includes(FIELD));
+    assert.match(tracked, BOOKMARKED);
+});
+
+test('nota não é removida nem duplicada quando o texto em volta muda', async () => {
+    for (const trackChanges of [false, true]) {
+        const body = await edit(['segundo a lei[^1] atual.', null], { trackChanges });
+        assert.strictEqual(body.split('<w:footnoteReference').length - 1, 1, `trackChanges=${trackChanges}`);
+        assert.ok(!/<w:del [^>]*>(?:(?!<\/w:del>).)*footnoteReference/.test(body));
+    }
+});
+
+test('campo simples e smart tag, fora do texto do JSON, não são removidos', async () => {
+    const FLD = '<w:fldSimple w:instr="SEQ Figura"><w:r><w:t>2</w:t></w:r></w:fldSimple>';
+    const TAG = '<w:smartTag w:uri="urn:x" w:element="place"><w:r><w:t>Recife</w:t></w:r></w:smartTag>';
+    const buffer = await buildDocx(`<w:p><w:r><w:t xml:space="preserve">Figura </w:t></w:r>${FLD}` +
+        `<w:r><w:t xml:space="preserve"> tirada em </w:t></w:r>${TAG}<w:r><w:t xml:space="preserve"> ontem.</w:t></w:r></w:p>`);
+    const json = await extractDocx(buffer, 'a.docx');
+    for (const trackChanges of [false, true]) {
+        const modified = clone(json);
+        modified.blocks[0].text = modified.blocks[0].text.replace('ontem', 'hoje');
+        const body = await readBody(await reconstructDocx(buffer, modified, json, { trackChanges }));
+        assert.ok(body.includes(FLD) && body.includes(TAG), `trackChanges=${trackChanges}`);
+        assert.doesNotMatch(body, /<w:del [^>]*>(?:(?!<\/w:del>).)*(?:fldSimple|smartTag)/);
+    }
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Diretório de perfis do teste: os perfis do servidor e mais dois
+const PROFILES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+for (const file of fs.readdirSync(path.join(__dirname, '../server/profiles'))) {
+    fs.copyFileSync(path.join(__dirname, '../server/profiles', file), path.join(PROFILES_DIR, file));
+}
+fs.writeFileSync(path.join(PROFILES_DIR, 'clausulas.json'), JSON.stringify({ trustStylesOnly: true, styles: { 'Cláusula': 2 } }));
+fs.writeFileSync(path.join(PROFILES_DIR, 'quebrado.json'), JSON.stringify({ patterns: [{ regex: '(', level: 1 }] }));
+process.env.HEADING_PROFILES_DIR = PROFILES_DIR;
+test.after(() => fs.rmSync(PROFILES_DIR, { recursive: true, force: true }));
+
+const { extractDocx } = require('../server/extractor');
+const { loadProfile, listProfiles } = require('../server/profiles');
+const { buildDocx } = require('./fixtures');
+
+const P = (text, pPr = '', rPr = '') =>
+    `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}<w:r>${rPr ? `<w:rPr>${rPr}</w:rPr>` : ''}<w:t>${text}</w:t></w:r></w:p>`;
+const BODY = P('Documento de teste.') + P('CAPÍTULO II') + P('Art. 5º O prazo é de 3 dias.') +
+    P('3 dias úteis para recurso.') + P('1. OBJETIVO') + P('Resumo', '', '<w:b/><w:sz w:val="32"/>') +
+    P('Primeira cláusula', '<w:pStyle w:val="Clausula"/>');
+const CLAUSE_STYLE = '<w:style w:type="paragraph" w:styleId="Clausula"><w:name w:val="Cláusula"/></w:style>';
+
+/** Headings extraídos com o perfil: [level, texto]. */
+async function headings(name) {
+    const buffer = await buildDocx(BODY, { styles: CLAUSE_STYLE });
+    const json = await extractDocx(buffer, 'a.docx', { profile: await loadProfile(name) });
+    return json.blocks.filter(b => b.type === 'heading').map(b => [b.level, b.text]);
+}
+
+test('perfil padrão: seções numeradas, sem "3 dias úteis"', async () => {
+    assert.deepStrictEqual(await headings('padrao'), [[1, '1. OBJETIVO']]);
+});
+
+test('perfil jurídico: CAPÍTULO e Art. nos níveis do perfil', async () => {
+    assert.deepStrictEqual(await headings('juridico'), [[2, 'CAPÍTULO II'], [4, 'Art. 5º O prazo é de 3 dias.'], [1, '1. OBJETIVO']]);
+});
+
+test('perfil de formatação: parágrafo todo em negrito e >= 14 pt', async () => {
+    assert.deepStrictEqual(await headings('formatacao'), [[1, '1. OBJETIVO'], [1, '**Resumo**']]);
+});
+
+test('só estilos: padrões de texto não valem e "styles" mapeia estilos próprios', async () => {
+    assert.deepStrictEqual(await headings('estilos'), []);
+    assert.deepStrictEqual(await headings('clausulas'), [[2, 'Primeira cláusula']]);
+});
+
+test('erros de perfil citam o nome e o campo; a lista ignora perfis inválidos', async () => {
+    await assert.rejects(loadProfile('../padrao'), /Nome de perfil inválido/);
+    await assert.rejects(loadProfile('inexistente'), /Perfil de detecção "inexistente" não encontrado/);
+    await assert.rejects(loadProfile('quebrado'), /Perfil de detecção "quebrado": patterns\[0\]\.regex inválida/);
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const names = (await listProfiles()).map(p => p.name);
+        assert.deepStrictEqual(names, ['clausulas', 'estilos', 'formatacao', 'juridico', 'padrao', 'secoes']);
+    } finally {
+        console.warn = warn;
+    }
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { reconstructDocx } = require('../server/reconstructor');
+const { buildDocx, readBody, clone } = require('./fixtures');
+
+const heading = (level, content) => `<w:p><w:pPr><w:pStyle w:val="Heading${level}"/></w:pPr>${content}</w:p>`;
+const text = value => `<w:r><w:t xml:space="preserve">${value}</w:t></w:r>`;
+const H1 = heading(1, text('1. OBJETIVO'));
+const H2 = heading(2, '<w:bookmarkStart w:id="0" w:name="_Toc1"/>' + text('1.1) Escopo ') +
+    '<w:fldSimple w:instr="SEQ Figura"><w:r><w:t>1</w:t></w:r></w:fldSimple><w:bookmarkEnd w:id="0"/>');
+const H3 = heading(1, text('2 - PRAZOS'));
+const H4 = heading(1, text('2024 Relatório'));
+const BODY = `${H1}<w:p>${text('texto')}</w:p>${H2}${H3}${H4}`;
+
+async function load() {
+    const buffer = await buildDocx(BODY);
+    return { buffer, json: await extractDocx(buffer, 'a.docx') };
+}
+
+test('títulos já numerados em ordem voltam iguais', async () => {
+    const { buffer, json } = await load();
+    const out = await reconstructDocx(buffer, clone(json), json, { renumberHeadings: true });
+    assert.strictEqual(await readBody(out), BODY + '<w:sectPr/>');
+});
+
+test('seção nova renumera as seguintes e mantém separadores, campos e bookmarks', async () => {
+    const { buffer, json } = await load();
+    const modified = clone(json);
+    modified.blocks.unshift({ id: 'new_001', type: 'heading', level: 1, text: '1. NOVA' });
+    const out = await reconstructDocx(buffer, modified, json, { renumberHeadings: true });
+
+    const headings = (await extractDocx(out, 'a.docx')).blocks.filter(block => block.type === 'heading');
+    assert.deepStrictEqual(headings.map(block => block.text), ['1. NOVA', '2. OBJETIVO', '2.1) Escopo', '3 - PRAZOS', '2024 Relatório']);
+    const body = await readBody(out);
+    assert.match(body, /<w:bookmarkStart w:id="0" w:name="_Toc1"\/><w:r>(?:(?!<\/w:p>).)*<w:fldSimple w:instr="SEQ Figura"><w:r><w:t>1<\/w:t><\/w:r><\/w:fldSimple><w:bookmarkEnd w:id="0"\/><\/w:p>/);
+    assert.ok(body.includes(H4));
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { reconstructDocx } = require('../server/reconstructor');
+const { validateModifiedJson } = require('../server/validator');
+const { buildDocx, readBody, clone } = require('./fixtures');
+
+const cell = (text, shading) => `<w:tc><w:tcPr><w:tcW w:w="100"/><w:shd w:val="clear" w:fill="${shading}"/></w:tcPr>` +
+    `<w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:tc>`;
+const HEADER = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${cell('Risco', 'CCCCCC')}${cell('Nível', 'CCCCCC')}</w:tr>`;
+const ROW_1 = `<w:tr>${cell('Prazo', 'FFFFFF')}<w:tc><w:tcPr><w:tcW w:w="100"/><w:shd w:val="clear" w:fill="FFFFFF"/></w:tcPr>` +
+    '<w:p><w:bookmarkStart w:id="0" w:name="_Ref1"/><w:r><w:t xml:space="preserve">Alto </w:t></w:r>' +
+    '<w:fldSimple w:instr="SEQ Risco"><w:r><w:t>1</w:t></w:r></w:fldSimple><w:bookmarkEnd w:id="0"/></w:p></w:tc></w:tr>';
+const ROW_2 = `<w:tr>${cell('Custo', 'EEEEEE')}${cell('Médio', 'EEEEEE')}</w:tr>`;
+const BODY = `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/></w:tblPr><w:tblGrid><w:gridCol/><w:gridCol/></w:tblGrid>${HEADER}${ROW_1}${ROW_2}</w:tbl>`;
+
+async function load() {
+    const buffer = await buildDocx(BODY);
+    return { buffer, json: await extractDocx(buffer, 'a.docx') };
+}
+
+test('linha nova copia a linha template e as existentes ficam intactas', async () => {
+    const { buffer, json } = await load();
+    const modified = clone(json);
+    const table = modified.blocks[0];
+    table.rowTemplate = 'body';
+    table.rows.push([{ id: 'new_cell_001', text: 'Escopo' }, { id: 'new_cell_002', text: 'Baixo' }]);
+    assert.strictEqual(validateModifiedJson(modified, json).valid, true);
+
+    const body = await readBody(await reconstructDocx(buffer, modified, json));
+    assert.ok(body.includes(`${HEADER}${ROW_1}${ROW_2}<w:tr>`));
+    assert.match(body, /<w:tr><w:tc><w:tcPr><w:tcW w:w="100"\/><w:shd w:val="clear" w:fill="FFFFFF"\/><\/w:tcPr><w:p>(?:(?!<\/w:tc>).)*Escopo/);
+    // Conteúdo da linha template (campo, bookmark) não vai para a linha nova
+    const added = body.slice(body.indexOf('Escopo'));
+    assert.ok(!added.includes('fldSimple') && !added.includes('_Ref1'));
+});
+
+test('linha removida sai e as demais continuam iguais', async () => {
+    const { buffer, json } = await load();
+    const modified = clone(json);
+    modified.blocks[0].rows.splice(2, 1);
+    assert.strictEqual(validateModifiedJson(modified, json).valid, true);
+    const body = await readBody(await reconstructDocx(buffer, modified, json));
+    assert.ok(body.includes(`${HEADER}${ROW_1}</w:tbl>`));
+
+    const tracked = await readBody(await reconstructDocx(buffer, modified, json, { trackChanges: true }));
+    assert.ok(tracked.includes(`${HEADER}${ROW_1}<w:tr><w:trPr><w:del `));
+});
+
+test('número de colunas de linhas novas fica travado sem allowColumnChange', async () => {
+    const { json } = await load();
+    const modified = clone(json);
+    modified.blocks[0].rows.push([{ id: 'new_cell_001', text: 'Só uma coluna' }]);
+    assert.strictEqual(validateModifiedJson(modified, json).valid, false);
+    modified.blocks[0].allowColumnChange = true;
+    assert.strictEqual(validateModifiedJson(modified, json).valid, true);
+});
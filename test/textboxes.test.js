@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { reconstructDocx } = require('../server/reconstructor');
+const { buildDocx, readBody, clone } = require('./fixtures');
+
+const NAMESPACES = 'xmlns:mc="http://schemas.openxmlformats.org/markup-compatibility/2006" ' +
+    'xmlns:wps="http://schemas.microsoft.com/office/word/2010/wordprocessingShape" ' +
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:v="urn:schemas-microsoft-com:vml"';
+const CONTENT = '<w:txbxContent><w:p><w:r><w:t>Aviso</w:t></w:r></w:p></w:txbxContent>';
+// Caixa de texto como o Word grava: DrawingML e o fallback VML
+const SHAPE = `<w:r><mc:AlternateContent ${NAMESPACES}>` +
+    `<mc:Choice Requires="wps"><w:drawing><wp:anchor><a:graphic><a:graphicData><wps:wsp><wps:txbx>${CONTENT}</wps:txbx></wps:wsp></a:graphicData></a:graphic></wp:anchor></w:drawing></mc:Choice>` +
+    `<mc:Fallback><w:pict><v:shape><v:textbox>${CONTENT}</v:textbox></v:shape></w:pict></mc:Fallback></mc:AlternateContent></w:r>`;
+const BODY = '<w:p><w:r><w:t>Introdução.</w:t></w:r></w:p>' +
+    `<w:p><w:r><w:t xml:space="preserve">Âncora </w:t></w:r>${SHAPE}<w:r><w:t>final</w:t></w:r></w:p>`;
+
+async function edit(change) {
+    const buffer = await buildDocx(BODY);
+    const json = await extractDocx(buffer, 'a.docx');
+    const modified = clone(json);
+    change(modified.blocks);
+    return readBody(await reconstructDocx(buffer, modified, json));
+}
+
+test('caixa de texto vira bloco textbox após a âncora, fora do texto dela', async () => {
+    const json = await extractDocx(await buildDocx(BODY), 'a.docx');
+    assert.deepStrictEqual(json.blocks.slice(1), [
+        { id: 'block_0001', type: 'paragraph', text: 'Âncora final' },
+        {
+            id: 'block_0001_txbx_0',
+            type: 'textbox',
+            anchorId: 'block_0001',
+            blocks: [{ id: 'block_0001_txbx_0_block_0000', type: 'paragraph', text: 'Aviso' }]
+        }
+    ]);
+});
+
+test('texto da caixa editado nas duas cópias, DrawingML e VML', async () => {
+    const body = await edit(blocks => { blocks[2].blocks[0].text = 'Aviso importante'; });
+    const copies = body.match(/<w:txbxContent>.*?<\/w:txbxContent>/g);
+    assert.strictEqual(copies.length, 2);
+    assert.strictEqual(copies[0], copies[1]);
+    assert.match(copies[0], /<w:t>Aviso<\/w:t><\/w:r><w:r><w:t xml:space="preserve"> importante<\/w:t>/);
+    assert.ok(body.includes('<w:t>final</w:t>'));
+});
+
+test('âncora editada mantém a caixa; bloco removido remove a caixa', async () => {
+    const edited = await edit(blocks => { blocks[1].text = 'Âncora alterada'; });
+    assert.strictEqual(edited.split('<w:txbxContent>').length - 1, 2);
+    assert.ok(!edited.includes('final'));
+
+    const removed = await edit(blocks => { blocks.splice(2, 1); });
+    assert.ok(!removed.includes('mc:AlternateContent'));
+    assert.ok(removed.includes('<w:r><w:t xml:space="preserve">Âncora </w:t></w:r><w:r><w:t>final</w:t></w:r></w:p>'));
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { reconstructDocx } = require('../server/reconstructor');
+const { buildDocx, readPart, readBody, clone } = require('./fixtures');
+
+async function trackEdit(body, change) {
+    const buffer = await buildDocx(body);
+    const json = await extractDocx(buffer, 'a.docx');
+    const modified = clone(json);
+    change(modified.blocks[0]);
+    return readBody(await reconstructDocx(buffer, modified, json, { trackChanges: true }));
+}
+
+test('bookmarks ficam na posição original entre os runs revisados', async () => {
+    const body = await trackEdit(
+        '<w:p><w:r><w:t xml:space="preserve">O prazo é de </w:t></w:r><w:bookmarkStart w:id="0" w:name="_Ref1"/>' +
+        '<w:r><w:rPr><w:color w:val="FF0000"/></w:rPr><w:t>dez</w:t></w:r><w:r><w:t xml:space="preserve"> dias</w:t></w:r>' +
+        '<w:bookmarkEnd w:id="0"/><w:r><w:t xml:space="preserve"> corridos.</w:t></w:r></w:p>',
+        block => { block.text = 'O prazo é de dez dias úteis.'; });
+    assert.match(body, /^<w:p><w:r><w:t xml:space="preserve">O prazo é de <\/w:t><\/w:r><w:bookmarkStart w:id="0" w:name="_Ref1"\/>/);
+    assert.ok(body.includes('<w:bookmarkStart w:id="0" w:name="_Ref1"/><w:r><w:rPr><w:color w:val="FF0000"/></w:rPr><w:t>dez</w:t></w:r>' +
+        '<w:r><w:t xml:space="preserve"> dias</w:t></w:r><w:bookmarkEnd w:id="0"/>'));
+    assert.match(body, /<w:bookmarkEnd w:id="0"\/><w:r><w:t xml:space="preserve"> <\/w:t><\/w:r><w:del [^>]*><w:r><w:delText xml:space="preserve">corridos.<\/w:delText>/);
+});
+
+test('controle inline editado aparece uma vez, com a revisão dentro', async () => {
+    const body = await trackEdit(
+        '<w:p><w:r><w:t xml:space="preserve">Cliente: </w:t></w:r><w:sdt><w:sdtPr><w:id w:val="77"/><w:tag w:val="cliente"/></w:sdtPr>' +
+        '<w:sdtContent><w:r><w:t>ACME Ltda</w:t></w:r></w:sdtContent></w:sdt><w:r><w:t xml:space="preserve"> desde 2020.</w:t></w:r></w:p>',
+        block => { block.controls[0].text = 'ACME S.A.'; });
+    assert.strictEqual(body.split('<w:sdt>').length - 1, 1);
+    assert.match(body, /<w:sdtContent>.*<w:del [^>]*><w:r><w:delText xml:space="preserve">Ltda<\/w:delText><\/w:r><\/w:del><w:ins [^>]*><w:r><w:t xml:space="preserve">S\.A\.<\/w:t><\/w:r><\/w:ins><\/w:sdtContent>/);
+    assert.ok(body.endsWith('</w:sdt><w:r><w:t xml:space="preserve"> desde 2020.</w:t></w:r></w:p><w:sectPr/>'));
+});
+
+test('notas e comentários editados também viram revisões', async () => {
+    const buffer = await buildDocx(
+        '<w:p><w:r><w:t>Texto</w:t></w:r><w:r><w:footnoteReference w:id="1"/></w:r><w:commentRangeStart w:id="0"/>' +
+        '<w:r><w:t xml:space="preserve"> comentado</w:t></w:r><w:commentRangeEnd w:id="0"/><w:r><w:commentReference w:id="0"/></w:r></w:p>', {
+            footnotes: '<w:footnote w:id="1"><w:p><w:r><w:footnoteRef/></w:r><w:r><w:t xml:space="preserve"> Nota antiga</w:t></w:r></w:p></w:footnote>',
+            comments: '<w:comment w:id="0" w:author="A"><w:p><w:r><w:annotationRef/></w:r><w:r><w:t>Revisar prazo</w:t></w:r></w:p></w:comment>'
+        });
+    const json = await extractDocx(buffer, 'a.docx');
+    const modified = clone(json);
+    modified.notes[0].text = 'Nota nova';
+    modified.comments[0].text = 'Revisar o prazo\nE o valor';
+    const result = await reconstructDocx(buffer, modified, json, { trackChanges: true });
+
+    const footnotes = await readPart(result, 'word/footnotes.xml');
+    assert.match(footnotes, /<w:p><w:r><w:footnoteRef\/><\/w:r><w:r><w:t xml:space="preserve"> Nota <\/w:t><\/w:r><w:del [^>]*><w:r><w:delText xml:space="preserve">antiga<\/w:delText><\/w:r><\/w:del><w:ins [^>]*><w:r><w:t xml:space="preserve">nova<\/w:t><\/w:r><\/w:ins><\/w:p>/);
+    const comments = await readPart(result, 'word/comments.xml');
+    assert.match(comments, /<w:p><w:r><w:annotationRef\/><\/w:r><w:r><w:t xml:space="preserve">Revisar <\/w:t><\/w:r><w:ins [^>]*><w:r><w:t xml:space="preserve">o <\/w:t><\/w:r><\/w:ins>/);
+    assert.match(comments, /<w:p><w:pPr><w:rPr><w:ins [^>]*\/><\/w:rPr><\/w:pPr><w:ins [^>]*><w:r><w:t xml:space="preserve">E o valor<\/w:t><\/w:r><\/w:ins><\/w:p>/);
+});
+
+test('ids das revisões novas seguem os já usados nas notas', async () => {
+    const buffer = await buildDocx('<w:p><w:r><w:t>Texto antigo</w:t></w:r><w:r><w:footnoteReference w:id="1"/></w:r></w:p>', {
+        footnotes: '<w:footnote w:id="1"><w:p><w:r><w:footnoteRef/></w:r><w:r><w:t xml:space="preserve"> Nota </w:t></w:r>' +
+            '<w:ins w:id="40" w:author="B" w:date="2024-01-01T00:00:00Z"><w:r><w:t>antiga</w:t></w:r></w:ins></w:p></w:footnote>'
+    });
+    const json = await extractDocx(buffer, 'a.docx');
+    const modified = clone(json);
+    modified.blocks[0].text = 'Texto novo[^1]';
+    modified.notes[0].text = 'Nota nova';
+    const result = await reconstructDocx(buffer, modified, json, { trackChanges: true });
+
+    const ids = [await readBody(result), await readPart(result, 'word/footnotes.xml')]
+        .flatMap(xml => [...xml.matchAll(/<w:(?:ins|del) w:id="(\d+)"/g)].map(m => Number(m[1])));
+    assert.ok(ids.filter(id => id !== 40).every(id => id > 40));
+    assert.strictEqual(new Set(ids).size, ids.length);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocx } = require('../server/extractor');
+const { reconstructDocx } = require('../server/reconstructor');
+const { buildDocx, readPart, readBody, clone } = require('./fixtures');
+
+const BODY =
+    '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t xml:space="preserve">Página </w:t></w:r>' +
+    '<w:fldSimple w:instr="PAGE"><w:r><w:t>3</w:t></w:r></w:fldSimple></w:p>' +
+    '<w:p/>' +
+    '<w:p><w:r><w:t xml:space="preserve">Um </w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t>dois</w:t></w:r></w:p>' +
+    '<w:bookmarkStart w:id="5" w:name="Secao"/>' +
+    '<w:p><w:bookmarkStart w:id="0" w:name="_Ref1"/><w:commentRangeStart w:id="1"/><w:r><w:t xml:space="preserve">Ver </w:t></w:r>' +
+    '<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> PAGEREF _Ref1 \\h </w:instrText></w:r>' +
+    '<w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>1</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r>' +
+    '<w:commentRangeEnd w:id="1"/><w:r><w:rPr><w:rStyle w:val="CommentReference"/></w:rPr><w:commentReference w:id="1"/></w:r>' +
+    '<w:r><w:t xml:space="preserve"> e a nota</w:t></w:r><w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="1"/></w:r>' +
+    '<w:bookmarkEnd w:id="0"/></w:p>' +
+    '<w:bookmarkEnd w:id="5"/>' +
+    '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/></w:tblPr><w:tblGrid><w:gridCol/><w:gridCol/></w:tblGrid>' +
+    '<w:tr><w:tc><w:p><w:r><w:rPr><w:i/></w:rPr><w:t>A</w:t></w:r></w:p></w:tc>' +
+    '<w:tc><w:p><w:r><w:t>B</w:t></w:r></w:p></w:tc></w:tr></w:tbl>';
+const PARTS = {
+    footnotes: '<w:footnote w:id="1"><w:p><w:r><w:footnoteRef/></w:r><w:r><w:t xml:space="preserve"> Nota</w:t></w:r></w:p></w:footnote>',
+    comments: '<w:comment w:id="1" w:author="Ana" w:date="2024-01-01T00:00:00Z" w:initials="A"><w:p><w:r><w:annotationRef/></w:r>' +
+        '<w:r><w:t>Conferir</w:t></w:r></w:p></w:comment>'
+};
+
+async function assertUnchanged(buffer, out) {
+    assert.strictEqual(await readBody(out), BODY + '<w:sectPr/>');
+    for (const name of ['word/footnotes.xml', 'word/comments.xml']) {
+        assert.strictEqual(await readPart(out, name), await readPart(buffer, name), name);
+    }
+}
+
+/** Mesmo objeto com as chaves na ordem inversa (recursivamente). */
+function reverseKeys(value) {
+    if (Array.isArray(value)) return value.map(reverseKeys);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.keys(value).reverse().map(k => [k, reverseKeys(value[k])]));
+}
+
+test('JSON sem alterações devolve o corpo original', async () => {
+    const buffer = await buildDocx(BODY, PARTS);
+    const json = await extractDocx(buffer, 'a.docx');
+    await assertUnchanged(buffer, await reconstructDocx(buffer, clone(json), json));
+    await assertUnchanged(buffer, await reconstructDocx(buffer, clone(json), json, { trackChanges: true, renumberHeadings: true }));
+});
+
+test('blocos com as chaves em outra ordem contam como inalterados', async () => {
+    const buffer = await buildDocx(BODY, PARTS);
+    const json = await extractDocx(buffer, 'a.docx');
+    const modified = clone(json);
+    modified.blocks = reverseKeys(modified.blocks);
+    assert.notStrictEqual(JSON.stringify(modified.blocks), JSON.stringify(json.blocks));
+    await assertUnchanged(buffer, await reconstructDocx(buffer, modified, json));
+});
+
+test('parágrafos vazios e bookmarks do corpo ficam junto dos blocos vizinhos', async () => {
+    const buffer = await buildDocx(BODY, PARTS);
+    const json = await extractDocx(buffer, 'a.docx');
+    const modified = clone(json);
+    modified.blocks = modified.blocks.filter(b => b.text !== 'Um **dois**');
+    assert.strictEqual(modified.blocks.length, json.blocks.length - 1);
+    const body = await readBody(await reconstructDocx(buffer, modified, json));
+    assert.match(body, /<\/w:fldSimple><\/w:p><w:p\/><w:bookmarkStart w:id="5" w:name="Secao"\/><w:p><w:bookmarkStart w:id="0"/);
+    assert.match(body, /<w:bookmarkEnd w:id="0"\/><\/w:p><w:bookmarkEnd w:id="5"\/><w:tbl>/);
+});